@@ -0,0 +1,104 @@
+// build-site.mjs
+//
+// Renders the static website (see lib/site.mjs) from each series' episode
+// store into --site-dir, and copies the generated feeds next to it, so the
+// Pages workflow only has to upload the directory. The directory is
+// replaced on every run. Builds every series in feeds.config.json, or the
+// one named with `--series <name>`.
+
+import { readFile, writeFile, mkdir, rm, copyFile, access } from "node:fs/promises";
+import path from "node:path";
+import { storePathFor, loadStore, importFeedXml } from "./lib/store.mjs";
+import { archiveSettings } from "./lib/config.mjs";
+import { renderSite, publishedFeeds } from "./lib/site.mjs";
+import { resolveRunConfig, formatHelp, formatEffectiveConfig } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor } from "./lib/log.mjs";
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The series' episode store, or, for a series that has only ever been
+ * published as feed XML, its most complete feed imported.
+ */
+async function loadSiteStore(series) {
+  const storeFile = storePathFor(series);
+  const store = await loadStore(storeFile);
+  if (store) return store;
+
+  const feedFile = archiveSettings(series)?.output || series.output;
+  for (const file of [feedFile, series.output]) {
+    try {
+      const imported = await importFeedXml(await readFile(file, "utf8"));
+      log.info(`No episode store at ${storeFile}; using the ${imported.episodes.size} episodes in ${file}.`);
+      return imported;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+  throw new Error(`No episode store at ${storeFile} and no feed at ${series.output}. Run 'npm run build' first.`);
+}
+
+async function main() {
+  let run;
+  try {
+    run = await resolveRunConfig("site");
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (run.help) {
+    log.info(formatHelp("site"));
+    return;
+  }
+
+  const { seriesList, options } = run;
+  const siteDir = options.siteDir;
+  try {
+    const sites = [];
+    const feeds = [];
+    for (const series of seriesList) {
+      log.info(`\n=== ${series.name} ===`);
+      log.info(formatEffectiveConfig("site", series, options));
+      sites.push({ series, store: await loadSiteStore(series) });
+      feeds.push(...(await publishedFeeds(series)));
+    }
+
+    await rm(siteDir, { recursive: true, force: true });
+    const files = renderSite(sites);
+    for (const file of files) {
+      const target = path.join(siteDir, file.file);
+      await mkdir(path.dirname(target), { recursive: true });
+      await writeFile(target, file.html, "utf8");
+    }
+    let copied = 0;
+    for (const feed of feeds) {
+      if (!(await exists(feed.file))) {
+        log.warn(`${feed.file} hasn't been written yet; it is left off the site.`);
+        continue;
+      }
+      for (const published of feed.paths) {
+        const target = path.join(siteDir, published);
+        await mkdir(path.dirname(target), { recursive: true });
+        await copyFile(feed.file, target);
+      }
+      copied++;
+    }
+    log.info(`\nWrote ${files.length} site files and ${copied} feed(s) to ${siteDir}/`);
+  } catch (err) {
+    log.error(`Error building site: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,79 @@
+// check-links.mjs
+//
+// Periodic link check for the episode store: requests every stored
+// episode's audio URL and flags the ones NPR has pulled (404/410). With
+// --remove those episodes are also left out of the feeds; either way the
+// store keeps them (see lib/link-check.mjs). Runs over every series in
+// feeds.config.json, or the one named with `--series <name>`.
+
+import { loadStore, saveStore, storePathFor } from "./lib/store.mjs";
+import { checkStoreLinks } from "./lib/link-check.mjs";
+import { writeSeriesFeeds } from "./lib/outputs.mjs";
+import { resolveRunConfig, formatHelp, formatEffectiveConfig } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor, setLogContext } from "./lib/log.mjs";
+
+async function checkSeries(series, options) {
+  log.info(`\n=== ${series.name} ===`);
+  log.info(formatEffectiveConfig("check-links", series, options));
+
+  const storeFile = storePathFor(series);
+  const store = await loadStore(storeFile);
+  if (!store) {
+    throw new Error(`No episode store at ${storeFile}. Run 'npm run build' or 'npm run update' first.`);
+  }
+
+  log.info(`Checking ${store.episodes.size} audio URLs…`);
+  const result = await checkStoreLinks(store, {
+    remove: options.removeMissing,
+    delayMs: options.checkDelayMs,
+  });
+
+  for (const record of result.missing) {
+    const state = record.removedAt ? "removed from feeds" : "still in feeds";
+    log.info(`Missing since ${record.missingSince.slice(0, 10)} (${state}): "${record.title}" ${record.audioUrl}`);
+  }
+  for (const record of result.recovered) {
+    log.info(`Back online: "${record.title}" ${record.audioUrl}`);
+  }
+  log.info(
+    `Checked ${result.checked}: ${result.missing.length} missing, ${result.removed.length} newly removed, ` +
+      `${result.recovered.length} recovered, ${result.failed} could not be checked.`
+  );
+
+  await saveStore(storeFile, store);
+  if (result.removed.length > 0 || result.recovered.length > 0) {
+    await writeSeriesFeeds(series, store);
+  }
+}
+
+async function main() {
+  let run;
+  try {
+    run = await resolveRunConfig("check-links");
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (run.help) {
+    log.info(formatHelp("check-links"));
+    return;
+  }
+
+  for (const series of run.seriesList) {
+    setLogContext({ series: series.name });
+    try {
+      await checkSeries(series, run.options);
+    } catch (err) {
+      log.error(`Error while checking links of ${series.name}: ${err.message}`);
+      log.debug(err.stack);
+      process.exitCode = 1;
+    }
+  }
+  setLogContext(null);
+}
+
+main();
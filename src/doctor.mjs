@@ -0,0 +1,65 @@
+// doctor.mjs
+//
+// Selector health check: loads each series page headless (or reads a saved
+// snapshot with --from-html), runs the extractor over it and reports what
+// each selector step and date strategy found (see lib/doctor.mjs). The DOM
+// of articles that didn't make a complete episode is written to
+// <dump dir>/<series>-failing-articles.html. Exits non-zero when a page
+// is unhealthy, so it can run in CI after a failed update.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { loadSeriesPage, diagnosePage, formatDiagnosis, failureDump, isHealthy } from "./lib/doctor.mjs";
+import { resolveRunConfig, formatHelp, formatEffectiveConfig } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor, setLogContext } from "./lib/log.mjs";
+
+async function examineSeries(series, options) {
+  log.info(`\n=== ${series.name} ===`);
+  log.info(formatEffectiveConfig("doctor", series, options));
+
+  const page = await loadSeriesPage(series, options);
+  log.info(`Diagnosing ${page.url} (via ${page.via})`);
+  const report = diagnosePage(page, series);
+
+  const dump = failureDump(report, page);
+  let dumpFile;
+  if (dump) {
+    dumpFile = path.join(options.dumpDir, `${series.name}-failing-articles.html`);
+    await mkdir(options.dumpDir, { recursive: true });
+    await writeFile(dumpFile, dump, "utf8");
+  }
+  log.info(formatDiagnosis(report, { dumpFile }));
+  return isHealthy(report);
+}
+
+async function main() {
+  let run;
+  try {
+    run = await resolveRunConfig("doctor");
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (run.help) {
+    log.info(formatHelp("doctor"));
+    return;
+  }
+
+  for (const series of run.seriesList) {
+    setLogContext({ series: series.name });
+    try {
+      if (!(await examineSeries(series, run.options))) process.exitCode = 1;
+    } catch (err) {
+      log.error(`Error while diagnosing ${series.name}: ${err.message}`);
+      log.debug(err.stack);
+      process.exitCode = 1;
+    }
+  }
+  setLogContext(null);
+}
+
+main();
@@ -0,0 +1,307 @@
+// browser.mjs
+//
+// Playwright helpers shared by the full scraper and the incremental updater:
+// opening the series archive, expanding it with ".options__load-more" and
+// running the shared extractor inside the page.
+
+import { chromium } from "playwright";
+import { extractEpisodesFromDocument, findChannelImage, extractedVia } from "./extract.mjs";
+import { DEFAULT_PROFILE, seriesProfile } from "./profile.mjs";
+import { USER_AGENT } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+export async function launchBrowser() {
+  const browser = await chromium.launch({ headless: true });
+  const context = await browser.newContext({ userAgent: USER_AGENT });
+  const page = await context.newPage();
+
+  page.setDefaultNavigationTimeout(120_000);
+  page.setDefaultTimeout(60_000);
+
+  return { browser, page };
+}
+
+/** Run one of the self-contained extract.mjs functions against the page's document. */
+function evaluateInPage(page, fn, options = {}) {
+  return page.evaluate(`(${fn.toString()})(document, ${JSON.stringify(options)})`);
+}
+
+export const DEFAULT_LOAD_TIMEOUT_MS = 15_000;
+export const DEFAULT_CLICK_TIMEOUT_MS = 20_000;
+
+// The request the "load more" button makes (see http-source.mjs)
+const PAGINATION_REQUEST = /\/render\/partial\//;
+
+// A click that adds nothing is retried once before giving up
+const MAX_STALLED_CLICKS = 2;
+// Prevents infinite loops
+const MAX_CLICKS = 50;
+
+function listEpisodes(page, profile) {
+  return evaluateInPage(page, extractEpisodesFromDocument, { baseUrl: page.url(), profile });
+}
+
+export async function countEpisodes(page, profile = DEFAULT_PROFILE) {
+  return (await listEpisodes(page, profile)).length;
+}
+
+/** Wait until the listing has its first story; false when it never shows up. */
+async function waitForStories(page, profile, timeoutMs) {
+  try {
+    await page.waitForSelector(profile.article, { state: "attached", timeout: timeoutMs });
+    return true;
+  } catch {
+    log.warn(`no ${profile.article} appeared within ${timeoutMs} ms.`);
+    return false;
+  }
+}
+
+/**
+ * Open the series page and follow its dedicated archive link if it has one.
+ * The profile's `archiveLink` may be set to "" for series without such a link.
+ */
+export async function gotoArchive(
+  page,
+  seriesUrl,
+  { profile = DEFAULT_PROFILE, loadTimeoutMs = DEFAULT_LOAD_TIMEOUT_MS } = {}
+) {
+  const { archiveLink } = profile;
+  log.debug(`Loading series page: ${seriesUrl}`);
+
+  await page.goto(seriesUrl, {
+    waitUntil: "domcontentloaded",
+    timeout: 120_000,
+  });
+
+  if (!archiveLink) return;
+
+  // If there is a separate archive/“More from …” link, click it.
+  const moreLink = page.locator(archiveLink);
+
+  if ((await moreLink.count()) > 0) {
+    log.debug(`Clicking archive link (${archiveLink})`);
+    await moreLink.first().click();
+    await page.waitForLoadState("domcontentloaded");
+    await waitForStories(page, profile, loadTimeoutMs);
+  } else {
+    log.debug(`No dedicated archive link found (${archiveLink}).`);
+  }
+}
+
+/**
+ * Click "load more" once and wait for the first observable outcome: more
+ * stories in the DOM, or the button going away. The pagination response is
+ * tracked for the log. Resolves to { signal, added, ms, status } where
+ * signal is "stories", "button-gone" or "timeout".
+ */
+async function clickLoadMore(page, button, { profile, timeoutMs }) {
+  const { article, loadMore } = profile;
+  const before = await page.locator(article).count();
+  const started = Date.now();
+
+  const response = page
+    .waitForResponse((res) => PAGINATION_REQUEST.test(res.url()), { timeout: timeoutMs })
+    .catch(() => null);
+
+  await button.click({ force: true });
+
+  const grew = page
+    .waitForFunction(
+      ([sel, count]) => document.querySelectorAll(sel).length > count,
+      [article, before],
+      { timeout: timeoutMs }
+    )
+    .then(() => "stories", () => "timeout");
+  const gone = page
+    .locator(loadMore)
+    .first()
+    .waitFor({ state: "hidden", timeout: timeoutMs })
+    .then(() => "button-gone", () => "timeout");
+
+  const signal = await clickSignal(grew, gone);
+  const res = await Promise.race([response, Promise.resolve(null)]);
+  const added = (await page.locator(article).count()) - before;
+  return { signal, added, ms: Date.now() - started, status: res ? res.status() : null };
+}
+
+/**
+ * What a click led to, from two waiters that settle with "stories" (more
+ * stories appeared) or "button-gone" (the button hid), or "timeout":
+ * "stories", "button-gone" (the end of the archive) or "timeout".
+ */
+export async function clickSignal(grew, gone, { settleMs = 2000 } = {}) {
+  let signal = await Promise.race([grew, gone]);
+  if (signal === "button-gone") {
+    // The button also hides while a page loads; give the stories a moment
+    signal = await Promise.race([grew, new Promise((resolve) => setTimeout(resolve, settleMs, "button-gone"))]);
+  }
+  if (signal === "timeout") signal = await grew; // the other waiter timed out first
+  return signal;
+}
+
+/**
+ * The stall count after a click that added `added` stories, and whether
+ * expansion should give up: a click that adds nothing is retried until
+ * MAX_STALLED_CLICKS of them in a row.
+ */
+export function afterClick(added, stalledClicks) {
+  const stalled = added > 0 ? 0 : stalledClicks + 1;
+  return { stalledClicks: stalled, stop: stalled >= MAX_STALLED_CLICKS };
+}
+
+/**
+ * Why expansion should stop before the next click, given the episodes on
+ * the page: "stopWhen" when `stopWhen(episodes)` holds (the updater has
+ * reached a stored episode, so the gap since the last run is loaded),
+ * "limit" at `maxEpisodes`, "safety" after `maxClicks` clicks; "" to go on.
+ */
+export function stopReason({ episodes, maxEpisodes = Infinity, stopWhen, clicks, maxClicks = MAX_CLICKS }) {
+  if (stopWhen?.(episodes)) return "stopWhen";
+  if (episodes.length >= maxEpisodes) return "limit";
+  if (clicks >= maxClicks) return "safety";
+  return "";
+}
+
+/**
+ * Click "load more" until `maxEpisodes` are on the page, the button goes
+ * away or stops adding stories, or `stopWhen(episodes)` returns true for
+ * the episodes loaded so far. Each click waits for new stories (or the
+ * button disappearing) rather than a fixed delay, up to `clickTimeoutMs`.
+ *
+ * @returns {Promise<{ count: number, clicks: number, stoppedBy: string,
+ *   clickTimings: { click: number, ms: number, added: number, signal: string }[] }>}
+ *   stoppedBy is "stopWhen", "limit", "end" or "safety"
+ */
+export async function expandAllStories(
+  page,
+  {
+    maxEpisodes,
+    profile = DEFAULT_PROFILE,
+    stopWhen,
+    loadTimeoutMs = DEFAULT_LOAD_TIMEOUT_MS,
+    clickTimeoutMs = DEFAULT_CLICK_TIMEOUT_MS,
+  }
+) {
+  const { loadMore } = profile;
+  log.info(`Expanding stories via ${loadMore} (up to ${maxEpisodes} episodes)…`);
+
+  await waitForStories(page, profile, loadTimeoutMs);
+
+  let clickCount = 0;
+  let stalledClicks = 0;
+  let stoppedBy = "end";
+  const clickTimings = [];
+
+  while (true) {
+    // Check current episode count before clicking
+    const episodes = await listEpisodes(page, profile);
+    const currentEpisodeCount = episodes.length;
+
+    const reason = stopReason({ episodes, maxEpisodes, stopWhen, clicks: clickCount });
+    if (reason === "stopWhen") {
+      log.debug(`Stop condition met (${currentEpisodeCount} episodes found) — stopping.`);
+    } else if (reason === "limit") {
+      log.debug(`Reached episode limit of ${maxEpisodes} (found ${currentEpisodeCount}) — stopping.`);
+    } else if (reason === "safety") {
+      log.warn(`maximum click limit reached (${MAX_CLICKS}) — stopping to prevent infinite loop.`);
+    }
+    if (reason) {
+      stoppedBy = reason;
+      break;
+    }
+
+    const btn = page.locator(loadMore).first();
+    const visible = await btn.isVisible().catch(() => false);
+    if (!visible) {
+      log.debug(`No visible "${loadMore}" button (${currentEpisodeCount} episodes found) — stopping.`);
+      break;
+    }
+
+    clickCount++;
+    let outcome;
+    try {
+      outcome = await clickLoadMore(page, btn, { profile, timeoutMs: clickTimeoutMs });
+    } catch (e) {
+      log.warn(`failed clicking "${loadMore}": ${e.message}`);
+      break;
+    }
+    clickTimings.push({ click: clickCount, ms: outcome.ms, added: outcome.added, signal: outcome.signal });
+
+    const response = outcome.status ? `, pagination response ${outcome.status}` : "";
+    log.debug(
+      `Click ${clickCount}: +${outcome.added} stories in ${(outcome.ms / 1000).toFixed(1)}s ` +
+        `(${outcome.signal}${response})`
+    );
+
+    const stall = afterClick(outcome.added, stalledClicks);
+    stalledClicks = stall.stalledClicks;
+    if (stall.stop) {
+      log.debug(`No new stories after ${stalledClicks} clicks — stopping.`);
+      break;
+    }
+  }
+
+  const count = await countEpisodes(page, profile);
+  const totalMs = clickTimings.reduce((sum, t) => sum + t.ms, 0);
+  log.info(
+    `Finished expanding. Final episode count: ${count} ` +
+      `(${clickCount} clicks, ${(totalMs / 1000).toFixed(1)}s waiting)`
+  );
+  return { count, clicks: clickCount, stoppedBy, clickTimings };
+}
+
+export async function scrapeChannelImage(page) {
+  log.debug("Looking for channel image…");
+  const url = await evaluateInPage(page, findChannelImage, { baseUrl: page.url() });
+
+  if (url) {
+    log.debug(`Channel image found: ${url}`);
+  } else {
+    log.info("No channel image found; feed will have no <image>.");
+  }
+
+  return url;
+}
+
+/**
+ * Collect episodes from the loaded page.
+ *
+ * @param {import("playwright").Page} page
+ * @param {{ limit?: number, profile?: object }} [options] limit caps the number of episodes returned
+ */
+export async function scrapeEpisodes(page, { limit, profile = DEFAULT_PROFILE } = {}) {
+  log.debug("Collecting episodes from page…");
+
+  const episodes = await evaluateInPage(page, extractEpisodesFromDocument, {
+    baseUrl: page.url(),
+    limit,
+    profile,
+  });
+
+  log.info(`Found ${episodes.length} episodes with MP3 download links${extractedVia(episodes)}.`);
+  return episodes;
+}
+
+/**
+ * The whole browser scrape of one series: archive page, expansion, channel
+ * image and episodes. Same result shape as scrapeSeriesHttp().
+ */
+export async function scrapeSeriesBrowser(
+  page,
+  series,
+  { maxEpisodes = Infinity, stopWhen, loadTimeoutMs, clickTimeoutMs } = {}
+) {
+  const profile = seriesProfile(series);
+  await gotoArchive(page, series.url, { profile, loadTimeoutMs });
+  const { clicks, stoppedBy, clickTimings } = await expandAllStories(page, {
+    maxEpisodes,
+    profile,
+    stopWhen,
+    loadTimeoutMs,
+    clickTimeoutMs,
+  });
+
+  const channelImageUrl = await scrapeChannelImage(page);
+  const episodes = await scrapeEpisodes(page, { limit: maxEpisodes, profile });
+  return { channelImageUrl, episodes, clicks, clickTimings, stoppedBy };
+}
@@ -0,0 +1,383 @@
+// cli.mjs
+//
+// Command line for `build`, `update`, `check-links`, `validate`, `doctor`,
+// `proxy` and `site`. Every option can come from a named flag or an
+// environment variable (flag wins); series settings then fall back to
+// feeds.config.json and the built-in defaults. The OPTIONS table is the
+// single list of what exists, and drives parsing, validation and --help.
+
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_CONFIG_FILE,
+  loadFeedsConfig,
+  selectSeries,
+  applySeriesOverrides,
+  archiveSettings,
+  derivedFeedSettings,
+} from "./config.mjs";
+import { DEFAULT_STORY_CACHE_DIR, DEFAULT_ENRICH_DELAY_MS } from "./enrich.mjs";
+import { SOURCE_MODES } from "./source.mjs";
+import { DEFAULT_HTTP_TIMEOUT_MS } from "./http-source.mjs";
+import { storePathFor } from "./store.mjs";
+import { DEFAULT_CHECK_DELAY_MS } from "./link-check.mjs";
+import { DEFAULT_DUMP_DIR } from "./doctor.mjs";
+import { DEFAULT_PROXY_PORT, DEFAULT_PROXY_HOST } from "./proxy.mjs";
+import { DEFAULT_SITE_DIR } from "./site.mjs";
+import { DEFAULT_NOTIFY_RETRIES, ledgerPathFor } from "./notify.mjs";
+import { DEFAULT_REPORT_DIR } from "./report.mjs";
+import { DEFAULT_LOAD_TIMEOUT_MS, DEFAULT_CLICK_TIMEOUT_MS } from "./browser.mjs";
+import { log } from "./log.mjs";
+
+const BOTH = ["build", "update"];
+// Commands that read or write a series' store and feeds
+const SERIES_COMMANDS = [...BOTH, "check-links"];
+// Commands that read a series page
+const PAGE_COMMANDS = [...BOTH, "doctor"];
+const ALL_COMMANDS = [...SERIES_COMMANDS, "validate", "doctor", "proxy", "site", "notify"];
+
+/**
+ * type: "string" | "int" | "boolean"; `choices` limits a string. `negate` flags set their key to false
+ * (`--no-head` → enclosureHead: false) while the env var keeps its positive
+ * meaning (ENCLOSURE_HEAD=off).
+ */
+export const OPTIONS = [
+  { flag: "series", env: "SERIES", type: "string", arg: "<name>", commands: ALL_COMMANDS,
+    help: "Only this series from the config file" },
+  { flag: "config", env: "FEEDS_CONFIG", type: "string", arg: "<file>", commands: ALL_COMMANDS,
+    help: `Series config file (default ${DEFAULT_CONFIG_FILE})` },
+  { flag: "series-url", key: "url", env: "SERIES_URL", type: "string", arg: "<url>",
+    commands: [...SERIES_COMMANDS, "doctor"], help: "NPR series page (single series only)" },
+  { flag: "output", env: "OUTPUT_FILE", type: "string", arg: "<file>", commands: [...SERIES_COMMANDS, "validate", "proxy", "site", "notify"],
+    help: "Feed file to write (single series only)" },
+  { flag: "self-url", key: "selfUrl", env: "SELF_FEED_URL", type: "string", arg: "<url>",
+    commands: [...SERIES_COMMANDS, "site", "notify"], help: "Public URL of the feed (single series only)" },
+  { flag: "store", env: "EPISODE_STORE", type: "string", arg: "<file>", commands: [...SERIES_COMMANDS, "site", "notify"],
+    help: "Episode store file (single series only)" },
+  { flag: "max-episodes", key: "maxEpisodes", env: "MAX_EPISODES", type: "int", min: 1, arg: "<n>",
+    commands: SERIES_COMMANDS, help: "Episode cap for each feed" },
+  { flag: "source", env: "SCRAPE_SOURCE", type: "string", choices: SOURCE_MODES, arg: "<mode>",
+    default: "auto", commands: PAGE_COMMANDS, help: "auto (HTTP, browser as fallback), http or browser" },
+  { flag: "request-timeout-ms", key: "requestTimeoutMs", env: "REQUEST_TIMEOUT_MS", type: "int", min: 1, arg: "<ms>",
+    default: DEFAULT_HTTP_TIMEOUT_MS, commands: PAGE_COMMANDS, help: "HTTP: give up on a series or pagination page request after this" },
+  { flag: "load-timeout-ms", key: "loadTimeoutMs", env: "LOAD_TIMEOUT_MS", type: "int", min: 1, arg: "<ms>",
+    default: DEFAULT_LOAD_TIMEOUT_MS, commands: PAGE_COMMANDS, help: "Browser: wait for the first stories to appear" },
+  { flag: "click-timeout-ms", key: "clickTimeoutMs", env: "CLICK_TIMEOUT_MS", type: "int", min: 1, arg: "<ms>",
+    default: DEFAULT_CLICK_TIMEOUT_MS, commands: BOTH, help: "Browser: wait for new stories after each click" },
+  { flag: "from-html", key: "fromHtml", env: "FROM_HTML", type: "string", arg: "<file>",
+    commands: ["build", "doctor"], help: "Read a saved series page instead of the live one" },
+  { flag: "repair-descriptions", key: "repairDescriptions", env: "REPAIR_DESCRIPTIONS", type: "boolean",
+    commands: ["update"], help: "Also clean up descriptions of stored episodes" },
+  { flag: "rewrite-legacy-guids", key: "keepLegacyGuids", env: "KEEP_LEGACY_GUIDS", type: "boolean", negate: true,
+    default: true, commands: BOTH, help: "Also give already-published episodes stable guids when migrating a store" },
+  { flag: "enrich", env: "ENRICH", type: "boolean", commands: BOTH,
+    help: "Add show notes, musicians and artwork from story pages" },
+  { flag: "story-cache-dir", key: "storyCacheDir", env: "STORY_CACHE_DIR", type: "string", arg: "<dir>",
+    default: DEFAULT_STORY_CACHE_DIR, commands: BOTH, help: "Cache for fetched story pages" },
+  { flag: "enrich-delay-ms", key: "enrichDelayMs", env: "ENRICH_DELAY_MS", type: "int", min: 0, arg: "<ms>",
+    default: DEFAULT_ENRICH_DELAY_MS, commands: BOTH, help: "Pause between story page requests" },
+  { flag: "no-head", key: "enclosureHead", env: "ENCLOSURE_HEAD", type: "boolean", negate: true,
+    default: true, commands: BOTH, help: "Don't send HEAD requests for enclosure sizes" },
+  { flag: "head-endpoint", key: "enclosureHeadEndpoint", env: "ENCLOSURE_HEAD_ENDPOINT", type: "string",
+    arg: "<url>", default: "", commands: BOTH, help: "URL template for HEAD requests ({url} = audio URL)" },
+  { flag: "force", env: "FORCE_WRITE", type: "boolean", commands: BOTH,
+    help: "Write the feeds even when the scrape looks broken (see guard.mjs)" },
+  { flag: "dry-run", key: "dryRun", env: "DRY_RUN", type: "boolean", commands: BOTH,
+    help: "Print what would change in each feed instead of writing anything" },
+  { flag: "notify-webhooks", key: "notifyWebhooks", env: "NOTIFY_WEBHOOKS", type: "string", arg: "<urls>",
+    default: "", commands: ["update", "notify"], help: "POST new episodes as JSON to these URLs (comma-separated)" },
+  { flag: "notify-digest", key: "notifyDigest", env: "NOTIFY_DIGEST", type: "string", arg: "<file>", default: "",
+    commands: ["update", "notify"], help: "Write new episodes to a digest file (.html for HTML, else text)" },
+  { flag: "notify-retries", key: "notifyRetries", env: "NOTIFY_RETRIES", type: "int", min: 0, arg: "<n>",
+    default: DEFAULT_NOTIFY_RETRIES, commands: ["notify"], help: "Retries of a failed webhook delivery" },
+  { flag: "remove", key: "removeMissing", env: "REMOVE_MISSING", type: "boolean", commands: ["check-links"],
+    help: "Leave episodes whose audio is gone out of the feeds" },
+  { flag: "check-delay-ms", key: "checkDelayMs", env: "CHECK_DELAY_MS", type: "int", min: 0, arg: "<ms>",
+    default: DEFAULT_CHECK_DELAY_MS, commands: ["check-links"], help: "Pause between audio URL checks" },
+  { flag: "strict", env: "VALIDATE_STRICT", type: "boolean", commands: ["validate"],
+    help: "Fail on warnings (Zune quirks) as well as errors" },
+  { flag: "dump-dir", key: "dumpDir", env: "DOCTOR_DUMP_DIR", type: "string", arg: "<dir>",
+    default: DEFAULT_DUMP_DIR, commands: ["doctor"], help: "Where the DOM of failing articles is written" },
+  { flag: "port", env: "PROXY_PORT", type: "int", min: 0, arg: "<n>", default: DEFAULT_PROXY_PORT,
+    commands: ["proxy"], help: "Port to listen on (0: any free port)" },
+  { flag: "host", env: "PROXY_HOST", type: "string", arg: "<address>", default: DEFAULT_PROXY_HOST,
+    commands: ["proxy"], help: "Address to listen on" },
+  { flag: "public-url", key: "publicUrl", env: "PROXY_PUBLIC_URL", type: "string", arg: "<url>", default: "",
+    commands: ["proxy"], help: "Base URL devices reach the proxy at (default: from each request's Host)" },
+  { flag: "site-dir", key: "siteDir", env: "SITE_DIR", type: "string", arg: "<dir>", default: DEFAULT_SITE_DIR,
+    commands: ["site"], help: "Where the website is written (replaced on every run)" },
+  { flag: "quiet", env: "LOG_QUIET", type: "boolean", commands: ALL_COMMANDS,
+    help: "Only log warnings and errors" },
+  { flag: "verbose", env: "LOG_VERBOSE", type: "boolean", commands: ALL_COMMANDS,
+    help: "Also log each click, page request and enclosure lookup" },
+  { flag: "json", key: "logJson", env: "LOG_JSON", type: "boolean", commands: ALL_COMMANDS,
+    help: "Log one JSON object per line instead of text" },
+  { flag: "report", env: "RUN_REPORT", type: "string", arg: "<file>", default: "", commands: BOTH,
+    help: `Where the JSON run report is written (default ${DEFAULT_REPORT_DIR}/<command>.json)` },
+  { flag: "summary", env: "RUN_SUMMARY", type: "string", arg: "<file>", default: "", commands: BOTH,
+    help: "Append a Markdown summary of the run to this file (e.g. $GITHUB_STEP_SUMMARY)" },
+  { flag: "help", short: "h", type: "boolean", commands: ALL_COMMANDS, help: "Show this help" },
+];
+
+const COMMANDS = {
+  build: {
+    script: "src/scrape-jazz-night.mjs",
+    summary: "Scrape each series' full archive and write its feed.",
+    // Old `build:custom` positional order, still accepted
+    positionals: ["url", "output", "maxEpisodes", "selfUrl"],
+  },
+  update: {
+    script: "src/update-jazz-night.mjs",
+    summary: "Add new episodes from each series page to its existing feed.",
+    positionals: [],
+  },
+  validate: {
+    script: "src/validate-feed.mjs",
+    summary: "Check each series' generated feeds against RSS 2.0, podcast and Zune constraints.",
+    positionals: [],
+  },
+  doctor: {
+    script: "src/doctor.mjs",
+    summary: "Check how each series page's stories fare against the extractor's selectors and date strategies.",
+    positionals: [],
+  },
+  proxy: {
+    script: "src/proxy-server.mjs",
+    summary: "Serve the generated feeds over plain HTTP for Zune devices, proxying the audio downloads.",
+    positionals: [],
+  },
+  site: {
+    script: "src/build-site.mjs",
+    summary: "Render the static website (episode list, episode pages, subscribe instructions) from each series' store.",
+    positionals: [],
+  },
+  "check-links": {
+    script: "src/check-links.mjs",
+    summary: "Check that every stored episode's audio file still exists and flag the ones that are gone.",
+    positionals: [],
+  },
+  notify: {
+    script: "src/send-notifications.mjs",
+    summary: "Send the new episodes update queued to the webhooks and the digest.",
+    positionals: [],
+  },
+};
+
+// Keys that override series settings rather than run settings
+const SERIES_KEYS = ["url", "output", "selfUrl", "store", "maxEpisodes"];
+
+function keyOf(option) {
+  return option.key || option.flag;
+}
+
+function optionsFor(command) {
+  return OPTIONS.filter((option) => option.commands.includes(command));
+}
+
+function parseBoolean(text, source) {
+  if (/^(1|true|yes|on)$/i.test(text)) return true;
+  if (/^(0|false|no|off|)$/i.test(text)) return false;
+  throw new Error(`${source} must be on/off, got "${text}"`);
+}
+
+function parseValue(option, text, source) {
+  if (option.type === "boolean") return parseBoolean(text, source);
+  if (option.type === "int") {
+    if (!/^\d+$/.test(text.trim()) || parseInt(text, 10) < option.min) {
+      throw new Error(`${source} must be a whole number of at least ${option.min}, got "${text}"`);
+    }
+    return parseInt(text, 10);
+  }
+  if (option.choices && !option.choices.includes(text)) {
+    throw new Error(`${source} must be one of ${option.choices.join(", ")}, got "${text}"`);
+  }
+  return text;
+}
+
+/**
+ * Options for one command from argv and env. Unknown flags and malformed
+ * values throw.
+ *
+ * @param {"build"|"update"|"check-links"|"validate"|"doctor"|"proxy"|"site"|"notify"} command
+ * @param {string[]} argv  arguments after the script name
+ * @param {object}   env
+ * @returns {{ options: object, positionals: string[] }}
+ */
+export function parseOptions(command, argv, env = {}) {
+  const known = optionsFor(command);
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: Object.fromEntries(
+      known.map((option) => [
+        option.flag,
+        { type: option.type === "boolean" ? "boolean" : "string", ...(option.short && { short: option.short }) },
+      ])
+    ),
+    strict: true,
+    allowPositionals: true,
+  });
+
+  const options = {};
+  for (const option of known) {
+    const key = keyOf(option);
+    const flagValue = values[option.flag];
+    if (flagValue !== undefined) {
+      options[key] =
+        option.type === "boolean"
+          ? !option.negate
+          : parseValue(option, flagValue, `--${option.flag}`);
+    } else if (option.env && env[option.env] !== undefined && env[option.env] !== "") {
+      options[key] = parseValue(option, env[option.env], option.env);
+    } else if (option.default !== undefined) {
+      options[key] = option.default;
+    } else if (option.type === "boolean") {
+      options[key] = false;
+    }
+  }
+  return { options, positionals };
+}
+
+/**
+ * Everything a run needs: run options plus the selected, overridden and
+ * validated series. Returns `{ help: true }` when --help was given.
+ */
+export async function resolveRunConfig(command, argv = process.argv.slice(2), env = process.env) {
+  const { options, positionals } = parseOptions(command, argv, env);
+  if (options.help) return { help: true, options, seriesList: [] };
+
+  const positionalKeys = COMMANDS[command].positionals;
+  if (positionals.length > positionalKeys.length) {
+    throw new Error(`Unexpected argument "${positionals[positionalKeys.length]}"`);
+  }
+  if (positionals.length > 0) {
+    log.warn("positional arguments are deprecated; use --series-url, --output, --max-episodes, --self-url.");
+    positionals.forEach((text, index) => {
+      const key = positionalKeys[index];
+      const option = OPTIONS.find((candidate) => keyOf(candidate) === key);
+      options[key] ??= parseValue(option, text, `argument ${index + 1} (${key})`);
+    });
+  }
+
+  const config = await loadFeedsConfig(options.config || DEFAULT_CONFIG_FILE, {
+    explicit: Boolean(options.config),
+  });
+  const overrides = Object.fromEntries(SERIES_KEYS.map((key) => [key, options[key]]));
+  const seriesList = applySeriesOverrides(selectSeries(config, options.series), overrides);
+
+  if (options.fromHtml && seriesList.length > 1) {
+    throw new Error("--from-html reads a single series page; pick one with --series <name>");
+  }
+
+  return { help: false, options, seriesList };
+}
+
+/** --help text for one command. */
+export function formatHelp(command) {
+  const { script, summary } = COMMANDS[command];
+  const rows = optionsFor(command).map((option) => {
+    const flags = `${option.short ? `-${option.short}, ` : ""}--${option.flag}${option.arg ? ` ${option.arg}` : ""}`;
+    const env = option.env ? ` [${option.env}]` : "";
+    return `  ${flags.padEnd(30)} ${option.help}${env}`;
+  });
+  return [
+    `Usage: node ${script} [options]`,
+    "",
+    summary,
+    "",
+    "Options (environment variable in brackets; flags win over env, both over feeds.config.json):",
+    ...rows,
+  ].join("\n");
+}
+
+/** The settings a series will actually run with. */
+export function formatEffectiveConfig(command, series, options) {
+  if (command === "check-links") {
+    return [
+      "Configuration:",
+      `  EPISODE_STORE: ${storePathFor(series)}`,
+      `  OUTPUT_FILE: ${series.output}`,
+      `  REMOVE_MISSING: ${options.removeMissing ? "on" : "off"}`,
+      `  CHECK_DELAY_MS: ${options.checkDelayMs}`,
+    ].join("\n");
+  }
+  if (command === "proxy") {
+    const archive = archiveSettings(series);
+    return [
+      "Configuration:",
+      `  OUTPUT_FILE: ${series.output}`,
+      ...(archive ? [`  ARCHIVE: ${archive.output} + pages (${archive.pageOutput("N")})`] : []),
+      `  PROXY: ${options.host}:${options.port}`,
+      ...(options.publicUrl ? [`  PROXY_PUBLIC_URL: ${options.publicUrl}`] : []),
+    ].join("\n");
+  }
+  if (command === "site") {
+    return [
+      "Configuration:",
+      `  EPISODE_STORE: ${storePathFor(series)}`,
+      `  SELF_FEED_URL: ${series.selfUrl}`,
+      `  SITE_DIR: ${options.siteDir}`,
+    ].join("\n");
+  }
+  if (command === "notify") {
+    // Webhook URLs often embed a secret, so only their number is shown
+    const webhooks = options.notifyWebhooks.split(/[\s,]+/).filter(Boolean).length;
+    return [
+      "Configuration:",
+      `  NOTIFICATION_LEDGER: ${ledgerPathFor(series)}`,
+      `  NOTIFY_WEBHOOKS: ${webhooks} webhook(s), ${options.notifyRetries} retries`,
+      ...(options.notifyDigest ? [`  NOTIFY_DIGEST: ${options.notifyDigest}`] : []),
+    ].join("\n");
+  }
+  if (command === "doctor") {
+    return [
+      "Configuration:",
+      `  SERIES_URL: ${series.url}`,
+      ...(Object.keys(series.selectors).length > 0 ? [`  SELECTORS: ${JSON.stringify(series.selectors)}`] : []),
+      options.fromHtml ? `  FROM_HTML: ${options.fromHtml}` : `  SOURCE: ${options.source}`,
+      `  DOCTOR_DUMP_DIR: ${options.dumpDir}`,
+    ].join("\n");
+  }
+  const lines = [
+    "Configuration:",
+    `  SERIES_URL: ${series.url}`,
+    `  OUTPUT_FILE: ${series.output}`,
+    `  EPISODE_STORE: ${storePathFor(series)}`,
+    `  MAX_EPISODES: ${series.maxEpisodes}`,
+    `  SELF_FEED_URL: ${series.selfUrl}`,
+  ];
+  const archive = archiveSettings(series);
+  if (archive) {
+    lines.push(`  ARCHIVE: ${archive.output} + pages of ${archive.pageSize} (${archive.pageOutput("N")})`);
+  }
+  const derived = derivedFeedSettings(series);
+  if (derived.length > 0) {
+    lines.push(`  DERIVED: ${derived.map((feed) => `${feed.output} (${feed.name})`).join(", ")}`);
+  }
+  if (Object.keys(series.selectors).length > 0) {
+    lines.push(`  SELECTORS: ${JSON.stringify(series.selectors)}`);
+  }
+  if (options.fromHtml) {
+    lines.push(`  FROM_HTML: ${options.fromHtml}`);
+  } else {
+    lines.push(`  SOURCE: ${options.source}`);
+    if (options.source !== "browser") lines.push(`  REQUEST_TIMEOUT_MS: ${options.requestTimeoutMs}`);
+    if (options.source !== "http") {
+      lines.push(`  BROWSER_TIMEOUTS: load ${options.loadTimeoutMs} ms, click ${options.clickTimeoutMs} ms`);
+    }
+  }
+  if (options.dryRun) lines.push("  DRY_RUN: on (nothing is written)");
+  if (options.force) lines.push("  FORCE_WRITE: on (anomaly guard only warns)");
+  if (options.repairDescriptions) lines.push("  REPAIR_DESCRIPTIONS: on");
+  if (options.keepLegacyGuids === false) lines.push("  KEEP_LEGACY_GUIDS: off (published guids are rewritten)");
+  lines.push(
+    `  ENCLOSURE_HEAD: ${options.enclosureHead ? options.enclosureHeadEndpoint || "on" : "off"}`
+  );
+  if (options.notifyWebhooks || options.notifyDigest) {
+    // Webhook URLs often embed a secret, so only their number is shown
+    const webhooks = options.notifyWebhooks.split(/[\s,]+/).filter(Boolean).length;
+    lines.push(`  NOTIFY: queued for ${webhooks} webhook(s)${options.notifyDigest ? " and the digest" : ""}`);
+  }
+  if (options.enrich) {
+    lines.push(`  ENRICH: on (cache ${options.storyCacheDir}, ${options.enrichDelayMs} ms between requests)`);
+  }
+  return lines.join("\n");
+}
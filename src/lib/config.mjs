@@ -0,0 +1,385 @@
+// config.mjs
+//
+// Series configuration. feeds.config.json lists every NPR series we build a
+// feed for; `build` and `update` run over all of them, or over the one
+// named with `--series <name>`. Without a config file the single Jazz Night
+// series from constants.mjs is used, so existing setups keep working.
+//
+// Example feeds.config.json:
+//
+//   {
+//     "defaults": { "maxEpisodes": 100 },
+//     "series": [
+//       {
+//         "name": "jazz-night",
+//         "url": "https://www.npr.org/series/347174538/jazz-night-radio",
+//         "title": "Jazz Night In America: The Radio Program",
+//         "output": "feeds/jazz-night-zune.xml",
+//         "selfUrl": "https://cardner.github.io/jazz-night-feed/jazz-night-zune.xml",
+//         "archive": { "title": "Jazz Night In America (Full Archive)", "pageSize": 50 },
+//         "derived": [
+//           { "name": "carnegie-hall", "title": "Jazz Night at Carnegie Hall", "match": { "venue": "Carnegie Hall" } }
+//         ]
+//       },
+//       {
+//         "name": "tiny-desk",
+//         "url": "https://www.npr.org/series/tiny-desk-concerts/",
+//         "title": "Tiny Desk Concerts (Audio)",
+//         "output": "feeds/tiny-desk-zune.xml",
+//         "selfUrl": "https://cardner.github.io/jazz-night-feed/tiny-desk-zune.xml",
+//         "maxEpisodes": 50,
+//         "selectors": { "archiveLink": "" }
+//       }
+//     ]
+//   }
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  DEFAULT_SERIES_URL,
+  DEFAULT_OUTPUT_FILE,
+  DEFAULT_MAX_EPISODES,
+  DEFAULT_SELF_FEED_URL,
+  FEED_TITLE,
+  FEED_DESCRIPTION,
+  FEED_LANGUAGE,
+} from "./constants.mjs";
+import { createChannel } from "./feed.mjs";
+import { validateSelectors } from "./profile.mjs";
+import { validateRule } from "./filters.mjs";
+import { storePathFor } from "./store.mjs";
+import { ledgerPathFor } from "./notify.mjs";
+
+export const DEFAULT_CONFIG_FILE = "feeds.config.json";
+export const DEFAULT_ARCHIVE_PAGE_SIZE = 50;
+
+/** Settings every series inherits unless the config's "defaults" or the entry overrides them. */
+const SERIES_DEFAULTS = {
+  language: FEED_LANGUAGE,
+  maxEpisodes: DEFAULT_MAX_EPISODES,
+  selectors: {},
+};
+
+/** The series used when there is no config file. */
+export const DEFAULT_SERIES = {
+  ...SERIES_DEFAULTS,
+  name: "jazz-night",
+  url: DEFAULT_SERIES_URL,
+  title: FEED_TITLE,
+  description: FEED_DESCRIPTION,
+  output: DEFAULT_OUTPUT_FILE,
+  selfUrl: DEFAULT_SELF_FEED_URL,
+};
+
+function isHttpUrl(text) {
+  try {
+    return /^https?:$/.test(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/** Throw if a filled-in series has a setting that can't work. */
+export function validateSeries(series, where = `series "${series.name}"`) {
+  for (const field of ["url", "selfUrl", "paginationUrl"]) {
+    if (field === "paginationUrl" && series[field] === undefined) continue;
+    if (!isHttpUrl(series[field])) {
+      throw new Error(`${where}: "${field}" must be an http(s) URL, got "${series[field]}"`);
+    }
+  }
+  if (!Number.isInteger(series.maxEpisodes) || series.maxEpisodes < 1) {
+    throw new Error(
+      `${where}: "maxEpisodes" must be a positive whole number, got ${JSON.stringify(series.maxEpisodes)}`
+    );
+  }
+  if (!series.selectors || typeof series.selectors !== "object" || Array.isArray(series.selectors)) {
+    throw new Error(`${where}: "selectors" must be an object`);
+  }
+  validateSelectors(series.selectors, where);
+  if (series.archive !== undefined) {
+    const { archive } = series;
+    if (!archive || typeof archive !== "object" || Array.isArray(archive)) {
+      throw new Error(`${where}: "archive" must be an object`);
+    }
+    if (archive.selfUrl !== undefined && !isHttpUrl(archive.selfUrl)) {
+      throw new Error(`${where}: "archive.selfUrl" must be an http(s) URL, got "${archive.selfUrl}"`);
+    }
+    if (archive.pageSize !== undefined && (!Number.isInteger(archive.pageSize) || archive.pageSize < 1)) {
+      throw new Error(
+        `${where}: "archive.pageSize" must be a positive whole number, got ${JSON.stringify(archive.pageSize)}`
+      );
+    }
+  }
+  if (series.derived !== undefined) validateDerived(series.derived, where);
+  validateOutputs(series, where);
+  return series;
+}
+
+// The archive's own file names (feeds/x-archive.xml, feeds/x-archive-2.xml)
+const RESERVED_DERIVED_NAME = /^archive(?:-\d+)?$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function validateDerived(derived, where) {
+  if (!Array.isArray(derived)) throw new Error(`${where}: "derived" must be an array`);
+  const names = new Set();
+  derived.forEach((feed, index) => {
+    const at = `${where}: derived[${index}]${feed?.name ? ` ("${feed.name}")` : ""}`;
+    if (typeof feed?.name !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(feed.name)) {
+      throw new Error(`${at}: "name" must be lowercase letters, digits and dashes (it names the feed file)`);
+    }
+    if (RESERVED_DERIVED_NAME.test(feed.name)) {
+      throw new Error(`${at}: "${feed.name}" is reserved for the archive feeds`);
+    }
+    if (names.has(feed.name)) throw new Error(`${at} reuses the name "${feed.name}"`);
+    names.add(feed.name);
+    if (typeof feed.title !== "string" || feed.title.trim() === "") throw new Error(`${at} is missing "title"`);
+    if (feed.selfUrl !== undefined && !isHttpUrl(feed.selfUrl)) {
+      throw new Error(`${at}: "selfUrl" must be an http(s) URL, got "${feed.selfUrl}"`);
+    }
+    if (feed.maxEpisodes !== undefined && (!Number.isInteger(feed.maxEpisodes) || feed.maxEpisodes < 1)) {
+      throw new Error(`${at}: "maxEpisodes" must be a positive whole number, got ${JSON.stringify(feed.maxEpisodes)}`);
+    }
+    validateRule(feed.match, at);
+  });
+}
+
+/**
+ * A series' feed files (recent feed, archive, derived feeds), normalized,
+ * and a pattern matching the files of its archive pages (null without
+ * archive mode).
+ */
+function seriesOutputs(series) {
+  const archive = archiveSettings(series);
+  const outputs = [
+    { file: series.output, what: "the recent feed" },
+    ...(archive ? [{ file: archive.output, what: "the archive" }] : []),
+    ...derivedFeedSettings(series).map((feed) => ({ file: feed.output, what: `derived feed "${feed.name}"` })),
+  ].map((output) => ({ ...output, normalized: path.normalize(output.file) }));
+  const archivePage = archive
+    ? new RegExp(`^${escapeRegExp(path.normalize(archive.pageOutput("\0"))).replace("\0", "[1-9]\\d*")}$`)
+    : null;
+  return { outputs, archivePage };
+}
+
+/**
+ * Every feed file of a series (recent feed, archive, archive pages, derived
+ * feeds) must be its own, or one would overwrite another on every run.
+ */
+function validateOutputs(series, where) {
+  const { outputs, archivePage } = seriesOutputs(series);
+  const seen = new Map();
+  for (const { file, what, normalized } of outputs) {
+    if (seen.has(normalized)) {
+      throw new Error(`${where}: ${what} and ${seen.get(normalized)} would both be written to ${file}`);
+    }
+    if (archivePage?.test(normalized)) throw new Error(`${where}: ${what} would overwrite archive page ${file}`);
+    seen.set(normalized, what);
+  }
+}
+
+/**
+ * The same across series: no feed file of one series may be another's or
+ * one of its archive pages, and no two series may share an episode store
+ * or notification ledger (the defaults are named after the feed's file
+ * name only, so feeds/a.xml and other/a.xml would), or one series'
+ * episodes would end up in the other's feeds.
+ */
+function validateSeriesFiles(seriesList, wheres) {
+  const claimed = seriesList.map((series, index) => ({
+    name: series.name,
+    where: wheres[index],
+    ...seriesOutputs(series),
+    store: path.normalize(storePathFor(series)),
+    ledger: path.normalize(ledgerPathFor(series)),
+  }));
+  claimed.forEach((series, index) => {
+    for (const other of claimed.slice(0, index)) {
+      for (const { file, what, normalized } of series.outputs) {
+        const taken = other.outputs.find((output) => output.normalized === normalized);
+        if (taken) {
+          throw new Error(
+            `${series.where}: ${what} would be written to ${file}, which is ${taken.what} of series "${other.name}"`
+          );
+        }
+        if (other.archivePage?.test(normalized)) {
+          throw new Error(
+            `${series.where}: ${what} would overwrite an archive page of series "${other.name}" (${file})`
+          );
+        }
+      }
+      for (const { file, what, normalized } of other.outputs) {
+        if (series.archivePage?.test(normalized)) {
+          throw new Error(
+            `${series.where}: an archive page would overwrite ${what} of series "${other.name}" (${file})`
+          );
+        }
+      }
+      for (const field of ["store", "ledger"]) {
+        if (series[field] === other[field]) {
+          throw new Error(
+            `${series.where}: shares ${field === "store" ? "the episode store" : "the notification ledger"} ` +
+              `${series[field]} with series "${other.name}"; give one of them its own "store"`
+          );
+        }
+      }
+    }
+  });
+}
+
+function defaultDescription(title) {
+  return `Scraped archive of NPR's ${title} episodes, with direct MP3 enclosures, formatted for Zune.`;
+}
+
+/**
+ * Validate and fill in the series list of a parsed config object.
+ *
+ * @param {object} raw    parsed feeds.config.json
+ * @param {string} source file name used in error messages
+ * @returns {{ series: object[] }}
+ */
+export function normalizeFeedsConfig(raw, source = DEFAULT_CONFIG_FILE) {
+  if (!raw || !Array.isArray(raw.series) || raw.series.length === 0) {
+    throw new Error(`${source}: expected a non-empty "series" array`);
+  }
+
+  const defaults = { ...SERIES_DEFAULTS, ...raw.defaults };
+  const names = new Set();
+  const wheres = raw.series.map(
+    (entry, index) => `${source}: series[${index}]${entry?.name ? ` ("${entry.name}")` : ""}`
+  );
+
+  const series = raw.series.map((entry, index) => {
+    const where = wheres[index];
+    for (const field of ["name", "url", "title", "output", "selfUrl"]) {
+      if (typeof entry?.[field] !== "string" || entry[field].trim() === "") {
+        throw new Error(`${where} is missing "${field}"`);
+      }
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`${where} reuses the name "${entry.name}"`);
+    }
+    names.add(entry.name);
+
+    return validateSeries(
+      {
+        ...defaults,
+        description: defaultDescription(entry.title),
+        ...entry,
+        selectors: { ...defaults.selectors, ...entry.selectors },
+      },
+      where
+    );
+  });
+  validateSeriesFiles(series, wheres);
+
+  return { series };
+}
+
+/**
+ * Read the feeds config. A missing file is only an error when it was asked
+ * for explicitly; otherwise the built-in Jazz Night series is returned.
+ */
+export async function loadFeedsConfig(file = DEFAULT_CONFIG_FILE, { explicit = false } = {}) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !explicit) return { series: [DEFAULT_SERIES] };
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+  return normalizeFeedsConfig(raw, file);
+}
+
+/** All series, or just the named one. */
+export function selectSeries(config, name) {
+  if (!name) return config.series;
+  const match = config.series.find((series) => series.name === name);
+  if (!match) {
+    const known = config.series.map((series) => series.name).join(", ");
+    throw new Error(`Unknown series "${name}" (configured: ${known})`);
+  }
+  return [match];
+}
+
+/**
+ * Apply env/CLI overrides (url, output, selfUrl, store, maxEpisodes) to the
+ * selected series. Overrides that identify a single feed only make sense
+ * when exactly one series is selected.
+ */
+export function applySeriesOverrides(seriesList, overrides) {
+  const set = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined && value !== "")
+  );
+  const perFeed = ["url", "output", "selfUrl", "store"].filter((key) => key in set);
+  if (perFeed.length > 0 && seriesList.length > 1) {
+    throw new Error(
+      `Overriding ${perFeed.join(", ")} needs a single series; pick one with --series <name>`
+    );
+  }
+  return seriesList.map((series) => validateSeries({ ...series, ...set }));
+}
+
+/** "feeds/a.xml" → "feeds/a-archive.xml"; works on file paths and URLs. */
+function withSuffix(file, suffix) {
+  return file.replace(/(\.[a-z]+)?$/i, (ext) => `${suffix}${ext}`);
+}
+
+/**
+ * Where a series' archive feeds go, or null when archive mode is off. The
+ * complete archive and its pages are named after the recent feed unless
+ * the `archive` setting says otherwise:
+ * feeds/jazz-night-zune.xml → feeds/jazz-night-zune-archive.xml,
+ * feeds/jazz-night-zune-archive-1.xml, …
+ */
+export function archiveSettings(series) {
+  if (!series.archive) return null;
+  const output = series.archive.output || withSuffix(series.output, "-archive");
+  const selfUrl = series.archive.selfUrl || withSuffix(series.selfUrl, "-archive");
+  return {
+    title: series.archive.title || `${series.title} (Complete Archive)`,
+    output,
+    selfUrl,
+    pageSize: series.archive.pageSize || DEFAULT_ARCHIVE_PAGE_SIZE,
+    pageOutput: (page) => withSuffix(output, `-${page}`),
+    pageSelfUrl: (page) => withSuffix(selfUrl, `-${page}`),
+  };
+}
+
+/**
+ * A series' derived feeds (`derived` in feeds.config.json), each named
+ * after the recent feed unless it says otherwise:
+ * feeds/jazz-night-zune.xml → feeds/jazz-night-zune-carnegie-hall.xml.
+ * They cap at the series' maxEpisodes unless they set their own.
+ *
+ * @returns {{ name: string, title: string, description: string, output: string, selfUrl: string, maxEpisodes: number, match: object }[]}
+ */
+export function derivedFeedSettings(series) {
+  return (series.derived || []).map((feed) => ({
+    name: feed.name,
+    title: feed.title,
+    description: feed.description || series.description,
+    output: feed.output || withSuffix(series.output, `-${feed.name}`),
+    selfUrl: feed.selfUrl || withSuffix(series.selfUrl, `-${feed.name}`),
+    maxEpisodes: feed.maxEpisodes || series.maxEpisodes,
+    match: feed.match,
+  }));
+}
+
+export function seriesChannel(series) {
+  return createChannel({
+    title: series.title,
+    description: series.description,
+    language: series.language,
+    link: series.url,
+    selfUrl: series.selfUrl,
+    maxEpisodes: series.maxEpisodes,
+  });
+}
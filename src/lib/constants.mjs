@@ -0,0 +1,24 @@
+// constants.mjs
+//
+// Defaults shared by the full scraper and the incremental updater.
+
+export const DEFAULT_SERIES_URL = "https://www.npr.org/series/347174538/jazz-night-radio";
+export const DEFAULT_OUTPUT_FILE = "feeds/jazz-night-zune.xml";
+export const DEFAULT_MAX_EPISODES = 100;
+
+// What extract.mjs calls an episode whose title it couldn't find (the
+// extractor is self-contained, so it spells this out itself)
+export const UNTITLED_EPISODE = "Untitled episode";
+
+// IMPORTANT: set this to the URL where this feed file will be hosted
+export const DEFAULT_SELF_FEED_URL = "https://cardner.github.io/jazz-night-feed/jazz-night-zune.xml";
+
+// Channel metadata
+export const FEED_TITLE = "Jazz Night In America: The Radio Program";
+export const FEED_DESCRIPTION =
+  "Scraped archive of NPR's Jazz Night In America radio episodes, with direct MP3 enclosures, formatted for Zune.";
+export const FEED_LANGUAGE = "en-us";
+
+export const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
+  "(KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36";
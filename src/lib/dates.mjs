@@ -0,0 +1,156 @@
+// dates.mjs
+//
+// Turns the date text found by the extractor (or a story page) into the
+// episode's date. NPR publishes on New York time, so dates without a time
+// of day are midnight there, whatever the zone of the machine running the
+// scrape. Every date records the strategy it came from; an episode with no
+// usable date is dated to the run and flagged as "fallback" rather than
+// passed off as new.
+
+export const PUBLISH_TIME_ZONE = "America/New_York";
+
+/**
+ * Where an episode's date can come from, most reliable first, with how far
+ * it can be trusted (0–1). The extractor's strategies (extract.mjs) in the
+ * order it tries them, then the story page (enrich.mjs) and the run itself.
+ */
+export const DATE_STRATEGIES = {
+  "story-page": 1,
+  "time-element": 0.9,
+  "json-ld": 0.9,
+  "story-url": 0.8,
+  "audio-url": 0.7,
+  "full-month": 0.5,
+  "short-month": 0.5,
+  iso: 0.4,
+  slash: 0.3,
+  // date text stored without its strategy (stores and feeds from before this)
+  text: 0.3,
+  fallback: 0,
+};
+
+/** Reliability (0–1) of a date strategy; unknown or missing strategies score 0. */
+export function dateReliability(strategy) {
+  return DATE_STRATEGIES[strategy] ?? 0;
+}
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const ISO_ZONED_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+const MONTH_NAME_DATE = /^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/;
+const SLASH_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+// RFC 822 dates from imported feeds carry their own zone
+const RFC_822_DATE = /^(?:[A-Za-z]{3},\s*)?\d{1,2}\s+[A-Za-z]{3}\s+\d{4}\s+\d{2}:\d{2}(?::\d{2})?\s+(?:GMT|UTC|[+-]\d{4})$/;
+
+/** Milliseconds `timeZone` is ahead of UTC at `instant`. */
+function zoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time in `timeZone` refers to, or null for
+ * impossible dates like February 30.
+ */
+export function zonedDate(year, month, day, { hour = 0, minute = 0, second = 0, timeZone = PUBLISH_TIME_ZONE } = {}) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wallClock);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  // The offset at the guess is off by an hour right after a DST change;
+  // the offset at the first result never is
+  const guess = wallClock - zoneOffset(check, timeZone);
+  return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Parse scraped date text into a Date, or null when it isn't recognizable.
+ * Dates and times without a zone are New York time; nothing depends on the
+ * zone of the machine.
+ */
+export function parseDate(dateText) {
+  const text = (dateText || "").replace(/\s+/g, " ").trim();
+  if (!text) return null;
+
+  let match = text.match(ISO_DATE);
+  if (match) return zonedDate(+match[1], +match[2], +match[3]);
+
+  match = text.match(ISO_LOCAL_TIME);
+  if (match) {
+    const [, year, month, day, hour, minute, second] = match.map((part) => Number(part ?? 0));
+    return zonedDate(year, month, day, { hour, minute, second });
+  }
+
+  match = text.match(MONTH_NAME_DATE);
+  if (match) {
+    const name = match[1].toLowerCase();
+    // Full names, three-letter abbreviations and AP style "Sept"
+    const month =
+      MONTHS.findIndex((full) => name === full || name === full.slice(0, 3) || (name === "sept" && full === "september")) +
+      1;
+    return month > 0 ? zonedDate(+match[3], month, +match[2]) : null;
+  }
+
+  match = text.match(SLASH_DATE);
+  if (match) return zonedDate(+match[3], +match[1], +match[2]); // MM/DD/YYYY
+
+  if (ISO_ZONED_TIME.test(text) || RFC_822_DATE.test(text)) {
+    const d = new Date(text);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return null;
+}
+
+/**
+ * The date of a scraped episode: the story page's publish time when
+ * enrichment found one, else the extractor's date text, else `now`,
+ * flagged with the "fallback" strategy.
+ *
+ * @param {{ dateText?: string, dateStrategy?: string, publishedAt?: string }} ep
+ * @param {Date} [now]
+ * @returns {{ dateObj: Date, pubDate: string, dateStrategy: string, dateReliability: number }}
+ */
+export function episodeDate(ep, now = new Date()) {
+  const candidates = [
+    [ep.publishedAt, "story-page"],
+    [ep.dateText, ep.dateStrategy || "text"],
+  ];
+  for (const [text, strategy] of candidates) {
+    const dateObj = parseDate(text);
+    if (dateObj) {
+      const reliability = dateReliability(strategy);
+      return { dateObj, pubDate: dateObj.toUTCString(), dateStrategy: strategy, dateReliability: reliability };
+    }
+  }
+  return { dateObj: now, pubDate: now.toUTCString(), dateStrategy: "fallback", dateReliability: 0 };
+}
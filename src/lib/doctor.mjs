@@ -0,0 +1,216 @@
+// doctor.mjs
+//
+// Selector health check for a series page. Runs the real extractor over
+// the first page of the listing (live or a saved snapshot) and reports how
+// far each step of the listing strategy gets: articles, download items,
+// download anchors and title anchors; how many episodes each fallback
+// strategy would find on its own and which one won; which date strategy
+// each episode's date came from; and the articles that didn't make a
+// complete episode, with their DOM written to a file. Meant to explain a
+// broken scrape from a CI log alone.
+
+import { readFile } from "node:fs/promises";
+import { extractEpisodesFromDocument } from "./extract.mjs";
+import { seriesProfile, EPISODE_STRATEGIES } from "./profile.mjs";
+import { parseSnapshot } from "./snapshot.mjs";
+import { fetchArchivePage } from "./http-source.mjs";
+import { launchBrowser, gotoArchive } from "./browser.mjs";
+import { escapeXml } from "./xml.mjs";
+import { DATE_STRATEGIES, dateReliability } from "./dates.mjs";
+import { log } from "./log.mjs";
+
+export const DEFAULT_DUMP_DIR = "doctor";
+
+// The ones extractEpisodesFromDocument() uses, most reliable first
+const PAGE_DATE_STRATEGIES = Object.keys(DATE_STRATEGIES).filter(
+  (strategy) => !["story-page", "text", "fallback"].includes(strategy)
+);
+
+// How much of the first failing article goes into the log
+const LOG_SNIPPET_LENGTH = 1500;
+
+function headline(article) {
+  const heading = article.querySelector("h1, h2, h3, .title");
+  return (heading?.textContent || "").replace(/\s+/g, " ").trim().slice(0, 80);
+}
+
+/**
+ * Diagnose a parsed series page.
+ *
+ * @param {Document} doc
+ * @param {{ baseUrl?: string, profile?: object }} [options] profile: the series' complete selector profile
+ * @returns {{
+ *   selectors: object,
+ *   strategies: Record<string, number>,
+ *   extractedBy: string,
+ *   articles: number,
+ *   steps: { label: string, count: number }[],
+ *   page: { articles: number, downloads: number, audioLinks: number },
+ *   episodes: number,
+ *   duplicates: number,
+ *   dates: Record<string, number>,
+ *   failures: { index: number, headline: string, episode: boolean, problems: string[], html: string }[]
+ * }} strategies counts what each extraction strategy finds on its own,
+ *   extractedBy is the one the scraper would use ("" when none works); dates
+ *   counts episodes per date strategy, "none" for episodes without a date;
+ *   `episode` marks failing articles that still became an (incomplete) episode
+ */
+export function diagnoseDocument(doc, { baseUrl, profile: selectors = seriesProfile() } = {}) {
+  const outcomes = [];
+  const episodes = extractEpisodesFromDocument(doc, {
+    baseUrl,
+    profile: selectors,
+    onArticle: (article, outcome) => outcomes.push({ article, ...outcome }),
+  });
+  const strategies = Object.fromEntries(
+    EPISODE_STRATEGIES.map((name) => [
+      name,
+      extractEpisodesFromDocument(doc, { baseUrl, profile: { ...selectors, strategies: [name] } }).length,
+    ])
+  );
+
+  const count = (test) => outcomes.filter(test).length;
+  const dates = Object.fromEntries([...PAGE_DATE_STRATEGIES, "none"].map((strategy) => [strategy, 0]));
+  for (const ep of episodes) dates[ep.dateStrategy || "none"]++;
+
+  const failures = [];
+  outcomes.forEach((outcome, index) => {
+    const problems = [];
+    if (!outcome.download) problems.push(`no ${selectors.download}`);
+    else if (!outcome.audioUrl) problems.push(`no ${selectors.audioLink} in ${selectors.download}`);
+    if (!outcome.titleAnchor) problems.push("no title link (/20xx/ path)");
+    if (outcome.episode && !outcome.episode.dateStrategy) problems.push("no date");
+    if (problems.length > 0) {
+      failures.push({
+        index: index + 1,
+        headline: headline(outcome.article),
+        episode: Boolean(outcome.episode),
+        problems,
+        html: outcome.article.outerHTML,
+      });
+    }
+  });
+
+  return {
+    selectors,
+    strategies,
+    extractedBy: episodes[0]?.extractedBy || "",
+    articles: outcomes.length,
+    steps: [
+      { label: selectors.article, count: outcomes.length },
+      { label: `${selectors.download} in the article`, count: count((o) => o.download) },
+      { label: `${selectors.audioLink} in ${selectors.download}`, count: count((o) => o.audioUrl) },
+      { label: "title link with a /20xx/ path", count: count((o) => o.titleAnchor) },
+    ],
+    page: {
+      articles: doc.querySelectorAll("article").length,
+      downloads: doc.querySelectorAll(selectors.download).length,
+      audioLinks: doc.querySelectorAll(selectors.audioLink).length,
+    },
+    episodes: episodes.length,
+    duplicates: count((o) => o.duplicate),
+    dates,
+    failures,
+  };
+}
+
+/**
+ * A page is healthy when it yields episodes, all with a title and a date.
+ * Articles without audio are listed but don't count: not every story is an episode.
+ */
+export function isHealthy(report) {
+  return report.episodes > 0 && !report.failures.some((failure) => failure.episode);
+}
+
+/** Readable report; `dumpFile` is where failing articles were written. */
+export function formatDiagnosis(report, { dumpFile } = {}) {
+  const width = Math.max(...report.steps.map((step) => step.label.length));
+  const lines = [
+    `Selector steps (${report.articles} article(s)):`,
+    ...report.steps.map((step) => `  ${step.label.padEnd(width)}  ${step.count}`),
+    `Whole page: ${report.page.articles} <article>, ${report.page.downloads} ${report.selectors.download}, ` +
+      `${report.page.audioLinks} ${report.selectors.audioLink}`,
+    `Episodes: ${report.episodes}` +
+      (report.extractedBy ? ` via ${report.extractedBy}` : "") +
+      (report.duplicates > 0 ? ` (${report.duplicates} article(s) repeat an audio URL)` : ""),
+    `Extraction strategies (tried in order: ${report.selectors.strategies.join(", ")}):`,
+    ...Object.entries(report.strategies).map(([strategy, n]) => `  ${strategy.padEnd(15)}  ${n}`),
+    "Date strategies (reliability):",
+    ...Object.entries(report.dates).map(
+      ([strategy, n]) => `  ${`${strategy} (${dateReliability(strategy)})`.padEnd(18)}  ${n}`
+    ),
+  ];
+
+  if (report.articles === 0) {
+    lines.push(`No ${report.selectors.article} on the page${dumpFile ? `; page written to ${dumpFile}` : ""}.`);
+  } else if (report.failures.length > 0) {
+    lines.push(
+      `Articles without a complete episode: ${report.failures.length}` +
+        (dumpFile ? ` (DOM written to ${dumpFile})` : "")
+    );
+    for (const failure of report.failures) {
+      lines.push(`  #${failure.index}${failure.headline ? ` "${failure.headline}"` : ""}: ${failure.problems.join(", ")}`);
+    }
+    const [first] = report.failures;
+    lines.push(
+      `First failing article (#${first.index}):`,
+      first.html.length > LOG_SNIPPET_LENGTH ? `${first.html.slice(0, LOG_SNIPPET_LENGTH)}…` : first.html
+    );
+  }
+  lines.push(isHealthy(report) ? "Healthy." : "UNHEALTHY: the scraper would miss or damage episodes.");
+  return lines.join("\n");
+}
+
+/**
+ * The file written next to the report: every failing article's DOM, or the
+ * whole page when no article matched at all. Null when there is nothing to dump.
+ */
+export function failureDump(report, { html, url }) {
+  if (report.articles === 0) return html;
+  if (report.failures.length === 0) return null;
+  return [
+    "<!DOCTYPE html>",
+    `<!-- Failing articles from ${escapeXml(url)} -->`,
+    ...report.failures.map(
+      (failure) =>
+        `<!-- #${failure.index}${failure.headline ? ` ${escapeXml(failure.headline)}` : ""}: ` +
+        `${escapeXml(failure.problems.join(", "))} -->\n` +
+        failure.html
+    ),
+  ].join("\n\n");
+}
+
+/**
+ * The page to diagnose: a snapshot file, or the live series page (its
+ * archive link followed) over HTTP or in the browser. "auto" falls back to
+ * the browser only when the HTTP request fails.
+ *
+ * @returns {Promise<{ html: string, url: string, via: string }>}
+ */
+export async function loadSeriesPage(series, { fromHtml, source = "auto", loadTimeoutMs, requestTimeoutMs } = {}) {
+  if (fromHtml) {
+    return { html: await readFile(fromHtml, "utf8"), url: series.url, via: fromHtml };
+  }
+  if (source !== "browser") {
+    try {
+      const { html, url } = await fetchArchivePage(series, { timeoutMs: requestTimeoutMs });
+      return { html, url, via: "http" };
+    } catch (err) {
+      if (source === "http") throw err;
+      log.info(`HTTP request failed (${err.message}); loading the page in the browser.`);
+    }
+  }
+
+  const { browser, page } = await launchBrowser();
+  try {
+    await gotoArchive(page, series.url, { profile: seriesProfile(series), loadTimeoutMs });
+    return { html: await page.content(), url: page.url(), via: "browser" };
+  } finally {
+    await browser.close();
+  }
+}
+
+/** Parse and diagnose a loaded page. */
+export function diagnosePage({ html, url }, series) {
+  return diagnoseDocument(parseSnapshot(html), { baseUrl: url, profile: seriesProfile(series) });
+}
@@ -0,0 +1,135 @@
+// enrich.mjs
+//
+// Optional enrichment stage: visits each episode's NPR story page and adds
+// the long-form show notes, performers, venue, set list and artwork found
+// there (see story.mjs). Pages are fetched one at a time with a delay
+// between requests, and every result is cached on disk keyed by story id,
+// so a story is only ever downloaded once.
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import path from "node:path";
+import { parseHTML } from "linkedom";
+import { extractStoryDetails } from "./story.mjs";
+import { storyIdFromLink } from "./normalize.mjs";
+import { parseDate, episodeDate } from "./dates.mjs";
+import { USER_AGENT } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+export const DEFAULT_STORY_CACHE_DIR = "cache/stories";
+export const DEFAULT_ENRICH_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Only story pages (dated paths) are worth fetching; audio-URL fallbacks are not. */
+function isStoryLink(link = "") {
+  return /^https?:\/\//.test(link) && /\/20\d{2}\//.test(link) && !link.includes("ondemand.npr.org");
+}
+
+function cacheKey(link) {
+  return storyIdFromLink(link) || createHash("sha1").update(link).digest("hex").slice(0, 16);
+}
+
+async function readCache(cacheDir, link) {
+  try {
+    return JSON.parse(await readFile(path.join(cacheDir, `${cacheKey(link)}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(cacheDir, link, entry) {
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(
+    path.join(cacheDir, `${cacheKey(link)}.json`),
+    JSON.stringify(entry, null, 2) + "\n",
+    "utf8"
+  );
+}
+
+/**
+ * Fetch and parse one story page.
+ *
+ * @returns {Promise<object|null>} details, `{ missing: true }` for a 404
+ *   (cached so dead stories aren't retried), or null on transient failure
+ */
+export async function fetchStoryDetails(link, { timeoutMs = 30_000 } = {}) {
+  try {
+    const res = await fetch(link, {
+      headers: { "User-Agent": USER_AGENT },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (res.status === 404 || res.status === 410) return { missing: true };
+    if (!res.ok) {
+      log.warn(`story page ${link} returned ${res.status}; skipping for now.`);
+      return null;
+    }
+    const { document } = parseHTML(await res.text());
+    return extractStoryDetails(document, { baseUrl: link });
+  } catch (err) {
+    log.warn(`failed to fetch story page ${link}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Add story page details to each episode that has a story link.
+ *
+ * @param {object[]} episodes
+ * @param {object}   [options]
+ * @param {string}   [options.cacheDir]
+ * @param {number}   [options.delayMs] pause between network requests
+ * @returns {Promise<object[]>} episodes with `showNotes`, `performers`,
+ *   `venue`, `setlist`, `image` and `publishedAt` where found, dated by
+ *   `publishedAt` when it is readable (dateStrategy "story-page")
+ */
+export async function enrichEpisodes(
+  episodes,
+  { cacheDir = DEFAULT_STORY_CACHE_DIR, delayMs = DEFAULT_ENRICH_DELAY_MS } = {}
+) {
+  log.info(`Enriching ${episodes.length} episodes from their story pages…`);
+
+  const enriched = [];
+  let fetched = 0;
+  let cached = 0;
+
+  for (const ep of episodes) {
+    if (!isStoryLink(ep.link)) {
+      enriched.push(ep);
+      continue;
+    }
+
+    let entry = await readCache(cacheDir, ep.link);
+    if (entry) {
+      cached++;
+    } else {
+      if (fetched > 0 && delayMs > 0) await sleep(delayMs);
+      fetched++;
+      const details = await fetchStoryDetails(ep.link);
+      if (details) {
+        entry = { link: ep.link, fetchedAt: new Date().toISOString(), ...details };
+        await writeCache(cacheDir, ep.link, entry);
+      }
+    }
+
+    if (!entry || entry.missing) {
+      enriched.push(ep);
+      continue;
+    }
+
+    const merged = {
+      ...ep,
+      showNotes: entry.showNotes,
+      performers: entry.performers,
+      venue: entry.venue,
+      setlist: entry.setlist,
+      image: ep.image || entry.image,
+      publishedAt: entry.publishedAt,
+    };
+    // The story page's publish time beats any date the listing gave
+    enriched.push(parseDate(entry.publishedAt) ? { ...merged, ...episodeDate(merged) } : merged);
+  }
+
+  log.info(`Enrichment done: ${fetched} fetched, ${cached} from cache.`);
+  return enriched;
+}
@@ -0,0 +1,27 @@
+// episodes.mjs
+//
+// Turns raw extractor output into feed-ready episodes.
+
+import { episodeDate } from "./dates.mjs";
+import { stableGuid } from "./normalize.mjs";
+import { log } from "./log.mjs";
+
+/**
+ * Attach dateObj, pubDate, dateStrategy, dateReliability and guid to a raw
+ * scraped episode. An episode without a usable date is dated `now` with
+ * dateStrategy "fallback", and says so in the log.
+ */
+export function prepareEpisode(ep, now = new Date()) {
+  const date = episodeDate(ep, now);
+  if (date.dateStrategy === "fallback") {
+    log.warn(
+      `no usable date for "${ep.title.substring(0, 50)}" ` +
+        `(${ep.dateText ? `unreadable "${ep.dateText}"` : "none found"}); dated to this run and flagged as fallback`
+    );
+  }
+  return { ...ep, ...date, guid: stableGuid(ep) };
+}
+
+export function prepareEpisodes(rawEpisodes, now = new Date()) {
+  return rawEpisodes.map((ep) => prepareEpisode(ep, now));
+}
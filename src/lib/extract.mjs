@@ -0,0 +1,363 @@
+// extract.mjs
+//
+// Episode extraction from an NPR series page DOM. What to look for comes
+// from the series' selector profile (profile.mjs).
+//
+// extractEpisodesFromDocument() is passed to Playwright's page.evaluate(),
+// which serializes it with Function.prototype.toString(). It must therefore
+// stay self-contained: no imports, no references to anything outside its
+// own body. The same functions run in Node against a saved snapshot of the
+// page (see snapshot.mjs), so live and offline extraction are identical.
+
+/**
+ * Collect episodes from a series page, trying the profile's strategies in
+ * order until one finds episodes.
+ *
+ * @param {Document} doc      the series page document
+ * @param {object}   options
+ * @param {object}   options.profile   complete selector profile (profile.mjs seriesProfile())
+ * @param {string}   [options.baseUrl] used to resolve relative hrefs
+ * @param {number}   [options.limit]   stop after this many episodes
+ * @param {Function} [options.onArticle] called with (article, outcome) for
+ *   every `article` the listing strategy looks at, episode or not; see
+ *   doctor.mjs. Node only: functions don't survive page.evaluate(), so it
+ *   is simply absent in the browser.
+ * @returns {{title: string, link: string, dateText: string, dateStrategy: string, audioUrl: string, description: string, image: string, extractedBy: string}[]}
+ *   dateStrategy names where dateText came from ("time-element", "json-ld",
+ *   "story-url", "audio-url", "full-month", "short-month", "iso", "slash"),
+ *   or is "" when no date was found; extractedBy is the strategy that found
+ *   the episode
+ */
+export function extractEpisodesFromDocument(doc, options) {
+  const baseUrl = options.baseUrl || doc.baseURI || "https://www.npr.org/";
+  const limit = options.limit || Infinity;
+  const onArticle = typeof options.onArticle === "function" ? options.onArticle : () => {};
+  const profile = options.profile;
+
+  function resolveUrl(raw) {
+    if (!raw) return "";
+    try {
+      return new URL(raw, baseUrl).href;
+    } catch {
+      return raw;
+    }
+  }
+
+  function resolveHref(el) {
+    return resolveUrl(el.getAttribute("href") || "");
+  }
+
+  // Largest variant of an <img>: src, data-original/data-src and every
+  // srcset entry are candidates, ranked by srcset width or the NPR
+  // "-s600-c85" / brightspot "/resize/600/" size in the URL.
+  function bestImageSrc(img) {
+    const candidates = [];
+    for (const attr of ["src", "data-original", "data-src"]) {
+      const value = img.getAttribute(attr);
+      if (value && !value.startsWith("data:")) candidates.push({ url: value, width: 0 });
+    }
+    for (const entry of (img.getAttribute("srcset") || "").split(",")) {
+      const [url, descriptor = ""] = entry.trim().split(/\s+/);
+      if (url) candidates.push({ url, width: parseInt(descriptor, 10) || 0 });
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+      const sizeMatch = candidate.url.match(/-s(\d+)-c\d+\.|\/resize\/(\d+)\//);
+      const width = candidate.width || (sizeMatch ? parseInt(sizeMatch[1] || sizeMatch[2], 10) : 0);
+      if (!best || width > best.width) best = { url: candidate.url, width };
+    }
+    return best ? resolveUrl(best.url) : "";
+  }
+
+  // Story link: has text, isn't a download/embed link, and has a year in its path
+  function findTitleAnchor(scope) {
+    for (const el of Array.from(scope.querySelectorAll("a"))) {
+      const href = resolveHref(el);
+      const text = (el.textContent || "").trim();
+      if (
+        text &&
+        !href.includes("ondemand.npr.org") &&
+        !href.includes("player/embed") &&
+        /\/20\d{2}\//.test(href)
+      ) {
+        return el;
+      }
+    }
+    return null;
+  }
+
+  // Most reliable first; dates.mjs parses the dateText in NPR's time zone
+  // and scores each strategy
+  function findDate(container, link, audioUrl) {
+    // Strategy 1: the listing's own <time datetime="2026-07-23">
+    const time = container?.querySelector(profile.time);
+    const datetime = (time?.getAttribute("datetime") || "").trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(datetime)) return { dateText: datetime, dateStrategy: "time-element" };
+
+    // Strategy 2: the story URL's date path, npr.org/2026/07/23/nx-s1-…
+    const storyDateMatch = (link || "").match(/^https?:\/\/[^/]*npr\.org\/(20\d{2})\/(\d{2})\/(\d{2})\//);
+    if (storyDateMatch) {
+      const [, year, month, day] = storyDateMatch;
+      return { dateText: `${year}-${month}-${day}`, dateStrategy: "story-url" };
+    }
+
+    // Strategy 3: the air date in the audio URL: /2025/10/20251014_specials_...
+    const urlDateMatch = audioUrl.match(/\/(\d{4})\/\d{2}\/(\d{8})/);
+    if (urlDateMatch) {
+      const dateStr = urlDateMatch[2]; // e.g., "20251014"
+      const year = dateStr.substring(0, 4);
+      const month = dateStr.substring(4, 6);
+      const day = dateStr.substring(6, 8);
+      return { dateText: `${year}-${month}-${day}`, dateStrategy: "audio-url" };
+    }
+
+    const contextText = container?.textContent || "";
+    const datePatterns = [
+      // Strategy 4: Full month name dates in context
+      ["full-month", /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4}\b/],
+      // Strategy 5: Abbreviated month dates
+      ["short-month", /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}\b/],
+      // Strategy 6: ISO-style dates
+      ["iso", /\b\d{4}-\d{2}-\d{2}\b/],
+      // Strategy 7: Slash dates
+      ["slash", /\b\d{1,2}\/\d{1,2}\/\d{4}\b/],
+    ];
+    for (const [strategy, pattern] of datePatterns) {
+      const dateMatch = contextText.match(pattern);
+      if (dateMatch) return { dateText: dateMatch[0], dateStrategy: strategy };
+    }
+    return { dateText: "", dateStrategy: "" };
+  }
+
+  // Description: the teaser paragraph, minus its leading "July 23, 2026 •"
+  // date. Player chrome in .audio-module ("Listen · 59:40", "Download",
+  // "Embed", the working audio title) must never end up in here.
+  function findDescription(container, title) {
+    const teaser = container.querySelector(profile.teaser);
+    if (teaser) {
+      const teaserText = teaser.textContent || "";
+      const teaserBullet = teaserText.indexOf("•");
+      const description = (teaserBullet !== -1 ? teaserText.slice(teaserBullet + 1) : teaserText)
+        .replace(/\s+/g, " ")
+        .trim();
+      if (description) return description;
+    }
+
+    // Look for description text in the container, outside the player
+    const blocks = Array.from(container.querySelectorAll("p, span, div"))
+      .filter((el) => !el.closest(".audio-module, .audio-tools, .audio-module-tools"))
+      .map((el) => (el.textContent || "").trim());
+    for (const block of blocks) {
+      if (
+        block &&
+        block.length > 40 &&
+        !block.includes(title) &&
+        !block.includes("Listen ·") &&
+        !block.includes("Download") &&
+        !block.includes("Embed")
+      ) {
+        return block;
+      }
+    }
+    return "";
+  }
+
+  // Title, link, date, description and artwork of the story around an audio URL
+  function episodeIn(container, audioUrl, known = {}) {
+    const titleAnchor = container ? findTitleAnchor(container) : null;
+    const title = known.title || titleAnchor?.textContent?.trim() || "Untitled episode";
+    const link = known.link || (titleAnchor ? resolveHref(titleAnchor) : "") || audioUrl;
+    const thumbnail = container?.querySelector(profile.thumbnail);
+    return {
+      title,
+      link,
+      ...findDate(container, link, audioUrl),
+      audioUrl,
+      description: known.description || (container ? findDescription(container, title) : ""),
+      image: known.image || (thumbnail ? bestImageSrc(thumbnail) : ""),
+    };
+  }
+
+  const strategies = {
+    // NPR's series listing: one article per story, audio behind its download control
+    listing() {
+      const results = [];
+      const seen = new Set();
+
+      for (const article of Array.from(doc.querySelectorAll(profile.article))) {
+        if (results.length >= limit) break;
+        const titleAnchor = Boolean(findTitleAnchor(article));
+
+        const downloadLi = article.querySelector(profile.download);
+        if (!downloadLi) {
+          onArticle(article, { download: false, audioUrl: "", titleAnchor });
+          continue;
+        }
+        const downloadAnchor = downloadLi.querySelector(profile.audioLink);
+        const audioUrl = downloadAnchor ? resolveHref(downloadAnchor) : "";
+        if (!audioUrl) {
+          onArticle(article, { download: true, audioUrl: "", titleAnchor });
+          continue;
+        }
+        if (seen.has(audioUrl)) {
+          onArticle(article, { download: true, audioUrl, titleAnchor, duplicate: true });
+          continue;
+        }
+        seen.add(audioUrl);
+
+        const episode = episodeIn(article, audioUrl);
+        onArticle(article, { download: true, audioUrl, titleAnchor, episode });
+        results.push(episode);
+      }
+      return results;
+    },
+
+    // Any "Download" link to an MP3, titled from the closest enclosing
+    // element (up to 10 levels) that also holds a story link
+    "download-anchor"() {
+      const results = [];
+      const seen = new Set();
+      const wanted = profile.downloadText.toLowerCase();
+
+      for (const anchor of Array.from(doc.querySelectorAll(profile.audioLink))) {
+        if (!(anchor.textContent || "").toLowerCase().includes(wanted)) continue;
+        const audioUrl = resolveHref(anchor);
+        if (!audioUrl || seen.has(audioUrl)) continue;
+        seen.add(audioUrl);
+
+        let container = anchor.parentElement;
+        for (let depth = 0; container && depth < 10 && !findTitleAnchor(container); depth++) {
+          container = container.parentElement;
+        }
+        results.push(episodeIn(container || anchor.parentElement, audioUrl));
+      }
+      return results;
+    },
+
+    // schema.org data: episodes (or articles) whose audio has a contentUrl
+    "json-ld"() {
+      const results = [];
+      const seen = new Set();
+      const asText = (value) => (typeof value === "string" ? value.trim() : "");
+      const imageOf = (value) =>
+        Array.isArray(value) ? imageOf(value[0]) : asText(value) || asText(value?.url) || asText(value?.contentUrl);
+
+      function visit(node) {
+        if (!node || typeof node !== "object") return;
+        if (Array.isArray(node)) {
+          node.forEach(visit);
+          return;
+        }
+        const media = [node.associatedMedia, node.audio, node["@type"] === "AudioObject" ? node : null]
+          .flat()
+          .find((candidate) => asText(candidate?.contentUrl));
+        const audioUrl = media ? resolveUrl(media.contentUrl) : "";
+        if (audioUrl && !seen.has(audioUrl) && node !== media) {
+          seen.add(audioUrl);
+          const link = asText(node.url) || asText(node.mainEntityOfPage?.["@id"]) || asText(node.mainEntityOfPage);
+          const episode = episodeIn(null, audioUrl, {
+            title: asText(node.headline) || asText(node.name),
+            link: resolveUrl(link),
+            description: asText(node.description),
+            image: resolveUrl(imageOf(node.image)),
+          });
+          const published = asText(node.datePublished);
+          if (published) Object.assign(episode, { dateText: published, dateStrategy: "json-ld" });
+          results.push(episode);
+        }
+        for (const key of ["@graph", "itemListElement", "item", "hasPart", "episode"]) visit(node[key]);
+      }
+
+      for (const script of Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))) {
+        try {
+          visit(JSON.parse(script.textContent || ""));
+        } catch {
+          // Broken JSON-LD blocks are skipped
+        }
+      }
+      return results;
+    },
+
+    // Player elements carrying their audio in data attributes
+    "data-audio"() {
+      const results = [];
+      const seen = new Set();
+
+      for (const el of Array.from(doc.querySelectorAll(profile.audioData))) {
+        let data = {};
+        try {
+          data = JSON.parse(el.getAttribute("data-audio") || "{}") || {};
+        } catch {
+          // Not JSON; data-audio-url may still have it
+        }
+        const audioUrl = resolveUrl(el.getAttribute("data-audio-url") || data.audioUrl || data.url || "");
+        if (!audioUrl || seen.has(audioUrl)) continue;
+        seen.add(audioUrl);
+
+        const container = el.closest(profile.article) || el.closest("article, li, section") || el.parentElement;
+        results.push(episodeIn(container, audioUrl, { title: typeof data.title === "string" ? data.title : "" }));
+      }
+      return results;
+    },
+  };
+
+  for (const name of profile.strategies) {
+    const episodes = strategies[name]?.() || [];
+    if (episodes.length > 0) {
+      return episodes.slice(0, limit).map((episode) => ({ ...episode, extractedBy: name }));
+    }
+  }
+  return [];
+}
+
+/**
+ * Pick the channel artwork, in a fixed order of preference:
+ *  1. the series branding image (media.npr.org/branding/series/…)
+ *  2. the page's og:image
+ *  3. an image whose alt/title names the series (`options.seriesName`,
+ *     else the page title before " : NPR")
+ * Returns "" rather than guessing when none of those exist. Self-contained
+ * like extractEpisodesFromDocument().
+ *
+ * @param {Document} doc
+ * @param {object}   [options]
+ * @param {string}   [options.baseUrl]    used to resolve relative srcs
+ * @param {string}   [options.seriesName]
+ * @returns {string} absolute image URL, or ""
+ */
+export function findChannelImage(doc, options = {}) {
+  const baseUrl = options.baseUrl || doc.baseURI || "https://www.npr.org/";
+  const imgs = Array.from(doc.querySelectorAll("img"));
+  const srcOf = (img) => img.getAttribute("src") || img.getAttribute("data-original") || "";
+
+  const seriesName = (
+    options.seriesName ||
+    (doc.querySelector("title")?.textContent || "").split(/\s+:\s+NPR\b/)[0] ||
+    ""
+  ).trim().toLowerCase();
+
+  const branding = imgs.find((img) => /\/branding\/series\//.test(srcOf(img)));
+  const ogImage = doc.querySelector('meta[property="og:image"]')?.getAttribute("content") || "";
+  const named = seriesName
+    ? imgs.find((img) =>
+        ((img.getAttribute("alt") || "") + " " + (img.getAttribute("title") || ""))
+          .toLowerCase()
+          .includes(seriesName)
+      )
+    : null;
+
+  const src = (branding && srcOf(branding)) || ogImage || (named && srcOf(named)) || "";
+  if (!src) return "";
+  try {
+    return new URL(src, baseUrl).href;
+  } catch {
+    return src;
+  }
+}
+
+/** " (via <strategy>)" for log lines about extracted episodes, or "" when there are none. */
+export function extractedVia(episodes) {
+  const strategies = [...new Set(episodes.map((ep) => ep.extractedBy).filter(Boolean))];
+  return strategies.length > 0 ? ` (via ${strategies.join(", ")})` : "";
+}
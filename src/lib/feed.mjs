@@ -0,0 +1,176 @@
+// feed.mjs
+//
+// RSS 2.0 feed building. toFeedItem() decides what goes into an <item>;
+// buildRss() serializes a whole feed as a string. Both the full build and
+// the updater render from the episode store (store.mjs) with it.
+
+export const RSS_NAMESPACES = {
+  "xmlns:itunes": "http://www.itunes.com/dtds/podcast-1.0.dtd",
+  "xmlns:atom": "http://www.w3.org/2005/Atom",
+  "xmlns:content": "http://purl.org/rss/1.0/modules/content/",
+  "xmlns:podcast": "https://podcastindex.org/namespace/1.0",
+};
+
+// RFC 5005 feed history, declared only on archive pages
+const FEED_HISTORY_NAMESPACE = { "xmlns:fh": "http://purl.org/syndication/history/1.0" };
+
+import { escapeXml } from "./xml.mjs";
+import { sanitizeDescription, cleanDescription } from "./normalize.mjs";
+import { formatDuration } from "./media.mjs";
+import { bestNprImageUrl } from "./images.mjs";
+import { FEED_TITLE, FEED_DESCRIPTION, FEED_LANGUAGE } from "./constants.mjs";
+
+/**
+ * Channel settings for a feed.
+ *
+ * @typedef {object} Channel
+ * @property {string} link        series page URL
+ * @property {string} selfUrl     public URL of the feed itself (atom:link rel="self")
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {string} [language]
+ * @property {number} [maxEpisodes]
+ * @property {Date}   [lastBuildDate] defaults to now; pass the store's last
+ *   change to render the same XML from the same data
+ * @property {{ current?: string, prevArchive?: string, nextArchive?: string }} [archiveLinks]
+ *   RFC 5005 atom:links to the subscription feed and neighbouring archive pages
+ * @property {boolean} [archived] mark the feed as an archive page (<fh:archive/>)
+ */
+
+export function createChannel(overrides) {
+  return {
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    language: FEED_LANGUAGE,
+    maxEpisodes: Infinity,
+    ...overrides,
+  };
+}
+
+/**
+ * HTML show notes for content:encoded from enrichment data (enrich.mjs):
+ * the story's paragraphs, then venue, musicians and set list. "" when the
+ * episode was not enriched.
+ */
+export function renderShowNotes(ep) {
+  const parts = (ep.showNotes || []).map((para) => `<p>${escapeXml(para)}</p>`);
+  if (ep.venue) {
+    parts.push(`<p><strong>Venue:</strong> ${escapeXml(ep.venue)}</p>`);
+  }
+  if (ep.performers?.length) {
+    parts.push(
+      "<p><strong>Musicians:</strong></p>",
+      `<ul>${ep.performers.map((name) => `<li>${escapeXml(name)}</li>`).join("")}</ul>`
+    );
+  }
+  if (ep.setlist?.length) {
+    parts.push(
+      "<p><strong>Set list:</strong></p>",
+      `<ol>${ep.setlist.map((song) => `<li>${escapeXml(song)}</li>`).join("")}</ol>`
+    );
+  }
+  return parts.join("\n");
+}
+
+/**
+ * Unescaped item fields for a prepared episode. `duration` is "" when the
+ * episode's running time is unknown, in which case no <itunes:duration> is written.
+ */
+export function toFeedItem(ep, channel, fallbackPubDate = new Date().toUTCString()) {
+  return {
+    title: ep.title || "Untitled episode",
+    link: ep.link || channel.link,
+    guid: ep.guid || ep.audioUrl,
+    pubDate: ep.pubDate || fallbackPubDate,
+    description: cleanDescription(ep.description || ""),
+    enclosure: { url: ep.audioUrl, length: String(ep.enclosureLength || 0), type: "audio/mpeg" },
+    duration: ep.duration ? formatDuration(ep.duration) : "",
+    image: bestNprImageUrl(ep.image),
+    // Imported items keep the show notes HTML of the feed they came from
+    contentHtml: renderShowNotes(ep) || ep.contentHtml || "",
+    performers: ep.performers || [],
+  };
+}
+
+export function buildRss(episodes, channelImageUrl, channel) {
+  channelImageUrl = bestNprImageUrl(channelImageUrl);
+
+  // Sort newest first and limit to maxEpisodes
+  episodes = [...episodes].sort((a, b) => b.dateObj - a.dateObj);
+  episodes = episodes.slice(0, channel.maxEpisodes);
+
+  const lastBuildDate = (channel.lastBuildDate || new Date()).toUTCString();
+
+  const itemsXml = episodes
+    .map((ep) => {
+      const item = toFeedItem(ep, channel, lastBuildDate);
+      return (
+        "  <item>\n" +
+        `    <title>${escapeXml(item.title)}</title>\n` +
+        `    <link>${escapeXml(item.link)}</link>\n` +
+        `    <guid isPermaLink="false">${escapeXml(item.guid)}</guid>\n` +
+        `    <pubDate>${escapeXml(item.pubDate)}</pubDate>\n` +
+        `    <description>${escapeXml(item.description)}</description>\n` +
+        `    <enclosure url="${escapeXml(item.enclosure.url)}" length="${escapeXml(item.enclosure.length)}" type="${escapeXml(item.enclosure.type)}" />\n` +
+        (item.duration ? `    <itunes:duration>${escapeXml(item.duration)}</itunes:duration>\n` : "") +
+        (item.image ? `    <itunes:image href="${escapeXml(item.image)}" />\n` : "") +
+        (item.contentHtml ? `    <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>\n` : "") +
+        item.performers
+          .map((name) => `    <podcast:person role="guest">${escapeXml(name)}</podcast:person>\n`)
+          .join("") +
+        "  </item>"
+      );
+    })
+    .join("\n\n");
+
+  const imageBlock = channelImageUrl
+    ? [
+        "  <image>",
+        `    <url>${escapeXml(channelImageUrl)}</url>`,
+        `    <title>${escapeXml(channel.title)}</title>`,
+        `    <link>${escapeXml(channel.link)}</link>`,
+        "  </image>",
+        // Optional iTunes-style artwork tag
+        `  <itunes:image href="${escapeXml(channelImageUrl)}" />`,
+        "",
+      ].join("\n")
+    : "";
+
+  const channelDescription = escapeXml(sanitizeDescription(channel.description));
+  const namespaces = channel.archived ? { ...RSS_NAMESPACES, ...FEED_HISTORY_NAMESPACE } : RSS_NAMESPACES;
+  const { current, prevArchive, nextArchive } = channel.archiveLinks || {};
+  const historyXml =
+    (channel.archived ? "  <fh:archive />\n" : "") +
+    [
+      ["current", current],
+      ["prev-archive", prevArchive],
+      ["next-archive", nextArchive],
+    ]
+      .filter(([, href]) => href)
+      .map(([rel, href]) => `  <atom:link href="${escapeXml(href)}" rel="${rel}" type="application/rss+xml" />\n`)
+      .join("");
+
+  const rss =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rss version="2.0"' +
+    Object.entries(namespaces)
+      .map(([attr, uri]) => `\n     ${attr}="${uri}"`)
+      .join("") +
+    ">\n" +
+    "<channel>\n" +
+    `  <title>${escapeXml(channel.title)}</title>\n` +
+    `  <link>${escapeXml(channel.link)}</link>\n` +
+    // Atom self-link required by the validator
+    `  <atom:link href="${escapeXml(
+      channel.selfUrl
+    )}" rel="self" type="application/rss+xml" />\n` +
+    historyXml +
+    `  <description>${channelDescription}</description>\n` +
+    `  <language>${escapeXml(channel.language)}</language>\n` +
+    `  <lastBuildDate>${escapeXml(lastBuildDate)}</lastBuildDate>\n\n` +
+    imageBlock +
+    itemsXml +
+    "\n</channel>\n</rss>\n";
+
+  return rss;
+}
@@ -0,0 +1,108 @@
+// filters.mjs
+//
+// Match rules for derived feeds (`derived` in feeds.config.json): a
+// series' episodes narrowed down to the ones a listener cares about, e.g.
+// everything recorded at Carnegie Hall or featuring one musician. A rule
+// is an object of conditions that must all hold; a text condition given
+// as a list matches when any of its entries does.
+
+import { parseDate, zonedDate } from "./dates.mjs";
+import { parseDuration } from "./media.mjs";
+
+/**
+ * Conditions a rule can have:
+ *  - text:        anywhere in the title, description, show notes, venue or musicians
+ *  - title:       in the title
+ *  - description: in the description or show notes
+ *  - performer:   in the musicians from --enrich, or the title or description
+ *  - venue:       in the venue from --enrich, or the title or description
+ *  - from, to:    first and last day (YYYY-MM-DD, New York time, both included)
+ *  - minDuration: running time of at least this many seconds, or "45:00"
+ * Text matches ignore case and accents.
+ */
+export const RULE_CONDITIONS = ["text", "title", "description", "performer", "venue", "from", "to", "minDuration"];
+
+const TEXT_CONDITIONS = ["text", "title", "description", "performer", "venue"];
+const ISO_DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** "Cécile" → "cecile", so rules match however NPR spelled a name. */
+function fold(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/** The instant the day after an ISO day starts in New York. */
+function dayAfter(text) {
+  const [, year, month, day] = text.match(ISO_DAY).map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return zonedDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+}
+
+/** Throw if a rule can't work. */
+export function validateRule(rule, where) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule) || Object.keys(rule).length === 0) {
+    throw new Error(`${where}: "match" must be an object with at least one condition`);
+  }
+  for (const [key, value] of Object.entries(rule)) {
+    if (!RULE_CONDITIONS.includes(key)) {
+      throw new Error(`${where}: unknown condition "${key}" (known: ${RULE_CONDITIONS.join(", ")})`);
+    }
+    if (TEXT_CONDITIONS.includes(key)) {
+      const list = asList(value);
+      if (list.length === 0 || list.some((entry) => typeof entry !== "string" || entry.trim() === "")) {
+        throw new Error(`${where}: "${key}" must be a non-empty string or a list of them`);
+      }
+    } else if (key === "from" || key === "to") {
+      if (typeof value !== "string" || !ISO_DAY.test(value) || !parseDate(value)) {
+        throw new Error(`${where}: "${key}" must be a date like 2024-01-31, got ${JSON.stringify(value)}`);
+      }
+    } else if (!parseDuration(String(value))) {
+      throw new Error(`${where}: "minDuration" must be seconds or "mm:ss", got ${JSON.stringify(value)}`);
+    }
+  }
+  if (rule.from && rule.to && rule.from > rule.to) {
+    throw new Error(`${where}: "from" (${rule.from}) is after "to" (${rule.to})`);
+  }
+}
+
+/**
+ * A predicate for stored episodes (storeEpisodes() records, with `dateObj`)
+ * from a validated rule.
+ *
+ * @returns {(ep: object) => boolean}
+ */
+export function episodeMatcher(rule) {
+  const checks = [];
+  const anyOf = (value, fields) => {
+    const needles = asList(value).map(fold);
+    checks.push((ep) => {
+      const haystack = fold(fields(ep).join("\n"));
+      return needles.some((needle) => haystack.includes(needle));
+    });
+  };
+  const notes = (ep) => [ep.description, ...(ep.showNotes || [])];
+
+  if (rule.text) anyOf(rule.text, (ep) => [ep.title, ...notes(ep), ep.venue, ...(ep.performers || [])]);
+  if (rule.title) anyOf(rule.title, (ep) => [ep.title]);
+  if (rule.description) anyOf(rule.description, notes);
+  if (rule.performer) anyOf(rule.performer, (ep) => [...(ep.performers || []), ep.title, ep.description]);
+  if (rule.venue) anyOf(rule.venue, (ep) => [ep.venue, ep.title, ep.description]);
+  if (rule.from) {
+    const start = parseDate(rule.from);
+    checks.push((ep) => ep.dateObj >= start);
+  }
+  if (rule.to) {
+    const end = dayAfter(rule.to);
+    checks.push((ep) => ep.dateObj < end);
+  }
+  if (rule.minDuration !== undefined) {
+    const seconds = parseDuration(String(rule.minDuration));
+    // Unknown running times don't count as long enough
+    checks.push((ep) => (ep.duration || 0) >= seconds);
+  }
+  return (ep) => checks.every((check) => check(ep));
+}
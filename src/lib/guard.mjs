@@ -0,0 +1,223 @@
+// guard.mjs
+//
+// Safety checks before a run replaces a series' published feed. A change
+// in NPR's markup tends to show up as a scrape that finds almost nothing,
+// or finds episodes without titles, dates or audio; written out, that
+// would reach every subscriber. The run is compared against the feed it is
+// about to replace and refused unless `--force`. Feeds are rendered from
+// the episode store, which a run only adds to, so a broken scrape never
+// shrinks the feed itself; what gives it away is how few episodes the
+// scrape found compared with what the published feed lists. `--dry-run` prints what
+// would change instead of writing anything.
+
+import { readFile } from "node:fs/promises";
+import { parseStringPromise } from "xml2js";
+import { parseDate } from "./dates.mjs";
+import { UNTITLED_EPISODE } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+/** Thresholds, as shares (0–1) of the episodes concerned. */
+export const GUARD_LIMITS = {
+  // the scrape finds fewer than expected by more than this
+  maxDrop: 0.5,
+  // scraped episodes titled "Untitled episode"
+  maxUntitled: 0.2,
+  // scraped episodes whose date couldn't be read (dated to the run instead)
+  maxFallbackDates: 0.2,
+  // new feed items without an enclosure URL or length
+  maxMissingEnclosures: 0.2,
+};
+
+/**
+ * What an update's scrape should find at least, with stored episodes to
+ * stop at: the series page lists more than this before any "load more"
+ * (fewer when the published feed is shorter).
+ */
+export const FIRST_PAGE_EPISODES = 4;
+
+const DIFF_FIELDS = ["title", "pubDate", "enclosureUrl", "enclosureLength", "description"];
+
+function text(node) {
+  const value = node?.[0];
+  if (value === undefined) return "";
+  return (typeof value === "string" ? value : value._ || "").trim();
+}
+
+/**
+ * The items of a feed, as far as the guard and the dry-run diff need them.
+ *
+ * @returns {Promise<{ guid: string, title: string, pubDate: string, enclosureUrl: string, enclosureLength: string, description: string }[]>}
+ */
+export async function feedItems(xml) {
+  const parsed = await parseStringPromise(xml);
+  const items = parsed?.rss?.channel?.[0]?.item || [];
+  return items.map((item) => {
+    const enclosure = item.enclosure?.[0]?.$ || {};
+    return {
+      guid: text(item.guid),
+      title: text(item.title),
+      pubDate: text(item.pubDate),
+      enclosureUrl: enclosure.url || "",
+      enclosureLength: enclosure.length || "",
+      description: text(item.description),
+    };
+  });
+}
+
+/** Items of the feed file, or null when there is no feed yet. */
+export async function readFeedItems(file) {
+  let xml;
+  try {
+    xml = await readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return feedItems(xml);
+}
+
+const share = (count, total) => (total > 0 ? count / total : 0);
+const percent = (value) => `${Math.round(value * 100)}%`;
+const hasEnclosure = (item) => item.enclosureUrl && /^[1-9]\d*$/.test(item.enclosureLength);
+
+/**
+ * What looks wrong about a run, compared with the feed it would replace.
+ *
+ * @param {object} run
+ * @param {object[]|null} run.previous  items of the published feed (null: none yet)
+ * @param {object[]} run.next           items of the feed about to be written
+ * @param {object[]} run.scraped        raw episodes the scrape returned
+ * @param {number}  [run.expectedScraped] how many the scrape should have found,
+ *   from the published feed's item count
+ * @param {object}  [limits]
+ * @returns {string[]} one readable reason per anomaly; empty when all is well
+ */
+export function findAnomalies({ previous, next, scraped, expectedScraped = 0 }, limits = GUARD_LIMITS) {
+  const anomalies = [];
+
+  if (expectedScraped > 0 && share(expectedScraped - scraped.length, expectedScraped) > limits.maxDrop) {
+    anomalies.push(`the scrape found ${scraped.length} episode(s) where ${expectedScraped} were expected`);
+  }
+
+  const untitled = scraped.filter((ep) => !ep.title || ep.title === UNTITLED_EPISODE).length;
+  if (share(untitled, scraped.length) > limits.maxUntitled) {
+    anomalies.push(
+      `${untitled} of ${scraped.length} scraped episodes (${percent(share(untitled, scraped.length))}) ` +
+        `have no title`
+    );
+  }
+
+  const undated = scraped.filter((ep) => !parseDate(ep.dateText)).length;
+  if (share(undated, scraped.length) > limits.maxFallbackDates) {
+    anomalies.push(
+      `${undated} of ${scraped.length} scraped episodes (${percent(share(undated, scraped.length))}) ` +
+        `have no readable date`
+    );
+  }
+
+  // Feeds from before enclosure sizes were resolved lack lengths throughout;
+  // only a run that makes things worse counts
+  const missing = share(next.filter((item) => !hasEnclosure(item)).length, next.length);
+  const missingBefore = previous ? share(previous.filter((item) => !hasEnclosure(item)).length, previous.length) : 0;
+  if (missing > limits.maxMissingEnclosures && missing > missingBefore) {
+    anomalies.push(`${percent(missing)} of the feed's episodes would have no usable enclosure`);
+  }
+
+  return anomalies;
+}
+
+/**
+ * Check a series' rendered feeds before they are written. Anomalies throw
+ * unless `force` (or `dryRun`, which writes nothing anyway); either way
+ * they are logged.
+ *
+ * @param {{ file: string, xml: string }[]} feeds  from renderSeriesFeeds(), recent feed first
+ * @param {object} options
+ * @param {object[]} options.scraped
+ * @param {number}  [options.expectedScraped]
+ * @param {boolean} [options.force]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<string[]>} the anomalies found
+ */
+export async function guardFeeds(feeds, { scraped, expectedScraped = 0, force = false, dryRun = false }) {
+  const [recent] = feeds;
+  const previous = await readFeedItems(recent.file);
+  const anomalies = findAnomalies({
+    previous,
+    next: await feedItems(recent.xml),
+    scraped,
+    expectedScraped,
+  });
+  if (anomalies.length === 0) return anomalies;
+
+  if (!force && !dryRun) {
+    throw new Error(
+      `Refusing to overwrite ${recent.file}, the scrape looks broken:\n` +
+        anomalies.map((anomaly) => `  - ${anomaly}`).join("\n") +
+        "\nRun npm run doctor to see what the series page's selectors find, " +
+        "or rerun with --force if the change is expected."
+    );
+  }
+  log.warn(
+    `this run looks broken${force ? " (writing anyway, --force)" : ""}:\n` +
+      anomalies.map((anomaly) => `  - ${anomaly}`).join("\n"),
+    { anomalies }
+  );
+  return anomalies;
+}
+
+/**
+ * Items added, removed and changed between two versions of a feed,
+ * matched by guid.
+ *
+ * @returns {{ added: object[], removed: object[], changed: { item: object, fields: string[] }[] }}
+ */
+export function diffFeedItems(previous, next) {
+  const before = new Map((previous || []).map((item) => [item.guid, item]));
+  const after = new Set(next.map((item) => item.guid));
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const item of next) {
+    const old = before.get(item.guid);
+    if (!old) {
+      diff.added.push(item);
+      continue;
+    }
+    const fields = DIFF_FIELDS.filter((field) => old[field] !== item[field]);
+    if (fields.length > 0) diff.changed.push({ item, fields });
+  }
+  diff.removed = [...before.values()].filter((item) => !after.has(item.guid));
+  return diff;
+}
+
+/** Readable dry-run report for one feed file. */
+export function formatFeedDiff(file, { added, removed, changed }) {
+  if (added.length + removed.length + changed.length === 0) return `${file}: unchanged`;
+  return [
+    `${file}: ${added.length} added, ${removed.length} removed, ${changed.length} changed`,
+    ...added.map((item) => `  + ${item.title} (${item.guid})`),
+    ...removed.map((item) => `  - ${item.title} (${item.guid})`),
+    ...changed.map(({ item, fields }) => `  ~ ${item.title} (${item.guid}): ${fields.join(", ")}`),
+  ].join("\n");
+}
+
+/**
+ * What writing each rendered feed would change, compared with the file on
+ * disk (every item is added when there is no file yet).
+ *
+ * @returns {Promise<{ file: string, diff: ReturnType<typeof diffFeedItems> }[]>}
+ */
+export async function diffFeeds(feeds) {
+  const diffs = [];
+  for (const feed of feeds) {
+    diffs.push({ file: feed.file, diff: diffFeedItems(await readFeedItems(feed.file), await feedItems(feed.xml)) });
+  }
+  return diffs;
+}
+
+/** Print what writing the rendered feeds would change, from diffFeeds(). */
+export function printFeedDiffs(diffs) {
+  for (const { file, diff } of diffs) {
+    log.info(formatFeedDiff(file, diff));
+  }
+}
@@ -0,0 +1,185 @@
+// http-source.mjs
+//
+// Browser-free scraping. The series page's "load more" button fetches the
+// next batch of stories as partial HTML from
+// npr.org/get/<series id>/render/partial/next?start=<n>; this module asks
+// for those pages directly with fetch() and runs the shared extractor on
+// them with linkedom, so a full archive takes seconds instead of minutes of
+// clicking. browser.mjs stays as the fallback (see source.mjs).
+
+import { extractEpisodesFromDocument, findChannelImage, extractedVia } from "./extract.mjs";
+import { parseSnapshot } from "./snapshot.mjs";
+import { seriesProfile } from "./profile.mjs";
+import { USER_AGENT } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+/** `{seriesId}` and `{start}` (1-based position of the next story) are filled in. */
+export const DEFAULT_PAGINATION_URL =
+  "https://www.npr.org/get/{seriesId}/render/partial/next?start={start}";
+export const DEFAULT_HTTP_TIMEOUT_MS = 30_000;
+
+// Same safety limit as the browser's 50 "load more" clicks
+const MAX_PAGES = 50;
+
+/** Numeric NPR id from a series/program/podcast URL, or "" when it has none. */
+export function seriesIdFromUrl(url = "") {
+  const match = url.match(/\/(?:series|programs|podcasts|sections)\/(\d+)(?:\/|$)/);
+  return match ? match[1] : "";
+}
+
+export function paginationUrl(template, { seriesId, start }) {
+  return template
+    .replaceAll("{seriesId}", encodeURIComponent(seriesId))
+    .replaceAll("{start}", String(start));
+}
+
+/**
+ * GET a page as text. Non-2xx responses throw, with `status` set on the error.
+ *
+ * @param {string} url
+ * @param {{ timeoutMs?: number }} [options]
+ */
+export async function fetchHtml(url, { timeoutMs = DEFAULT_HTTP_TIMEOUT_MS } = {}) {
+  const res = await fetch(url, {
+    headers: { "User-Agent": USER_AGENT, Accept: "text/html" },
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) {
+    const err = new Error(`GET ${url} returned ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return { html: await res.text(), url: res.url || url };
+}
+
+/**
+ * The archive link as a DOM element. Besides plain CSS this understands the
+ * Playwright `a:has-text("…")` form used by the default selector.
+ */
+function findArchiveLink(doc, selector) {
+  const hasText = selector.match(/^(.*):has-text\((["'])(.+)\2\)$/);
+  if (!hasText) return doc.querySelector(selector);
+  const [, base, , text] = hasText;
+  return (
+    Array.from(doc.querySelectorAll(base || "*")).find((el) =>
+      (el.textContent || "").toLowerCase().includes(text.toLowerCase())
+    ) || null
+  );
+}
+
+/**
+ * The first page of a series' story listing: the series page, or the page
+ * its archive link (the profile's `archiveLink`) leads to.
+ *
+ * @returns {Promise<{ html: string, url: string, doc: Document }>}
+ */
+export async function fetchArchivePage(series, { timeoutMs } = {}) {
+  log.debug(`Fetching series page: ${series.url}`);
+  let { html, url } = await fetchHtml(series.url, { timeoutMs });
+  let doc = parseSnapshot(html);
+
+  const archiveSelector = seriesProfile(series).archiveLink;
+  const archiveLink = archiveSelector ? findArchiveLink(doc, archiveSelector) : null;
+  if (archiveLink?.getAttribute("href")) {
+    const archiveUrl = new URL(archiveLink.getAttribute("href"), url).href;
+    log.debug(`Following archive link (${archiveSelector}): ${archiveUrl}`);
+    ({ html, url } = await fetchHtml(archiveUrl, { timeoutMs }));
+    doc = parseSnapshot(html);
+  }
+  return { html, url, doc };
+}
+
+/**
+ * Scrape a series over plain HTTP: the series page (or its archive link),
+ * then pagination pages until `maxEpisodes` are found, a page adds no
+ * stories, or `stopWhen(episodes)` returns true.
+ *
+ * @param {object} series   a series from config.mjs
+ * @param {object} [options]
+ * @param {number} [options.maxEpisodes]
+ * @param {(episodes: object[]) => boolean} [options.stopWhen]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ channelImageUrl: string, episodes: object[], pages: number, stoppedBy: string, partial: boolean }>}
+ *   stoppedBy is "stopWhen", "limit", "end" or "safety", like expandAllStories(), or "error" when
+ *   a pagination request failed: the episodes of the pages fetched until then come back with
+ *   `partial: true` rather than being thrown away. A failing first page still throws.
+ */
+export async function scrapeSeriesHttp(series, { maxEpisodes = Infinity, stopWhen, timeoutMs } = {}) {
+  const profile = seriesProfile(series);
+  const template = series.paginationUrl || DEFAULT_PAGINATION_URL;
+  const { doc, url: pageUrl } = await fetchArchivePage(series, { timeoutMs });
+
+  const channelImageUrl = findChannelImage(doc, { baseUrl: pageUrl });
+  const seriesId = seriesIdFromUrl(pageUrl) || seriesIdFromUrl(series.url);
+
+  const episodes = [];
+  const seen = new Set();
+  let storiesLoaded = 0;
+
+  // Returns how many stories (with or without audio) the document added;
+  // a fallback strategy's episodes count when there are no articles
+  const collect = (document) => {
+    const found = extractEpisodesFromDocument(document, { baseUrl: pageUrl, profile });
+    const stories = document.querySelectorAll(profile.article).length || found.length;
+    storiesLoaded += stories;
+    for (const ep of found) {
+      if (seen.has(ep.audioUrl)) continue;
+      seen.add(ep.audioUrl);
+      episodes.push(ep);
+    }
+    return stories;
+  };
+
+  collect(doc);
+  let pages = 1;
+  let stoppedBy = "end";
+
+  while (true) {
+    if (stopWhen?.(episodes)) {
+      stoppedBy = "stopWhen";
+      break;
+    }
+    if (episodes.length >= maxEpisodes) {
+      stoppedBy = "limit";
+      break;
+    }
+    if (pages >= MAX_PAGES) {
+      log.warn(`maximum page limit reached (${MAX_PAGES}) — stopping.`);
+      stoppedBy = "safety";
+      break;
+    }
+    if (template.includes("{seriesId}") && !seriesId) {
+      throw new Error(`Cannot paginate ${series.url}: no numeric series id in the URL`);
+    }
+
+    const nextUrl = paginationUrl(template, { seriesId, start: storiesLoaded + 1 });
+    log.debug(`Fetching page ${pages + 1} (${episodes.length} episodes found so far): ${nextUrl}`);
+    let next;
+    try {
+      next = await fetchHtml(nextUrl, { timeoutMs });
+    } catch (err) {
+      log.warn(`page ${pages + 1} failed (${err.message}); keeping the ${episodes.length} episodes found so far.`);
+      stoppedBy = "error";
+      break;
+    }
+    pages++;
+
+    // The endpoint returns bare <article> elements, not a whole page
+    if (collect(parseSnapshot(`<!DOCTYPE html><html><body>${next.html}</body></html>`)) === 0) {
+      log.debug(`Page ${pages} has no more stories — stopping.`);
+      break;
+    }
+  }
+
+  log.info(
+    `Found ${episodes.length} episodes with MP3 download links over ${pages} page(s)${extractedVia(episodes)}.`
+  );
+  return {
+    channelImageUrl,
+    episodes: episodes.slice(0, maxEpisodes),
+    pages,
+    stoppedBy,
+    partial: stoppedBy === "error",
+  };
+}
@@ -0,0 +1,17 @@
+// images.mjs
+//
+// NPR image URLs encode their rendition in the path: media.npr.org assets
+// end in "-s600-c85.jpg" (width 600, quality 85) and brightspot CDN URLs
+// carry "/resize/600/" and "/quality/85/". Both services render any size on
+// request, so the feed always asks for one large, full-quality crop.
+
+export const FEED_IMAGE_SIZE = 1400;
+
+/** Rewrite an NPR image URL to its FEED_IMAGE_SIZE, quality-100 rendition. */
+export function bestNprImageUrl(url = "", size = FEED_IMAGE_SIZE) {
+  if (!url) return "";
+  return url
+    .replace(/-s\d+-c\d+(\.(?:jpe?g|png|gif|webp))/i, `-s${size}-c100$1`)
+    .replace(/\/resize\/\d+\//, `/resize/${size}/`)
+    .replace(/\/quality\/\d+\//, "/quality/100/");
+}
@@ -0,0 +1,92 @@
+// link-check.mjs
+//
+// Checks that stored episodes' audio files still exist. NPR occasionally
+// pulls audio; a 404/410 flags the episode with `missingSince`, and with
+// `remove` also sets `removedAt`, which keeps it out of the feeds. The
+// record itself stays in the store so the updater doesn't re-add the dead
+// file, and a later re-upload of the story (see store.mjs) brings it back.
+
+import { USER_AGENT } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+export const DEFAULT_CHECK_DELAY_MS = 250;
+
+const MISSING_STATUSES = [404, 410];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of an audio URL. Servers that refuse HEAD get a one-byte
+ * ranged GET instead.
+ *
+ * @returns {Promise<number>} the status, or 0 when the request failed
+ */
+export async function checkEnclosure(audioUrl, { timeoutMs = 15_000 } = {}) {
+  const request = (method, headers = {}) =>
+    fetch(audioUrl, {
+      method,
+      headers: { "User-Agent": USER_AGENT, ...headers },
+      redirect: "follow",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+  try {
+    let res = await request("HEAD");
+    if (res.status === 405 || res.status === 501) {
+      res = await request("GET", { Range: "bytes=0-0" });
+      await res.body?.cancel();
+    }
+    return res.status;
+  } catch (err) {
+    log.warn(`checking ${audioUrl} failed: ${err.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Check every stored episode's audio URL, one request at a time.
+ *
+ * @param {object} store            from store.mjs
+ * @param {object} [options]
+ * @param {boolean} [options.remove] keep missing episodes out of the feeds
+ * @param {number}  [options.delayMs] pause between requests
+ * @param {Date}    [options.now]
+ * @param {(audioUrl: string) => Promise<number>} [options.check] status lookup
+ * @returns {Promise<{ checked: number, failed: number, missing: object[], removed: object[], recovered: object[] }>}
+ *   `missing` lists every flagged record, including ones flagged before;
+ *   `failed` counts requests that gave no usable answer (left unchanged)
+ */
+export async function checkStoreLinks(
+  store,
+  { remove = false, delayMs = DEFAULT_CHECK_DELAY_MS, now = new Date(), check = checkEnclosure } = {}
+) {
+  const stamp = now.toISOString();
+  const result = { checked: 0, failed: 0, missing: [], removed: [], recovered: [] };
+
+  for (const record of store.episodes.values()) {
+    if (result.checked > 0 && delayMs > 0) await sleep(delayMs);
+    result.checked++;
+    const status = await check(record.audioUrl);
+
+    if (MISSING_STATUSES.includes(status)) {
+      record.missingSince ||= stamp;
+      result.missing.push(record);
+      if (remove && !record.removedAt) {
+        record.removedAt = stamp;
+        record.updatedAt = stamp;
+        result.removed.push(record);
+      }
+    } else if (status >= 200 && status < 400) {
+      if (record.missingSince) {
+        if (record.removedAt) record.updatedAt = stamp;
+        delete record.missingSince;
+        delete record.removedAt;
+        result.recovered.push(record);
+      }
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,87 @@
+// log.mjs
+//
+// Leveled logging for the build and update runs. Lines read as they always
+// have ("Warning: " in front of warnings); `--json` writes one JSON object
+// per line instead, for CI logs that are parsed rather than read.
+// `--quiet` keeps only warnings and errors, `--verbose` adds the per-click
+// and per-episode detail (debug). Everything logged, shown or not, also
+// reaches the listeners registered with onLog(), which is how the run
+// report (report.mjs) collects its warnings.
+
+export const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+function consoleWrite(level, line) {
+  if (level === "error") console.error(line);
+  else console.log(line);
+}
+
+const state = {
+  level: "info",
+  json: false,
+  write: consoleWrite,
+  context: {},
+  listeners: new Set(),
+};
+
+/**
+ * @param {object} [settings]
+ * @param {string}  [settings.level]  one of LOG_LEVELS; less important levels are dropped
+ * @param {boolean} [settings.json]   JSON lines instead of text
+ * @param {(level: string, line: string) => void} [settings.write] where lines go (default: stdout, errors to stderr)
+ */
+export function configureLogger({ level, json, write } = {}) {
+  if (level !== undefined) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`Log level must be one of ${LOG_LEVELS.join(", ")}, got "${level}"`);
+    state.level = level;
+  }
+  if (json !== undefined) state.json = json;
+  if (write !== undefined) state.write = write || consoleWrite;
+}
+
+/** The level `--quiet` / `--verbose` ask for; "info" without either. */
+export function logLevelFor({ quiet = false, verbose = false } = {}) {
+  if (quiet && verbose) throw new Error("--quiet and --verbose can't be combined");
+  if (quiet) return "warn";
+  return verbose ? "debug" : "info";
+}
+
+/**
+ * Fields added to every entry until changed, e.g. `{ series: "jazz-night" }`
+ * while a series is processed. `null` clears them.
+ */
+export function setLogContext(fields) {
+  state.context = { ...fields };
+}
+
+/**
+ * Call `listener({ level, message, ...fields })` for every entry, whatever
+ * the level. Returns a function that removes it.
+ */
+export function onLog(listener) {
+  state.listeners.add(listener);
+  return () => state.listeners.delete(listener);
+}
+
+function emit(level, message, fields) {
+  const entry = { level, message: String(message), ...state.context, ...fields };
+  for (const listener of state.listeners) listener(entry);
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(state.level)) return;
+
+  if (state.json) {
+    // Blank lines that separate sections in text mode mean nothing here
+    state.write(level, JSON.stringify({ time: new Date().toISOString(), ...entry, message: entry.message.trim() }));
+  } else {
+    state.write(level, level === "warn" ? `Warning: ${entry.message}` : entry.message);
+  }
+}
+
+/**
+ * `log.info("Wrote …")`; an optional second argument adds fields to the
+ * JSON entry (text mode shows only the message).
+ */
+export const log = {
+  error: (message, fields) => emit("error", message, fields),
+  warn: (message, fields) => emit("warn", message, fields),
+  info: (message, fields) => emit("info", message, fields),
+  debug: (message, fields) => emit("debug", message, fields),
+};
@@ -0,0 +1,118 @@
+// media.mjs
+//
+// Enclosure metadata: file size (for <enclosure length>) and running time
+// (for <itunes:duration>). NPR audio URLs carry both as `size` and `d`
+// query params; when `size` is missing we ask the server with a HEAD
+// request, and when one of the two is still unknown it is estimated from
+// the other at NPR's 128 kbps encoding rate.
+
+import { log } from "./log.mjs";
+
+const NPR_BYTES_PER_SECOND = 128_000 / 8;
+
+function positiveInt(value) {
+  const n = parseInt(value ?? "", 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** Read `size` (bytes) and `d` (seconds) from an NPR audio URL. */
+export function parseAudioUrlParams(url = "") {
+  try {
+    const params = new URL(url).searchParams;
+    return {
+      size: positiveInt(params.get("size")),
+      duration: positiveInt(params.get("d")),
+    };
+  } catch {
+    return { size: null, duration: null };
+  }
+}
+
+/** Format seconds as iTunes-style duration: "MM:SS", or "H:MM:SS" from an hour up. */
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mmss = `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+}
+
+/** Inverse of formatDuration(): "59:40" or "1:02:05" → seconds; null when unparseable. */
+export function parseDuration(text = "") {
+  const match = String(text).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return positiveInt(text);
+  const [, h = "0", m, s] = match;
+  return positiveInt(String(Number(h) * 3600 + Number(m) * 60 + Number(s)));
+}
+
+/**
+ * Ask the server for an audio file's size.
+ *
+ * @param {string} audioUrl
+ * @param {object} [options]
+ * @param {string} [options.headEndpoint] URL template for the HEAD request;
+ *   `{url}` is replaced with the encoded audio URL. Defaults to the audio URL itself.
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<number|null>} Content-Length, or null when unavailable
+ */
+export async function fetchContentLength(audioUrl, { headEndpoint = "", timeoutMs = 15_000 } = {}) {
+  const target = headEndpoint
+    ? headEndpoint.replace("{url}", encodeURIComponent(audioUrl))
+    : audioUrl;
+
+  try {
+    const res = await fetch(target, {
+      method: "HEAD",
+      redirect: "follow",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      log.warn(`HEAD ${target} returned ${res.status}; enclosure length unknown.`);
+      return null;
+    }
+    return positiveInt(res.headers.get("content-length"));
+  } catch (err) {
+    log.warn(`HEAD ${target} failed (${err.message}); enclosure length unknown.`);
+    return null;
+  }
+}
+
+/**
+ * Enclosure size and duration for one audio URL, from the URL alone.
+ * Either value may be estimated from the other; both are null when the
+ * URL carries neither.
+ */
+export function enclosureMetaFromUrl(audioUrl) {
+  const { size, duration } = parseAudioUrlParams(audioUrl);
+  return withEstimates(size, duration);
+}
+
+function withEstimates(size, duration) {
+  return {
+    length: size ?? (duration ? Math.round(duration * NPR_BYTES_PER_SECOND) : null),
+    duration: duration ?? (size ? Math.round(size / NPR_BYTES_PER_SECOND) : null),
+  };
+}
+
+/**
+ * Attach `enclosureLength` (bytes) and `duration` (seconds) to each episode.
+ * Falls back to a HEAD request when the URL has no `size` param; when
+ * nothing is known the episode gets neither and the feed writes length="0".
+ *
+ * @param {object[]} episodes prepared episodes with `audioUrl`
+ * @param {object}   [options] passed to fetchContentLength(); `head: false` skips HEAD requests
+ */
+export async function resolveEnclosures(episodes, { head = true, ...headOptions } = {}) {
+  const resolved = [];
+  for (const ep of episodes) {
+    let { size, duration } = parseAudioUrlParams(ep.audioUrl);
+    if (!size && head) {
+      log.debug(`No size param for "${ep.title}"; sending HEAD request.`);
+      size = await fetchContentLength(ep.audioUrl, headOptions);
+    }
+    const meta = withEstimates(size, duration);
+    resolved.push({ ...ep, enclosureLength: meta.length, duration: meta.duration });
+  }
+  return resolved;
+}
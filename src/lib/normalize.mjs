@@ -0,0 +1,110 @@
+// normalize.mjs
+//
+// Normalization of scraped episode fields: identity keys, descriptions
+// and de-duplication.
+
+import { fullyUnescapeXml } from "./xml.mjs";
+
+/**
+ * Stable key for episode identity. Strips query params so NPR tracking/
+ * size params don't create false "new" episodes, and normalizes residual
+ * HTML entities from previously double-escaped feed entries.
+ */
+export function normalizeAudioUrl(url = "") {
+  let s = fullyUnescapeXml(url).trim();
+  try {
+    const u = new URL(s);
+    return `${u.origin}${u.pathname}`;
+  } catch {
+    return s.split("?")[0];
+  }
+}
+
+/**
+ * NPR story id from a story link: "nx-s1-5869532" for current stories,
+ * the numeric id ("514097210") for older ones, "" when there is none.
+ */
+export function storyIdFromLink(link = "") {
+  const match = String(link).match(/\/20\d{2}\/\d{2}\/\d{2}\/(nx-s\d+-\d+|\d{6,})(?:\/|$)/);
+  return match ? match[1] : "";
+}
+
+/**
+ * An episode's guid, unaffected by NPR changing the audio URL's query
+ * string or file name: "npr:<story id>" when the story link has one, else
+ * the normalized audio URL.
+ */
+export function stableGuid({ link = "", audioUrl = "" }) {
+  const storyId = storyIdFromLink(link);
+  return storyId ? `npr:${storyId}` : normalizeAudioUrl(audioUrl);
+}
+
+// Remove any HTML tags so description is plain text that W3C
+// HTML checker won't choke on (no stray <iframe>, etc.)
+export function sanitizeDescription(desc = "") {
+  return String(desc)
+    .replace(/<[^>]*>/g, "") // strip tags
+    .replace(/\s+/g, " ") // collapse whitespace
+    .trim();
+}
+
+// NPR audio player text that older scrapes picked up from the whole article:
+// "Listen· 59:4059-Minute ListenPlaylist Toggle more options Download Embed Embed"
+const PLAYER_CHROME_PATTERNS = [
+  /\s*\bListen\s*·\s*\d{1,2}:\d{2}(?::\d{2})?[\s\S]*$/,
+  /\s*(?:\d+-Minute Listen\s*)?(?:Playlist\s*)?Toggle more options[\s\S]*$/,
+  /(?:\s*\b(?:Download|Embed)\b)+\s*$/,
+];
+
+// Placeholders from NPR's CMS that leak into audio titles and teasers.
+const EDITORIAL_ARTIFACTS = [
+  /\b(?:working headline|in progress|hed tk)\s*:\s*/gi,
+  /\s*-?\s*\bheadline tbd\b/gi,
+];
+
+// Leading "July 23, 2026 •" from the teaser's date span.
+const LEADING_DATE = /^(?:[A-Z][a-z]{2,8}\.?\s+\d{1,2},\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4})\s*•\s*/;
+
+/**
+ * Plain-text episode description with NPR player chrome and editorial
+ * artifacts removed. When player chrome was present, the fragment between
+ * the teaser's last sentence and the chrome is the player's audio title
+ * (e.g. "Working Headline:Keyon Harrold celebrates…") and is dropped too.
+ */
+export function cleanDescription(desc = "") {
+  let s = sanitizeDescription(desc).replace(LEADING_DATE, "");
+
+  let hadChrome = false;
+  for (const pattern of PLAYER_CHROME_PATTERNS) {
+    const stripped = s.replace(pattern, "");
+    if (stripped !== s) {
+      hadChrome = true;
+      s = stripped.trim();
+    }
+  }
+
+  const hadArtifacts = EDITORIAL_ARTIFACTS.some((pattern) => s.search(pattern) !== -1);
+
+  if (hadChrome || hadArtifacts) {
+    // Trailing fragment without terminal punctuation after the last sentence
+    const lastSentence = s.match(/^([\s\S]*[.!?]["'”’)]?)\s+([^.!?]+)$/);
+    if (lastSentence) s = lastSentence[1];
+  }
+
+  for (const pattern of EDITORIAL_ARTIFACTS) {
+    s = s.replace(pattern, " ");
+  }
+
+  return s.replace(/\s+/g, " ").trim();
+}
+
+/** Keep the first occurrence of each episode, keyed by `keyFn` (defaults to normalized audio URL). */
+export function dedupeBy(list, keyFn = (ep) => normalizeAudioUrl(ep.audioUrl)) {
+  const seen = new Set();
+  return list.filter((entry) => {
+    const key = keyFn(entry);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
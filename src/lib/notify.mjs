@@ -0,0 +1,298 @@
+// notify.mjs
+//
+// Announces episodes an update added: a JSON POST to each configured
+// webhook, and optionally a plain-text or HTML digest file for a mail step
+// to send. An update only queues them, in a ledger next to the episode
+// store (data/<feed>.notifications.json) that is written and committed
+// with the store; `npm run notify` delivers the queue afterwards, so a run
+// whose feeds never get pushed announces nothing, and a re-run doesn't
+// announce the same episodes again. Deliveries are retried with backoff; a
+// webhook that was down keeps its queue for a later run. Only episodes an
+// update adds are announced; a full build or an imported feed announces
+// nothing.
+
+import { readFile, writeFile, mkdir, rm } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import path from "node:path";
+import { storePathFor } from "./store.mjs";
+import { formatDuration } from "./media.mjs";
+import { escapeXml } from "./xml.mjs";
+import { PUBLISH_TIME_ZONE } from "./dates.mjs";
+import { USER_AGENT } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+export const DEFAULT_NOTIFY_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Comma- or whitespace-separated webhook URLs; throws on anything that isn't http(s). */
+export function parseWebhookUrls(text = "") {
+  const urls = text.split(/[\s,]+/).filter(Boolean);
+  for (const url of urls) {
+    let protocol = "";
+    try {
+      protocol = new URL(url).protocol;
+    } catch {
+      // reported below
+    }
+    if (!/^https?:$/.test(protocol)) throw new Error(`Webhook URL must be http(s), got "${url}"`);
+  }
+  return urls;
+}
+
+/**
+ * Ledger id of a webhook: a hash, since webhook URLs often carry a secret
+ * and the ledger is committed.
+ */
+export function webhookId(url) {
+  return createHash("sha256").update(url).digest("hex").slice(0, 12);
+}
+
+/** data/jazz-night-zune.episodes.jsonl → data/jazz-night-zune.notifications.json */
+export function ledgerPathFor(series) {
+  const store = storePathFor(series);
+  const base = path.basename(store).replace(/\.episodes\.jsonl$|\.[^.]*$/, "");
+  return path.join(path.dirname(store), `${base}.notifications.json`);
+}
+
+/**
+ * @returns {Promise<{ announced: Record<string, string>, pending: Record<string, string[]>, digest: string[] }>}
+ *   when each guid was announced, the guids each webhook id still has to
+ *   receive, and the guids the next digest lists
+ */
+export async function loadLedger(file) {
+  try {
+    const ledger = JSON.parse(await readFile(file, "utf8"));
+    return { announced: ledger.announced || {}, pending: ledger.pending || {}, digest: ledger.digest || [] };
+  } catch (err) {
+    if (err.code === "ENOENT") return { announced: {}, pending: {}, digest: [] };
+    throw new Error(`Cannot read notification ledger ${file}: ${err.message}`);
+  }
+}
+
+export async function saveLedger(file, ledger) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(ledger, null, 2) + "\n", "utf8");
+}
+
+/** What a webhook receives about one episode. */
+export function episodePayload(record) {
+  return {
+    guid: record.guid,
+    title: record.title || "Untitled episode",
+    date: record.date,
+    link: record.link || "",
+    audioUrl: record.audioUrl,
+    duration: record.duration || null,
+    durationText: record.duration ? formatDuration(record.duration) : "",
+    description: record.description || "",
+    image: record.image || "",
+  };
+}
+
+/**
+ * POST a JSON payload, retrying network errors, timeouts, 429 and 5xx
+ * answers with exponential backoff. Other 4xx answers aren't retried.
+ *
+ * @returns {Promise<{ ok: boolean, attempts: number, status: number, error: string }>}
+ */
+export async function postWebhook(
+  url,
+  payload,
+  { retries = DEFAULT_NOTIFY_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS, timeoutMs = 15_000 } = {}
+) {
+  const body = JSON.stringify(payload);
+  let result;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    if (attempt > 1) await sleep(retryDelayMs * 2 ** (attempt - 2));
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      await res.body?.cancel();
+      if (res.ok) return { ok: true, attempts: attempt, status: res.status, error: "" };
+      result = { ok: false, attempts: attempt, status: res.status, error: `HTTP ${res.status}` };
+      if (res.status !== 429 && res.status < 500) return result;
+    } catch (err) {
+      result = { ok: false, attempts: attempt, status: 0, error: err.message };
+    }
+  }
+  return result;
+}
+
+/**
+ * Queue the episodes an update added to a series for every webhook, and
+ * for the digest when one is configured. Episodes announced before (a
+ * re-run, or audio NPR re-uploaded) aren't queued again. Updates `ledger`
+ * in place, and leaves it untouched when nothing is queued; the caller
+ * saves it.
+ *
+ * @param {object}   ledger   from loadLedger()
+ * @param {object[]} added    records upsertEpisodes() added this run
+ * @param {object}   options
+ * @param {string[]} options.webhooks
+ * @param {boolean} [options.digest]
+ * @param {Date}    [options.now]
+ * @returns {object[]} the records queued
+ */
+export function queueAnnouncements(ledger, added, { webhooks, digest = false, now = new Date() }) {
+  const queued = added.filter((record) => !ledger.announced[record.guid]);
+  if (queued.length === 0) return queued;
+  const guids = queued.map((record) => record.guid);
+  for (const guid of guids) ledger.announced[guid] = now.toISOString();
+  for (const url of webhooks) {
+    const id = webhookId(url);
+    ledger.pending[id] = [...new Set([...(ledger.pending[id] || []), ...guids])];
+  }
+  if (digest) ledger.digest = [...new Set([...ledger.digest, ...guids])];
+  return queued;
+}
+
+// Queued guids as store records, newest first; episodes removed from the
+// store since can't be described any more
+function queuedEpisodes(store, guids) {
+  const byGuid = new Map([...store.episodes.values()].map((record) => [record.guid, record]));
+  return guids
+    .filter((guid) => byGuid.has(guid))
+    .map((guid) => byGuid.get(guid))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * POST each webhook what the ledger has queued for it. A delivery that
+ * fails stays queued for the next run. Updates `ledger` in place; the
+ * caller saves it.
+ *
+ * @param {object}   series
+ * @param {object}   store    the series' episode store
+ * @param {object}   ledger   from loadLedger()
+ * @param {object}   options
+ * @param {string[]} options.webhooks
+ * @param {number}  [options.retries]
+ * @param {number}  [options.retryDelayMs]
+ * @returns {Promise<{ webhook: string, ok: boolean, episodes: number, attempts: number, error: string }[]>}
+ */
+export async function deliverPending(series, store, ledger, { webhooks, retries, retryDelayMs }) {
+  const ids = new Set(webhooks.map(webhookId));
+  for (const id of Object.keys(ledger.pending)) {
+    if (!ids.has(id)) {
+      log.warn(
+        `dropping ${ledger.pending[id].length} undelivered notification(s) of a webhook no longer configured.`
+      );
+      delete ledger.pending[id];
+    }
+  }
+
+  const deliveries = [];
+  for (const url of webhooks) {
+    const id = webhookId(url);
+    const episodes = queuedEpisodes(store, ledger.pending[id] || []);
+    delete ledger.pending[id];
+    if (episodes.length === 0) continue;
+
+    const payload = {
+      series: { name: series.name, title: series.title, feedUrl: series.selfUrl },
+      episodes: episodes.map(episodePayload),
+    };
+    const result = await postWebhook(url, payload, { retries, retryDelayMs });
+    if (!result.ok) ledger.pending[id] = episodes.map((record) => record.guid);
+    deliveries.push({
+      webhook: id,
+      ok: result.ok,
+      episodes: episodes.length,
+      attempts: result.attempts,
+      error: result.error,
+    });
+  }
+  return deliveries;
+}
+
+/** The episodes queued for the digest, newest first. */
+export function digestEpisodes(store, ledger) {
+  return queuedEpisodes(store, ledger.digest);
+}
+
+function formatDay(date) {
+  return new Intl.DateTimeFormat("en-US", { timeZone: PUBLISH_TIME_ZONE, dateStyle: "long" }).format(new Date(date));
+}
+
+/**
+ * A digest of newly announced episodes, grouped by series: HTML for a
+ * `.html`/`.htm` file, plain text otherwise.
+ *
+ * @param {{ series: object, episodes: object[] }[]} sections
+ * @param {"text"|"html"} format
+ */
+export function renderDigest(sections, format = "text") {
+  const total = sections.reduce((sum, section) => sum + section.episodes.length, 0);
+  const heading = `${total} new episode${total === 1 ? "" : "s"}`;
+  const items = (section) => section.episodes.map(episodePayload);
+
+  if (format === "html") {
+    const body = sections
+      .map(
+        (section) => `<h2>${escapeXml(section.series.title)}</h2>
+<ul>
+${items(section)
+  .map(
+    (ep) =>
+      `<li><a href="${escapeXml(ep.link || ep.audioUrl)}">${escapeXml(ep.title)}</a> (${formatDay(ep.date)}` +
+      `${ep.durationText ? `, ${ep.durationText}` : ""})` +
+      `${ep.description ? `<br>${escapeXml(ep.description)}` : ""}<br><a href="${escapeXml(ep.audioUrl)}">MP3</a></li>`
+  )
+  .join("\n")}
+</ul>
+<p>Feed: <a href="${escapeXml(section.series.selfUrl)}">${escapeXml(section.series.selfUrl)}</a></p>`
+      )
+      .join("\n");
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${heading}</title></head>
+<body>
+<h1>${heading}</h1>
+${body}
+</body>
+</html>
+`;
+  }
+
+  const blocks = sections.map((section) =>
+    [
+      section.series.title,
+      "=".repeat(section.series.title.length),
+      "",
+      ...items(section).flatMap((ep) => [
+        `* ${ep.title}`,
+        `  ${formatDay(ep.date)}${ep.durationText ? `, ${ep.durationText}` : ""}`,
+        ...(ep.description ? [`  ${ep.description}`] : []),
+        ...(ep.link ? [`  ${ep.link}`] : []),
+        `  MP3: ${ep.audioUrl}`,
+        "",
+      ]),
+      `Feed: ${section.series.selfUrl}`,
+    ].join("\n")
+  );
+  return `${heading}\n\n${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * Write the digest of the queued announcements, or remove a digest left
+ * from an earlier run when there is nothing new, so a mail step that sends
+ * the file whenever it exists never sends old news.
+ *
+ * @returns {Promise<boolean>} whether a digest was written
+ */
+export async function writeDigest(file, sections) {
+  const withEpisodes = sections.filter((section) => section.episodes.length > 0);
+  if (withEpisodes.length === 0) {
+    await rm(file, { force: true });
+    return false;
+  }
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, renderDigest(withEpisodes, /\.html?$/i.test(file) ? "html" : "text"), "utf8");
+  return true;
+}
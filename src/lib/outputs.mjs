@@ -0,0 +1,201 @@
+// outputs.mjs
+//
+// Every feed file a series renders from its episode store: the capped
+// "recent" feed for Zune and, in archive mode (`archive` in
+// feeds.config.json), an uncapped complete archive plus RFC 5005 archive
+// pages, so nothing the store has captured ever drops out of every feed.
+// Derived feeds (`derived`) follow, each with the episodes its rule matches.
+
+import { access, mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { buildRss } from "./feed.mjs";
+import { storeEpisodes, lastUpdated } from "./store.mjs";
+import { seriesChannel, archiveSettings, derivedFeedSettings } from "./config.mjs";
+import { episodeMatcher } from "./filters.mjs";
+import { log } from "./log.mjs";
+
+/**
+ * Oldest episode date first, ties broken by key so the order doesn't depend
+ * on when or how (scrape or import) an episode reached the store.
+ */
+function compareDated(a, b) {
+  return a.date.localeCompare(b.date) || a.key.localeCompare(b.key);
+}
+
+function latestUpdate(episodes) {
+  const latest = episodes.reduce((max, ep) => (ep.updatedAt > max ? ep.updatedAt : max), "");
+  return latest ? new Date(latest) : undefined;
+}
+
+/**
+ * Split episodes into archive pages of `pageSize`, oldest first. Only full
+ * pages are returned: RFC 5005 archive documents shouldn't change once
+ * published, and the newest episodes are in the recent feed anyway. New
+ * episodes are newer than the store's, so they append to the last page; an
+ * older episode found late (a backfill) shifts the pages after its date.
+ */
+export function archivePages(episodes, pageSize) {
+  const ordered = [...episodes].sort(compareDated);
+  const pages = [];
+  for (let start = 0; start + pageSize <= ordered.length; start += pageSize) {
+    pages.push(ordered.slice(start, start + pageSize));
+  }
+  return pages;
+}
+
+/**
+ * Render a series' feeds without writing them.
+ *
+ * @returns {{ file: string, xml: string, episodes: number }[]} the recent
+ *   feed first, then the complete archive and its pages in archive mode,
+ *   then the derived feeds
+ */
+export function renderSeriesFeeds(series, store) {
+  const episodes = storeEpisodes(store);
+  const lastBuildDate = lastUpdated(store) || undefined;
+  const channel = { ...seriesChannel(series), lastBuildDate };
+  return [
+    ...renderMainFeeds(series, store, episodes, channel),
+    ...renderDerivedFeeds(series, store, episodes, channel),
+  ];
+}
+
+/**
+ * Derived feeds: each rule's matches, with the feed's own title and self
+ * link. lastBuildDate only counts the matched episodes, so a derived feed
+ * is unchanged until one of its own episodes is.
+ */
+function renderDerivedFeeds(series, store, episodes, channel) {
+  return derivedFeedSettings(series).map((feed) => {
+    const matched = episodes.filter(episodeMatcher(feed.match));
+    return {
+      file: feed.output,
+      xml: buildRss(matched, store.channelImageUrl, {
+        ...channel,
+        title: feed.title,
+        description: feed.description,
+        selfUrl: feed.selfUrl,
+        maxEpisodes: feed.maxEpisodes,
+        lastBuildDate: latestUpdate(matched) || channel.lastBuildDate,
+      }),
+      episodes: Math.min(matched.length, feed.maxEpisodes),
+    };
+  });
+}
+
+function renderMainFeeds(series, store, episodes, channel) {
+  const archive = archiveSettings(series);
+
+  if (!archive) {
+    return [
+      {
+        file: series.output,
+        xml: buildRss(episodes, store.channelImageUrl, channel),
+        episodes: Math.min(episodes.length, series.maxEpisodes),
+      },
+    ];
+  }
+
+  const pages = archivePages(episodes, archive.pageSize);
+  const archived = pages.length * archive.pageSize;
+  if (episodes.length - archived > series.maxEpisodes) {
+    log.warn(
+      `${episodes.length - archived - series.maxEpisodes} episode(s) are newer than the last full ` +
+        `archive page but beyond the ${series.maxEpisodes}-episode recent feed; ` +
+        `they are only in ${archive.output}.`
+    );
+  }
+
+  const recent = {
+    file: series.output,
+    xml: buildRss(episodes, store.channelImageUrl, {
+      ...channel,
+      archiveLinks: { prevArchive: pages.length ? archive.pageSelfUrl(pages.length) : "" },
+    }),
+    episodes: Math.min(episodes.length, series.maxEpisodes),
+  };
+  const complete = {
+    file: archive.output,
+    xml: buildRss(episodes, store.channelImageUrl, {
+      ...channel,
+      title: archive.title,
+      selfUrl: archive.selfUrl,
+      maxEpisodes: Infinity,
+    }),
+    episodes: episodes.length,
+  };
+  const pageFeeds = pages.map((page, index) => {
+    const number = index + 1;
+    return {
+      file: archive.pageOutput(number),
+      xml: buildRss(page, store.channelImageUrl, {
+        ...channel,
+        title: `${archive.title}, page ${number}`,
+        selfUrl: archive.pageSelfUrl(number),
+        maxEpisodes: Infinity,
+        // Only this page's episodes count, so older pages stay byte-identical
+        lastBuildDate: latestUpdate(page),
+        archived: true,
+        archiveLinks: {
+          current: series.selfUrl,
+          prevArchive: number > 1 ? archive.pageSelfUrl(number - 1) : "",
+          nextArchive: number < pages.length ? archive.pageSelfUrl(number + 1) : "",
+        },
+      }),
+      episodes: page.length,
+    };
+  });
+
+  return [recent, complete, ...pageFeeds];
+}
+
+/** Write rendered feeds, creating their directories. */
+export async function writeFeeds(feeds) {
+  for (const feed of feeds) {
+    await mkdir(path.dirname(feed.file), { recursive: true });
+    await writeFile(feed.file, feed.xml, "utf8");
+    log.info(`Wrote RSS feed to ${feed.file} (${feed.episodes} episodes)`);
+  }
+  return feeds;
+}
+
+/** Render and write a series' feeds. */
+export async function writeSeriesFeeds(series, store) {
+  return writeFeeds(renderSeriesFeeds(series, store));
+}
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The feeds a series has written, with their public URLs: its recent feed,
+ * in archive mode the complete archive and every archive page on disk, and
+ * its derived feeds.
+ *
+ * @returns {Promise<{ file: string, selfUrl: string }[]>}
+ */
+export async function seriesFeedTargets(series) {
+  const targets = [{ file: series.output, selfUrl: series.selfUrl }];
+  const archive = archiveSettings(series);
+  if (archive) {
+    targets.push({ file: archive.output, selfUrl: archive.selfUrl });
+    for (let page = 1; await exists(archive.pageOutput(page)); page++) {
+      targets.push({ file: archive.pageOutput(page), selfUrl: archive.pageSelfUrl(page) });
+    }
+  }
+  for (const feed of derivedFeedSettings(series)) {
+    targets.push({ file: feed.output, selfUrl: feed.selfUrl });
+  }
+  return targets;
+}
+
+/** The feed files a series has written (see seriesFeedTargets()). */
+export async function seriesFeedFiles(series) {
+  return (await seriesFeedTargets(series)).map((target) => target.file);
+}
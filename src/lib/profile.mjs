@@ -0,0 +1,63 @@
+// profile.mjs
+//
+// Selector profiles. Everything the scraper looks for on a series page
+// lives here: the page-level controls (archive link, "load more" button)
+// and the episode extraction strategies, tried in order until one finds
+// episodes. A series' `selectors` in feeds.config.json override single
+// keys, including the strategy order; the winning strategy is recorded on
+// every episode (`extractedBy`).
+
+/**
+ * Episode extraction strategies, in default order (see
+ * extractEpisodesFromDocument() for what each one reads):
+ *  - listing:         `article` items with a `download` control holding an `audioLink`
+ *  - download-anchor: any `audioLink` whose text contains `downloadText`, titled
+ *                     from the nearest story link (the pre-2024 scraper's approach)
+ *  - json-ld:         schema.org episodes with audio in the page's JSON-LD
+ *  - data-audio:      elements matching `audioData`, with the audio URL in
+ *                     `data-audio` (JSON) or `data-audio-url`
+ */
+export const EPISODE_STRATEGIES = ["listing", "download-anchor", "json-ld", "data-audio"];
+
+export const DEFAULT_PROFILE = {
+  // Page (CSS, except archiveLink, which may use Playwright's :has-text())
+  archiveLink: 'a:has-text("The Radio Show")',
+  loadMore: ".options__load-more",
+  // Episodes
+  article: "article.item",
+  download: "li.audio-tool-download",
+  audioLink: "a[href*='ondemand.npr.org']",
+  downloadText: "Download",
+  audioData: "[data-audio], [data-audio-url]",
+  teaser: "p.teaser, .teaser",
+  time: "time[datetime]",
+  thumbnail: ".item-image img, .imagewrap img, img",
+  strategies: EPISODE_STRATEGIES,
+};
+
+/** The complete profile of a series: the defaults plus its `selectors`. */
+export function seriesProfile(series = {}) {
+  return { ...DEFAULT_PROFILE, ...series.selectors };
+}
+
+/** Throw if a series' `selectors` can't work. */
+export function validateSelectors(selectors, where) {
+  for (const [key, value] of Object.entries(selectors)) {
+    if (!(key in DEFAULT_PROFILE)) {
+      throw new Error(`${where}: unknown selector "${key}" (known: ${Object.keys(DEFAULT_PROFILE).join(", ")})`);
+    }
+    if (key === "strategies") continue;
+    if (typeof value !== "string") throw new Error(`${where}: selector "${key}" must be a string`);
+  }
+  const { strategies } = selectors;
+  if (strategies === undefined) return;
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    throw new Error(`${where}: "selectors.strategies" must be a non-empty array`);
+  }
+  const unknown = strategies.filter((name) => !EPISODE_STRATEGIES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `${where}: unknown strategy "${unknown[0]}" in "selectors.strategies" (known: ${EPISODE_STRATEGIES.join(", ")})`
+    );
+  }
+}
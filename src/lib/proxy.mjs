@@ -0,0 +1,247 @@
+// proxy.mjs
+//
+// Plain-HTTP enclosure proxy for real Zune hardware. The Zune software
+// can't negotiate the TLS versions ondemand.npr.org accepts, so episodes
+// fail to download from the published feed. This server hands out the
+// generated feeds over plain HTTP with every <enclosure url> pointed at
+// itself, and streams the MP3 from NPR for those paths, passing Range
+// requests through so downloads can resume and players can seek.
+//
+// Proxy paths are keyed by the normalized audio URL (normalize.mjs), so
+// NPR changing the tracking query string doesn't change an episode's path.
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { normalizeAudioUrl } from "./normalize.mjs";
+import { escapeXml, unescapeXml } from "./xml.mjs";
+import { USER_AGENT } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+export const DEFAULT_PROXY_PORT = 8080;
+export const DEFAULT_PROXY_HOST = "0.0.0.0";
+
+const AUDIO_PREFIX = "/audio/";
+
+// Upstream response headers passed on to the device
+const PASSED_HEADERS = ["content-type", "content-length", "content-range", "accept-ranges", "last-modified", "etag"];
+
+/** Stable proxy key of an audio URL: the first 16 hex digits of the SHA-256 of its normalized form. */
+export function proxyKey(audioUrl) {
+  return createHash("sha256").update(normalizeAudioUrl(audioUrl)).digest("hex").slice(0, 16);
+}
+
+// null for a malformed escape (a stray "%")
+function decodePathPart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+}
+
+/** Path of an audio URL on the proxy, `/audio/<key>/<file name>`; the name is only there for the device. */
+export function proxyPath(audioUrl) {
+  const name = normalizeAudioUrl(audioUrl).split("/").pop() || "episode.mp3";
+  return `${AUDIO_PREFIX}${proxyKey(audioUrl)}/${encodeURIComponent(decodePathPart(name) ?? name)}`;
+}
+
+/**
+ * Feeds are served at `/<file name>`, so two feed files with the same name
+ * in different directories can't both be served; throws if any are.
+ */
+export function checkFeedNames(files) {
+  const byName = new Map();
+  for (const file of files) {
+    const name = path.basename(file);
+    const other = byName.get(name);
+    if (other !== undefined && path.normalize(other) !== path.normalize(file)) {
+      throw new Error(`${other} and ${file} would both be served as /${name}; give one of them another file name`);
+    }
+    byName.set(name, file);
+  }
+}
+
+/**
+ * A feed as the proxy serves it: enclosures point at `baseUrl` proxy paths,
+ * and atom links to feeds the proxy also serves (self, archive pages) at
+ * their proxy URLs.
+ *
+ * @param {string}   xml
+ * @param {string}   baseUrl    e.g. "http://192.168.1.20:8080"
+ * @param {string[]} feedNames  file names of the feeds the proxy serves
+ * @returns {{ xml: string, enclosures: Map<string, { url: string, length: number, type: string }> }}
+ *   enclosures by proxy key, with the upstream URL
+ */
+export function rewriteFeed(xml, baseUrl, feedNames = []) {
+  const enclosures = new Map();
+  const rewritten = xml
+    .replace(/<enclosure\b[^>]*>/g, (tag) => {
+      const attr = (name) => unescapeXml(tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] || "");
+      const url = attr("url");
+      if (!/^https?:\/\//.test(url)) return tag;
+      enclosures.set(proxyKey(url), { url, length: parseInt(attr("length"), 10) || 0, type: attr("type") });
+      return tag.replace(/\burl="[^"]*"/, `url="${escapeXml(baseUrl + proxyPath(url))}"`);
+    })
+    .replace(/(<atom:link\b[^>]*\bhref=")([^"]*)(")/g, (whole, before, href, after) => {
+      const name = unescapeXml(href).split(/[?#]/)[0].split("/").pop();
+      return feedNames.includes(name) ? `${before}${escapeXml(`${baseUrl}/${name}`)}${after}` : whole;
+    });
+  return { xml: rewritten, enclosures };
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8", "Content-Length": Buffer.byteLength(text) });
+  res.end(text);
+}
+
+/**
+ * The proxy server. Not listening yet; call `.listen()`.
+ *
+ * @param {object}   options
+ * @param {() => Promise<string[]>} options.listFeedFiles  feed files to serve, asked on every request
+ *   so feeds written by a later update are picked up without a restart
+ * @param {string}   [options.publicUrl] base URL devices reach the proxy at; by default
+ *   taken from each request's Host header
+ * @returns {import("node:http").Server}
+ */
+export function createProxyServer({ listFeedFiles, publicUrl = "" }) {
+  // `${file}\n${baseUrl}` → the rewritten feed, until the file's mtime changes
+  const rewritten = new Map();
+
+  async function loadFeed(file, baseUrl, names) {
+    const { mtimeMs } = await stat(file);
+    const cacheKey = `${file}\n${baseUrl}`;
+    const namesKey = names.join("\n");
+    const cached = rewritten.get(cacheKey);
+    if (cached?.mtimeMs === mtimeMs && cached.namesKey === namesKey) return cached.feed;
+
+    const feed = rewriteFeed(await readFile(file, "utf8"), baseUrl, names);
+    rewritten.set(cacheKey, { mtimeMs, namesKey, feed });
+    return feed;
+  }
+
+  async function loadFeeds(baseUrl) {
+    const files = await listFeedFiles();
+    const names = files.map((file) => path.basename(file));
+    const feeds = new Map();
+    const enclosures = new Map();
+    for (const file of files) {
+      let feed;
+      try {
+        feed = await loadFeed(file, baseUrl, names);
+      } catch (err) {
+        if (err.code === "ENOENT") continue;
+        throw err;
+      }
+      feeds.set(path.basename(file), feed.xml);
+      for (const [key, enclosure] of feed.enclosures) enclosures.set(key, enclosure);
+    }
+    return { feeds, enclosures };
+  }
+
+  async function serveAudio(req, res, enclosure) {
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+
+    let upstream;
+    try {
+      upstream = await fetch(enclosure.url, {
+        method: req.method,
+        // identity: the Content-Length passed on must be the length of the bytes sent
+        headers: {
+          "User-Agent": USER_AGENT,
+          "Accept-Encoding": "identity",
+          ...(req.headers.range && { Range: req.headers.range }),
+        },
+        redirect: "follow",
+        signal: controller.signal,
+      });
+    } catch (err) {
+      log.warn(`proxy: ${enclosure.url} failed: ${err.message}`);
+      if (!res.headersSent) sendText(res, 502, `Upstream request failed: ${err.message}\n`);
+      return;
+    }
+
+    if (!upstream.ok && upstream.status !== 416) {
+      await upstream.body?.cancel();
+      log.info(`Proxy: ${enclosure.url} returned ${upstream.status}`);
+      sendText(res, upstream.status >= 500 ? 502 : upstream.status, `Upstream returned ${upstream.status}\n`);
+      return;
+    }
+
+    const headers = { "accept-ranges": "bytes" };
+    for (const name of PASSED_HEADERS) {
+      const value = upstream.headers.get(name);
+      if (value) headers[name] = value;
+    }
+    headers["content-type"] ||= enclosure.type || "audio/mpeg";
+    // Zune needs a length up front; a chunked full response gets the feed's
+    if (!headers["content-length"] && upstream.status === 200 && enclosure.length > 0) {
+      headers["content-length"] = String(enclosure.length);
+    }
+    log.info(`Proxy: ${req.method} ${enclosure.url} ${req.headers.range || ""} → ${upstream.status}`);
+
+    res.writeHead(upstream.status, headers);
+    if (req.method === "HEAD" || !upstream.body) {
+      res.end();
+      return;
+    }
+    Readable.fromWeb(upstream.body)
+      .on("error", () => res.destroy())
+      .pipe(res);
+  }
+
+  return createServer(async (req, res) => {
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.setHeader("Allow", "GET, HEAD");
+        sendText(res, 405, "Method not allowed\n");
+        return;
+      }
+      const baseUrl = (publicUrl || `http://${req.headers.host}`).replace(/\/+$/, "");
+      const { pathname } = new URL(req.url, "http://proxy.invalid");
+      const { feeds, enclosures } = await loadFeeds(baseUrl);
+
+      if (pathname === "/") {
+        const lines = [...feeds.keys()].map((name) => `${baseUrl}/${name}`);
+        sendText(res, 200, `Feeds:\n${lines.join("\n")}\n`);
+        return;
+      }
+
+      if (pathname.startsWith(AUDIO_PREFIX)) {
+        const key = pathname.slice(AUDIO_PREFIX.length).split("/")[0];
+        const enclosure = enclosures.get(key);
+        if (!enclosure) {
+          sendText(res, 404, "No episode in the served feeds has this audio\n");
+          return;
+        }
+        await serveAudio(req, res, enclosure);
+        return;
+      }
+
+      const name = decodePathPart(pathname.slice(1));
+      if (name === null) {
+        sendText(res, 400, "Malformed path\n");
+        return;
+      }
+      const xml = feeds.get(name);
+      if (xml === undefined) {
+        sendText(res, 404, "Not found\n");
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "application/rss+xml; charset=utf-8",
+        "Content-Length": Buffer.byteLength(xml),
+      });
+      res.end(req.method === "HEAD" ? undefined : xml);
+    } catch (err) {
+      log.error(`Proxy error: ${err.message}`);
+      log.debug(err.stack);
+      if (!res.headersSent) sendText(res, 500, "Internal error\n");
+      else res.destroy();
+    }
+  });
+}
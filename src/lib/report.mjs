@@ -0,0 +1,194 @@
+// report.mjs
+//
+// The machine-readable record of a build or update run: a JSON file
+// (reports/<command>.json unless `--report` names another) for a workflow
+// to keep as an artifact, and optionally a Markdown summary appended to a
+// file (`--summary`, e.g. $GITHUB_STEP_SUMMARY). Each series gets an entry
+// saying how its page was scraped, how many episodes were found, what
+// changed in the store and in each feed, which date strategies dated this
+// run's episodes and what the guard objected to; every warning logged
+// during the run is listed as well.
+
+import { writeFile, appendFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { onLog } from "./log.mjs";
+
+export const DEFAULT_REPORT_DIR = "reports";
+
+/** `--report` when given, else reports/<command>.json */
+export function reportPathFor(command, file = "") {
+  return file || path.join(DEFAULT_REPORT_DIR, `${command}.json`);
+}
+
+/** How many items have each value of `field`: `{ "time-element": 3, fallback: 1 }` */
+export function countBy(items, field) {
+  const counts = {};
+  for (const item of items) {
+    const value = item[field] || "unknown";
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Per-feed counts for the report, from guard.mjs's diffFeeds().
+ *
+ * @param {{ file: string, episodes: number }[]} feeds  from renderSeriesFeeds()
+ * @param {{ file: string, diff: { added: object[], removed: object[], changed: object[] } }[]} diffs
+ */
+export function feedChanges(feeds, diffs) {
+  return feeds.map((feed, index) => ({
+    file: feed.file,
+    episodes: feed.episodes,
+    added: diffs[index].diff.added.length,
+    removed: diffs[index].diff.removed.length,
+    changed: diffs[index].diff.changed.length,
+  }));
+}
+
+/**
+ * Fill in how a series was scraped, from the result of source.scrape() or
+ * scrapeSnapshot() (with `via: "html-file"`).
+ */
+export function recordScrape(
+  entry,
+  { via = "", clicks = 0, clickTimings = [], pages = 0, stoppedBy = "", partial = false, episodes }
+) {
+  Object.assign(entry, {
+    source: via,
+    clicks,
+    clickTimings,
+    pages,
+    stoppedBy,
+    partial,
+    episodesFound: episodes.length,
+    extractedBy: countBy(episodes, "extractedBy"),
+  });
+}
+
+function seriesEntry(name) {
+  return {
+    name,
+    ok: true,
+    error: "",
+    // "http", "browser" or "html-file"
+    source: "",
+    clicks: 0,
+    // browser: { click, ms, added, signal } per "load more" click
+    clickTimings: [],
+    pages: 0,
+    stoppedBy: "",
+    // pagination failed part way; episodesFound is what came before
+    partial: false,
+    episodesFound: 0,
+    store: { added: 0, updated: 0, moved: 0, merged: 0, total: 0 },
+    feeds: [],
+    dateStrategies: {},
+    extractedBy: {},
+    anomalies: [],
+    written: false,
+    // update: new episodes queued for `npm run notify`
+    queued: 0,
+  };
+}
+
+/**
+ * Start the report of a run. Warnings and errors logged from now on are
+ * collected until finish().
+ *
+ * @param {"build"|"update"} command
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {string}  [options.source]   --source mode
+ * @param {() => Date} [options.now]
+ * @returns {{ report: object, addSeries: (name: string) => object, finish: () => object }}
+ *   addSeries() returns the series' entry for the caller to fill in
+ */
+export function createRunReport(command, { dryRun = false, source = "", now = () => new Date() } = {}) {
+  const started = now();
+  const report = {
+    command,
+    startedAt: started.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    ok: true,
+    dryRun,
+    source,
+    series: [],
+    warnings: [],
+  };
+  const stopListening = onLog((entry) => {
+    if (entry.level !== "warn" && entry.level !== "error") return;
+    report.warnings.push({ level: entry.level, series: entry.series || null, message: entry.message.trim() });
+  });
+
+  return {
+    report,
+    addSeries(name) {
+      const entry = seriesEntry(name);
+      report.series.push(entry);
+      return entry;
+    },
+    finish() {
+      stopListening();
+      const finished = now();
+      report.finishedAt = finished.toISOString();
+      report.durationMs = finished - started;
+      report.ok = report.series.every((entry) => entry.ok);
+      return report;
+    },
+  };
+}
+
+/**
+ * Write a finished report to `file`, and its Markdown summary to the end
+ * of `summary` when given.
+ */
+export async function writeRunReport(report, { file, summary = "" }) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(report, null, 2) + "\n", "utf8");
+  if (summary) {
+    await mkdir(path.dirname(summary), { recursive: true });
+    await appendFile(summary, formatReportSummary(report) + "\n", "utf8");
+  }
+}
+
+function scrapedVia(entry) {
+  if (entry.source === "browser") return `browser, ${entry.clicks} click(s)`;
+  if (entry.source === "http") return `http, ${entry.pages} page(s)`;
+  return entry.source || "–";
+}
+
+// Table cells can't hold pipes or line breaks
+const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+
+/** The report as Markdown: a table of series and the warnings. */
+export function formatReportSummary(report) {
+  const seconds = ((report.durationMs ?? 0) / 1000).toFixed(1);
+  const lines = [
+    `## ${report.command}${report.dryRun ? " (dry run)" : ""}: ${report.ok ? "ok" : "failed"}`,
+    "",
+    `Started ${report.startedAt}, took ${seconds} s.`,
+    "",
+    "| Series | Scraped via | Found | New | Updated | Left the feed | Dates | Warnings |",
+    "| --- | --- | ---: | ---: | ---: | ---: | --- | ---: |",
+  ];
+  for (const entry of report.series) {
+    const dates = Object.entries(entry.dateStrategies)
+      .map(([strategy, count]) => `${strategy} ${count}`)
+      .join(", ");
+    const warnings = report.warnings.filter((warning) => warning.series === entry.name).length;
+    const name = entry.ok ? entry.name : `${entry.name} (failed: ${entry.error})`;
+    lines.push(
+      `| ${cell(name)} | ${scrapedVia(entry)} | ${entry.episodesFound} | ${entry.store.added} | ` +
+        `${entry.store.updated} | ${entry.feeds[0]?.removed ?? 0} | ${dates || "–"} | ${warnings} |`
+    );
+  }
+  if (report.warnings.length > 0) {
+    lines.push("", "### Warnings and errors", "");
+    for (const warning of report.warnings) {
+      lines.push(`- ${warning.series ? `${warning.series}: ` : ""}${cell(warning.message)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,219 @@
+// site.mjs
+//
+// The static website published to GitHub Pages, rendered from the episode
+// store: a home page with every series' episode list, subscribe
+// instructions and feed URLs, and a page per episode with an HTML5 audio
+// player and the show notes. Pages are plain HTML with one shared
+// stylesheet and no scripts, so the site works from any static host.
+
+import { createHash } from "node:crypto";
+import path from "node:path";
+import { storeEpisodes, lastUpdated } from "./store.mjs";
+import { archiveSettings, derivedFeedSettings, seriesChannel } from "./config.mjs";
+import { toFeedItem } from "./feed.mjs";
+import { bestNprImageUrl } from "./images.mjs";
+import { PUBLISH_TIME_ZONE } from "./dates.mjs";
+import { seriesFeedTargets } from "./outputs.mjs";
+import { escapeXml } from "./xml.mjs";
+
+export const DEFAULT_SITE_DIR = "site";
+
+const STYLESHEET = `body {
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  max-width: 800px;
+  margin: 0 auto;
+  padding: 2rem;
+  line-height: 1.6;
+  color: #333;
+}
+header.series { display: flex; gap: 1.5rem; align-items: flex-start; }
+header.series img { width: 160px; height: 160px; object-fit: cover; border-radius: 8px; }
+.updated { display: inline-block; background: #e8f5e9; color: #1b5e20; border-radius: 999px; padding: 0.1rem 0.75rem; font-size: 0.85rem; }
+.subscribe { background: #f0f8ff; border: 2px solid #4a90e2; border-radius: 8px; padding: 1rem; margin: 1.5rem 0; }
+.subscribe code { word-break: break-all; }
+.subscribe h3 { margin-bottom: 0.25rem; }
+ol.episodes { list-style: none; padding: 0; }
+ol.episodes li { display: flex; gap: 1rem; padding: 1rem 0; border-top: 1px solid #eee; }
+ol.episodes img, .episode img.artwork { width: 96px; height: 96px; object-fit: cover; border-radius: 4px; flex: none; }
+.episode img.artwork { width: 240px; height: 240px; }
+.meta { color: #666; font-size: 0.9rem; }
+audio { width: 100%; margin: 1rem 0; }
+`;
+
+/** "July 23, 2026", on New York time like the episode dates themselves. */
+function formatDay(date) {
+  return new Intl.DateTimeFormat("en-US", { timeZone: PUBLISH_TIME_ZONE, dateStyle: "long" }).format(date);
+}
+
+/** "59 min" or "1 hr 2 min". */
+function formatRunningTime(seconds) {
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes} min`;
+  return minutes % 60 ? `${hours} hr ${minutes % 60} min` : `${hours} hr`;
+}
+
+/**
+ * File name of an episode's page: the NPR story ID when there is one, so
+ * the URL survives audio URL changes, else a hash of the store key.
+ */
+export function episodePageName(ep) {
+  if (ep.storyId) return `${ep.storyId}.html`;
+  return `${createHash("sha256").update(ep.key || ep.audioUrl).digest("hex").slice(0, 16)}.html`;
+}
+
+function page({ title, stylesheet, body }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" href="${stylesheet}">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function updatedBadge(date) {
+  if (!date) return "";
+  return `<p><span class="updated">Updated <time datetime="${date.toISOString()}">${formatDay(date)}</time></span></p>`;
+}
+
+function episodeMeta(ep, item) {
+  const parts = [`<time datetime="${ep.dateObj.toISOString()}">${formatDay(ep.dateObj)}</time>`];
+  if (ep.duration) parts.push(`<span title="${item.duration}">${formatRunningTime(ep.duration)}</span>`);
+  return `<p class="meta">${parts.join(" · ")}</p>`;
+}
+
+function subscribeBox(feedUrl, archiveUrl, derived) {
+  const archive = archiveUrl
+    ? `<p>Every episode ever captured is in the archive feed:<br><code>${escapeXml(archiveUrl)}</code></p>`
+    : "";
+  const filtered = derived.length
+    ? `<p>Only some of the episodes:</p>
+<ul>
+${derived.map((feed) => `<li>${escapeXml(feed.title)}:<br><code>${escapeXml(feed.selfUrl)}</code></li>`).join("\n")}
+</ul>`
+    : "";
+  return `<section class="subscribe">
+<h2>Subscribe</h2>
+<p>Feed URL:<br><code>${escapeXml(feedUrl)}</code></p>
+${archive}
+${filtered}
+<h3>Zune</h3>
+<p>In the Zune software, open <strong>Collection → Podcasts</strong>, choose <strong>Add a podcast</strong> and paste the feed URL.
+If your Zune can't download episodes, serve the feed from your own computer with <code>npm run proxy</code> and subscribe to that instead.</p>
+<h3>iTunes / Apple Podcasts</h3>
+<p>Choose <strong>File → Subscribe to Podcast…</strong> (in Apple Podcasts: <strong>File → Follow a Show by URL…</strong>) and paste the feed URL.</p>
+<h3>Other podcast apps</h3>
+<p>Look for <strong>Add by URL</strong> or <strong>Add RSS feed</strong> and paste the feed URL.</p>
+</section>`;
+}
+
+/**
+ * Where a series' feed files go on the site: at the site root under the
+ * file name of their self URL, which is what subscribers and the feeds'
+ * own atom links point at, and under feeds/, where the site's old
+ * hand-written page linked them.
+ *
+ * @returns {Promise<{ file: string, paths: string[] }[]>}
+ */
+export async function publishedFeeds(series) {
+  return (await seriesFeedTargets(series)).map(({ file, selfUrl }) => {
+    const name = new URL(selfUrl).pathname.split("/").pop() || path.basename(file);
+    return { file, paths: [...new Set([name, `feeds/${path.basename(file)}`])] };
+  });
+}
+
+/**
+ * Render a series' part of the site without writing it.
+ *
+ * @param {object} series  resolved series from config.mjs
+ * @param {object} store   the series' episode store
+ * @returns {{ section: string, pages: { file: string, html: string }[], updated: Date|null }}
+ *   `section` is the series' part of the home page; page files are relative to the site root
+ */
+export function renderSeriesSite(series, store) {
+  const channel = seriesChannel(series);
+  const archive = archiveSettings(series);
+  const updated = lastUpdated(store);
+  const artwork = bestNprImageUrl(store.channelImageUrl);
+  const episodes = storeEpisodes(store).map((ep) => ({ ep, item: toFeedItem(ep, channel) }));
+
+  const pages = episodes.map(({ ep, item }) => {
+    const image = item.image || artwork;
+    // Undated scrapes link the audio itself; toFeedItem() falls back to the series page
+    const storyLink = ep.link && ep.link !== ep.audioUrl ? ep.link : "";
+    const body = `<p><a href="../index.html">← ${escapeXml(series.title)}</a></p>
+<article class="episode">
+<h1>${escapeXml(item.title)}</h1>
+${episodeMeta(ep, item)}
+${image ? `<img class="artwork" src="${escapeXml(image)}" alt="">` : ""}
+<audio controls preload="none" src="${escapeXml(item.enclosure.url)}"></audio>
+<p><a href="${escapeXml(item.enclosure.url)}" download>Download MP3</a>${storyLink ? ` · <a href="${escapeXml(storyLink)}">Story on NPR</a>` : ""}</p>
+${item.description ? `<p>${escapeXml(item.description)}</p>` : ""}
+${item.contentHtml}
+</article>`;
+    return {
+      file: `${series.name}/${episodePageName(ep)}`,
+      html: page({ title: `${item.title} – ${series.title}`, stylesheet: "../style.css", body }),
+    };
+  });
+
+  const list = episodes.map(({ ep, item }, index) => {
+    const image = item.image || artwork;
+    return `<li>
+${image ? `<img src="${escapeXml(image)}" alt="" loading="lazy">` : ""}
+<div>
+<h3><a href="${escapeXml(pages[index].file)}">${escapeXml(item.title)}</a></h3>
+${episodeMeta(ep, item)}
+${item.description ? `<p>${escapeXml(item.description)}</p>` : ""}
+</div>
+</li>`;
+  });
+
+  const section = `<section class="series" id="${escapeXml(series.name)}">
+<header class="series">
+${artwork ? `<img src="${escapeXml(artwork)}" alt="">` : ""}
+<div>
+<h1>${escapeXml(series.title)}</h1>
+<p>${escapeXml(series.description)}</p>
+${updatedBadge(updated)}
+</div>
+</header>
+${subscribeBox(series.selfUrl, archive?.selfUrl, derivedFeedSettings(series))}
+<h2>Episodes (${episodes.length})</h2>
+<ol class="episodes">
+${list.join("\n")}
+</ol>
+</section>`;
+
+  return { section, pages, updated };
+}
+
+/**
+ * Render the whole site: the home page, the stylesheet and every series'
+ * episode pages, relative to the site root.
+ *
+ * @param {{ series: object, store: object }[]} sites  each series with its store
+ * @returns {{ file: string, html: string }[]}
+ */
+export function renderSite(sites) {
+  const rendered = sites.map(({ series, store }) => renderSeriesSite(series, store));
+  const title = sites.length === 1 ? sites[0].series.title : "Podcast feeds";
+  const home = page({
+    title,
+    stylesheet: "style.css",
+    body: `${rendered.map((site) => site.section).join("\n<hr>\n")}
+<footer><p class="meta">An unofficial feed of NPR's programs, formatted for Zune. Audio and show notes © NPR.</p></footer>`,
+  });
+  return [
+    { file: "index.html", html: home },
+    { file: "style.css", html: STYLESHEET },
+    ...rendered.flatMap((site) => site.pages),
+  ];
+}
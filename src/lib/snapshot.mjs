@@ -0,0 +1,34 @@
+// snapshot.mjs
+//
+// Offline mode: runs the shared extractor against a saved HTML snapshot of
+// the series page instead of a live browser. Used by `--from-html` and by
+// the fixture tests.
+
+import { readFile } from "node:fs/promises";
+import { parseHTML } from "linkedom";
+import { extractEpisodesFromDocument, findChannelImage, extractedVia } from "./extract.mjs";
+import { DEFAULT_PROFILE } from "./profile.mjs";
+import { log } from "./log.mjs";
+
+export function parseSnapshot(html) {
+  return parseHTML(html).document;
+}
+
+/**
+ * Extract the channel image and episodes from a snapshot file.
+ *
+ * @param {string} filePath
+ * @param {{ baseUrl: string, limit?: number, profile?: object }} options
+ *   baseUrl should be the URL the snapshot was saved from, so relative links
+ *   resolve like they do live
+ */
+export async function scrapeSnapshot(filePath, { baseUrl, limit, profile = DEFAULT_PROFILE } = {}) {
+  log.debug(`Loading series page snapshot: ${filePath}`);
+  const document = parseSnapshot(await readFile(filePath, "utf8"));
+
+  const channelImageUrl = findChannelImage(document, { baseUrl });
+  const episodes = extractEpisodesFromDocument(document, { baseUrl, limit, profile });
+  log.info(`Found ${episodes.length} episodes with MP3 download links${extractedVia(episodes)}.`);
+
+  return { channelImageUrl, episodes };
+}
@@ -0,0 +1,65 @@
+// source.mjs
+//
+// Where episodes come from. "http" requests NPR's pagination pages directly
+// (http-source.mjs) and needs no browser; "browser" drives Chromium through
+// the "load more" button (browser.mjs). "auto", the default, uses HTTP and
+// falls back to the browser when the request fails or finds no episodes. A
+// pagination request failing after the first page doesn't count: what was
+// fetched is kept and comes back marked `partial`.
+
+import { launchBrowser, scrapeSeriesBrowser } from "./browser.mjs";
+import { scrapeSeriesHttp } from "./http-source.mjs";
+import { log } from "./log.mjs";
+
+export const SOURCE_MODES = ["auto", "http", "browser"];
+
+/**
+ * An episode source shared by every series of a run. The browser is only
+ * launched if some series needs it; call close() when done.
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode]           one of SOURCE_MODES
+ * @param {number} [options.timeoutMs]      per HTTP request (--request-timeout-ms)
+ * @param {number} [options.loadTimeoutMs]  browser: wait for the first stories
+ * @param {number} [options.clickTimeoutMs] browser: wait after each "load more" click
+ */
+export function createEpisodeSource({ mode = "auto", timeoutMs, loadTimeoutMs, clickTimeoutMs } = {}) {
+  let launched = null;
+
+  async function viaBrowser(series, options) {
+    launched ??= await launchBrowser();
+    const result = await scrapeSeriesBrowser(launched.page, series, {
+      ...options,
+      loadTimeoutMs,
+      clickTimeoutMs,
+    });
+    return { ...result, via: "browser" };
+  }
+
+  return {
+    /**
+     * @param {object} series
+     * @param {{ maxEpisodes?: number, stopWhen?: (episodes: object[]) => boolean }} options
+     * @returns {Promise<{ channelImageUrl: string, episodes: object[], stoppedBy: string, via: string, clicks?: number,
+     *   clickTimings?: object[], pages?: number, partial?: boolean }>}
+     */
+    async scrape(series, options) {
+      if (mode === "browser") return viaBrowser(series, options);
+
+      try {
+        const result = await scrapeSeriesHttp(series, { ...options, timeoutMs });
+        if (result.episodes.length > 0 || mode === "http") return { ...result, via: "http" };
+        log.warn("HTTP source found no episodes; falling back to the browser.");
+      } catch (err) {
+        if (mode === "http") throw err;
+        log.warn(`HTTP source failed (${err.message}); falling back to the browser.`);
+      }
+      return viaBrowser(series, options);
+    },
+
+    async close() {
+      if (launched) await launched.browser.close();
+      launched = null;
+    },
+  };
+}
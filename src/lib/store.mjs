@@ -0,0 +1,497 @@
+// store.mjs
+//
+// The episode store: every episode ever captured for a series, one JSON
+// object per line in data/<feed name>.episodes.jsonl, keyed by normalized audio
+// URL, with the NPR story id as a second identity so a re-uploaded episode
+// (new audio file, same story) is moved rather than duplicated. It is the
+// source of truth; feed XML is rendered from it with
+// buildRss() and never parsed back, except once to import a feed written
+// before the store existed (loadSeriesStore()). Lines are written in a
+// fixed order with fixed field order, so an unchanged store produces an
+// unchanged file.
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseStringPromise } from "xml2js";
+import { normalizeAudioUrl, storyIdFromLink, stableGuid } from "./normalize.mjs";
+import { enclosureMetaFromUrl, parseDuration } from "./media.mjs";
+import { fullyUnescapeXml } from "./xml.mjs";
+import { parseDate, dateReliability } from "./dates.mjs";
+import { UNTITLED_EPISODE } from "./constants.mjs";
+import { log } from "./log.mjs";
+
+export const DEFAULT_STORE_DIR = "data";
+
+/**
+ * Guid scheme of the store's episodes (normalize.mjs stableGuid()). Stores
+ * without one date from when guids were the full audio URL, query string
+ * included; migrateGuids() brings them up to date.
+ */
+export const GUID_SCHEME = "stable";
+
+/** Field order of a stored episode. Empty values are left out. */
+const FIELDS = [
+  "key",
+  "guid",
+  "storyId",
+  "title",
+  "link",
+  "audioUrl",
+  "previousAudioUrls",
+  "date",
+  "pubDate",
+  "dateText",
+  "dateStrategy",
+  "extractedBy",
+  "description",
+  "image",
+  "enclosureLength",
+  "duration",
+  "showNotes",
+  "performers",
+  "venue",
+  "setlist",
+  "publishedAt",
+  "contentHtml",
+  "missingSince",
+  "removedAt",
+  "firstSeen",
+  "lastSeen",
+  "updatedAt",
+];
+
+// Scraped/enriched fields a later run may fill in or correct. Identity
+// (key, guid) stays as first recorded, and so do dates unless a later run
+// has a more reliable one (DATE_FIELDS), so items don't jump around.
+const MUTABLE_FIELDS = [
+  "title",
+  "link",
+  "audioUrl",
+  "description",
+  "image",
+  "enclosureLength",
+  "duration",
+  "showNotes",
+  "performers",
+  "venue",
+  "setlist",
+  "publishedAt",
+];
+
+// An episode's date, replaced as a whole
+const DATE_FIELDS = ["date", "pubDate", "dateText", "dateStrategy"];
+
+/**
+ * Whether a scraped field is the extractor's stand-in for one it couldn't
+ * find: the placeholder title, or the audio URL as the link when the
+ * article had no title anchor. Never better than a stored value.
+ */
+function isPlaceholder(ep, field) {
+  if (field === "title") return ep.title === UNTITLED_EPISODE;
+  if (field === "link") return normalizeAudioUrl(ep.link) === normalizeAudioUrl(ep.audioUrl);
+  return false;
+}
+
+/**
+ * The series' store file: its `store` setting, else named after the feed
+ * (feeds/jazz-night-zune.xml → data/jazz-night-zune.episodes.jsonl), so a
+ * build with a different --output never writes into another feed's store.
+ */
+export function storePathFor(series) {
+  if (series.store) return series.store;
+  const base = path.basename(series.output, path.extname(series.output));
+  return path.join(DEFAULT_STORE_DIR, `${base}.episodes.jsonl`);
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function toLine(record) {
+  const ordered = {};
+  for (const field of FIELDS) {
+    if (!isEmpty(record[field])) ordered[field] = record[field];
+  }
+  return JSON.stringify(ordered);
+}
+
+/** Newest first, then by key, so the order never depends on insertion. */
+function compareRecords(a, b) {
+  return b.date.localeCompare(a.date) || a.key.localeCompare(b.key);
+}
+
+export function createStore() {
+  return { channelImageUrl: "", guidScheme: GUID_SCHEME, episodes: new Map() };
+}
+
+/**
+ * Read a store file. The first line holds series-level data
+ * (`{"channelImageUrl": …, "guidScheme": …}`), every other line one episode.
+ *
+ * @returns {Promise<{ channelImageUrl: string, guidScheme: string, episodes: Map<string, object> } | null>}
+ *   null when the file doesn't exist
+ */
+export async function loadStore(file) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const store = createStore();
+  const lines = text.split("\n");
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${index + 1} is not valid JSON: ${err.message}`);
+    }
+    if (index === 0 && !("key" in value)) {
+      store.channelImageUrl = value.channelImageUrl || "";
+      store.guidScheme = value.guidScheme || "";
+    } else {
+      store.episodes.set(value.key, value);
+    }
+  });
+  return store;
+}
+
+export function serializeStore(store) {
+  const header = JSON.stringify({
+    channelImageUrl: store.channelImageUrl || "",
+    ...(store.guidScheme && { guidScheme: store.guidScheme }),
+  });
+  const records = [...store.episodes.values()].sort(compareRecords).map(toLine);
+  return [header, ...records].join("\n") + "\n";
+}
+
+export async function saveStore(file, store) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, serializeStore(store), "utf8");
+}
+
+/** Records by story id; the first record wins if several share one. */
+function storyIndex(store) {
+  const index = new Map();
+  for (const record of store.episodes.values()) {
+    if (record.storyId && !index.has(record.storyId)) index.set(record.storyId, record);
+  }
+  return index;
+}
+
+/**
+ * Re-key a record to a new audio file of the same story. The guid stays, so
+ * players don't see a new episode; enclosure details and link-check flags
+ * belonged to the old file and are dropped.
+ */
+function moveAudio(store, record, audioUrl) {
+  store.episodes.delete(record.key);
+  record.previousAudioUrls = [...(record.previousAudioUrls || []), record.audioUrl];
+  record.key = normalizeAudioUrl(audioUrl);
+  for (const field of ["enclosureLength", "duration", "missingSince", "removedAt"]) {
+    delete record[field];
+  }
+  store.episodes.set(record.key, record);
+}
+
+/**
+ * Insert or update prepared episodes (episodes.mjs, plus media/enrich
+ * fields). An episode matches a record by audio URL, or else by story id,
+ * in which case the record moves to the new audio URL. New episodes get
+ * firstSeen; every episode seen gets lastSeen; updatedAt moves only when
+ * stored content actually changed. The extractor's placeholder title and
+ * audio-URL link never replace a stored title or link (one article losing
+ * its title anchor shouldn't reach the feed), and a stored date is replaced
+ * only by one from a more reliable strategy (dates.mjs dateReliability()),
+ * so an episode dated to the run ("fallback") gets its real date once a
+ * scrape or its story page has one.
+ *
+ * @returns {{ added: object[], updated: object[], moved: object[] }} the
+ *   affected records; moved ones are also in `updated`
+ */
+export function upsertEpisodes(store, episodes, { now = new Date() } = {}) {
+  const stamp = now.toISOString();
+  const byStory = storyIndex(store);
+  const added = [];
+  const updated = [];
+  const moved = [];
+
+  for (const ep of episodes) {
+    const key = normalizeAudioUrl(ep.audioUrl);
+    if (!key) continue;
+    const storyId = storyIdFromLink(ep.link);
+
+    let existing = store.episodes.get(key);
+    if (!existing && storyId && byStory.has(storyId)) {
+      existing = byStory.get(storyId);
+      log.info(`"${existing.title}" has a new audio file; moving it to ${key}`);
+      moveAudio(store, existing, ep.audioUrl);
+      moved.push(existing);
+    }
+
+    if (!existing) {
+      const record = {
+        key,
+        guid: ep.guid || stableGuid(ep),
+        storyId,
+        date: ep.dateObj.toISOString(),
+        pubDate: ep.pubDate,
+        dateText: ep.dateText,
+        dateStrategy: ep.dateStrategy,
+        extractedBy: ep.extractedBy,
+        firstSeen: stamp,
+        lastSeen: stamp,
+        updatedAt: stamp,
+      };
+      for (const field of MUTABLE_FIELDS) {
+        if (!isEmpty(ep[field])) record[field] = ep[field];
+      }
+      store.episodes.set(key, record);
+      if (storyId) byStory.set(storyId, record);
+      added.push(record);
+      continue;
+    }
+
+    let changed = moved.includes(existing);
+    if (!existing.storyId && storyId) {
+      existing.storyId = storyId;
+      changed = true;
+    }
+    for (const field of MUTABLE_FIELDS) {
+      if (isEmpty(ep[field])) continue;
+      if (!isEmpty(existing[field]) && isPlaceholder(ep, field)) continue;
+      if (JSON.stringify(existing[field]) !== JSON.stringify(ep[field])) {
+        existing[field] = ep[field];
+        changed = true;
+      }
+    }
+    // Stored dates without a strategy predate strategies: "text"
+    if (ep.dateObj && dateReliability(ep.dateStrategy) > dateReliability(existing.dateStrategy || "text")) {
+      const dated = {
+        date: ep.dateObj.toISOString(),
+        pubDate: ep.pubDate,
+        dateText: ep.dateText,
+        dateStrategy: ep.dateStrategy,
+      };
+      for (const field of DATE_FIELDS) {
+        if (existing[field] === dated[field]) continue;
+        if (isEmpty(dated[field])) delete existing[field];
+        else existing[field] = dated[field];
+        changed = true;
+      }
+    }
+    existing.lastSeen = stamp;
+    if (changed) {
+      existing.updatedAt = stamp;
+      updated.push(existing);
+    }
+  }
+
+  return { added, updated, moved };
+}
+
+/**
+ * Fill in story ids from links and merge records that turn out to be the
+ * same story under different audio URLs (duplicates from before story ids
+ * were tracked). The earliest capture keeps its guid and takes the audio
+ * file that was seen most recently.
+ *
+ * @returns {number} records merged away
+ */
+export function mergeStoryDuplicates(store, { now = new Date() } = {}) {
+  const groups = new Map();
+  for (const record of store.episodes.values()) {
+    record.storyId ||= storyIdFromLink(record.link) || undefined;
+    if (!record.storyId) continue;
+    if (!groups.has(record.storyId)) groups.set(record.storyId, []);
+    groups.get(record.storyId).push(record);
+  }
+
+  let merged = 0;
+  for (const records of groups.values()) {
+    if (records.length < 2) continue;
+    records.sort((a, b) => a.firstSeen.localeCompare(b.firstSeen) || a.date.localeCompare(b.date));
+    const [keep, ...others] = records;
+    const latest = records.reduce((a, b) => (b.lastSeen > a.lastSeen ? b : a));
+
+    for (const other of others) {
+      store.episodes.delete(other.key);
+      keep.previousAudioUrls = [
+        ...(keep.previousAudioUrls || []),
+        ...(other === latest ? [] : [other.audioUrl]),
+        ...(other.previousAudioUrls || []),
+      ];
+      merged++;
+    }
+    if (latest !== keep) {
+      moveAudio(store, keep, latest.audioUrl);
+      Object.assign(keep, {
+        audioUrl: latest.audioUrl,
+        enclosureLength: latest.enclosureLength,
+        duration: latest.duration,
+        lastSeen: latest.lastSeen,
+      });
+    }
+    keep.updatedAt = now.toISOString();
+  }
+  return merged;
+}
+
+/**
+ * One-time switch of a store to GUID_SCHEME. Episodes that are already
+ * published keep the guid subscribers have seen, and only episodes added
+ * from now on get stable guids; with `keepLegacy: false` every stored guid
+ * is rewritten from the story id or audio path instead.
+ *
+ * @returns {number} guids rewritten; 0 when the store was already migrated
+ */
+export function migrateGuids(store, { keepLegacy = true, now = new Date() } = {}) {
+  if (store.guidScheme === GUID_SCHEME) return 0;
+
+  let rewritten = 0;
+  if (!keepLegacy) {
+    for (const record of store.episodes.values()) {
+      const guid = stableGuid(record);
+      if (record.guid === guid) continue;
+      record.guid = guid;
+      record.updatedAt = now.toISOString();
+      rewritten++;
+    }
+  }
+  store.guidScheme = GUID_SCHEME;
+  return rewritten;
+}
+
+/** Whether a scraped episode is already stored, by audio URL or story id. */
+export function storedEpisodeMatcher(store) {
+  const keys = new Set(store.episodes.keys());
+  const storyIds = new Set([...store.episodes.values()].map((record) => record.storyId).filter(Boolean));
+  return (ep) => keys.has(normalizeAudioUrl(ep.audioUrl)) || storyIds.has(storyIdFromLink(ep.link));
+}
+
+/**
+ * Stored episodes in the shape buildRss() takes, newest first. Episodes
+ * removed by the link check (check-links.mjs --remove) are left out.
+ */
+export function storeEpisodes(store) {
+  return [...store.episodes.values()]
+    .filter((record) => !record.removedAt)
+    .sort(compareRecords)
+    .map((record) => ({ ...record, dateObj: new Date(record.date) }));
+}
+
+/** When the store's content last changed; used as the feed's lastBuildDate. */
+export function lastUpdated(store) {
+  let latest = "";
+  for (const record of store.episodes.values()) {
+    if (record.updatedAt > latest) latest = record.updatedAt;
+  }
+  return latest ? new Date(latest) : null;
+}
+
+function text(node) {
+  const value = node?.[0];
+  if (value === undefined) return "";
+  return fullyUnescapeXml(typeof value === "string" ? value : value._ || "");
+}
+
+/**
+ * Build a store from a feed written before the store existed. Repairs
+ * double-escaped entities and fills in enclosure size/duration from the
+ * audio URL; the first (newest) item wins when an episode is listed twice,
+ * under the same audio URL or the same story. Dates are read like scraped
+ * ones (dates.mjs parseDate()); an item whose pubDate can't be read is
+ * dated `now` with dateStrategy "fallback", like a scraped one.
+ */
+export async function importFeedXml(xml, { now = new Date() } = {}) {
+  const parsed = await parseStringPromise(xml);
+  const channel = parsed?.rss?.channel?.[0] || {};
+  const stamp = now.toISOString();
+  const store = createStore();
+  store.channelImageUrl = text(channel.image?.[0]?.url);
+  // Published guids are whatever the old feed used
+  store.guidScheme = "";
+  const storyIds = new Set();
+
+  for (const item of channel.item || []) {
+    const audioUrl = fullyUnescapeXml(item.enclosure?.[0]?.$?.url || "") || text(item.guid);
+    const key = normalizeAudioUrl(audioUrl);
+    const storyId = storyIdFromLink(text(item.link));
+    if (!key || store.episodes.has(key)) continue;
+    if (storyId && storyIds.has(storyId)) continue;
+    if (storyId) storyIds.add(storyId);
+
+    // parseDate() rather than Date, which would read a pubDate without a
+    // zone in the machine's own
+    const pubDate = text(item.pubDate);
+    const parsedDate = parseDate(pubDate);
+    const undated = !parsedDate;
+    const date = parsedDate || now;
+    if (undated) {
+      log.warn(
+        `no usable pubDate for "${text(item.title).substring(0, 50)}" ` +
+          `(${pubDate ? `unreadable "${pubDate}"` : "none found"}); dated to this import and flagged as fallback`
+      );
+    }
+    const meta = enclosureMetaFromUrl(audioUrl);
+
+    store.episodes.set(key, {
+      key,
+      guid: text(item.guid) || audioUrl,
+      storyId,
+      title: text(item.title),
+      link: text(item.link),
+      audioUrl,
+      date: date.toISOString(),
+      pubDate: date.toUTCString(),
+      ...(undated && { dateStrategy: "fallback" }),
+      description: text(item.description),
+      image: item["itunes:image"]?.[0]?.$?.href || "",
+      enclosureLength: parseInt(item.enclosure?.[0]?.$?.length, 10) || meta.length || undefined,
+      duration: parseDuration(text(item["itunes:duration"])) || meta.duration || undefined,
+      performers: (item["podcast:person"] || []).map((person) => text([person])),
+      contentHtml: text(item["content:encoded"]),
+      firstSeen: stamp,
+      lastSeen: stamp,
+      updatedAt: stamp,
+    });
+  }
+
+  return store;
+}
+
+/**
+ * The series' episode store, for a build or an update. A series whose feed
+ * was written before the store existed has its feed XML imported instead,
+ * so the published episodes and guids carry over (see migrateGuids()). A
+ * series with neither, e.g. one just added to feeds.config.json, starts
+ * from an empty store.
+ *
+ * @returns {Promise<{ store: object, bootstrap: boolean }>} `bootstrap` when
+ *   the series starts from nothing
+ */
+export async function loadSeriesStore(series, storeFile = storePathFor(series)) {
+  const store = await loadStore(storeFile);
+  if (store) return { store, bootstrap: false };
+
+  let xml;
+  try {
+    xml = await readFile(series.output, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    log.info(`No episode store at ${storeFile} and no feed at ${series.output}; building the series from scratch.`);
+    return { store: createStore(), bootstrap: true };
+  }
+  const imported = await importFeedXml(xml);
+  log.info(`Imported ${imported.episodes.size} episodes from ${series.output} into ${storeFile}.`);
+  return { store: imported, bootstrap: false };
+}
@@ -0,0 +1,113 @@
+// story.mjs
+//
+// Parsing of an individual NPR story page (the `link` of each episode):
+// long-form show notes, featured musicians, venue, set list, artwork and
+// the story's own publish time.
+
+const LABELS = {
+  performers: /^(?:musicians|personnel|featured (?:artists|musicians)|the band|band)\b/i,
+  venue: /^(?:venue|recorded (?:live )?at|location)\b/i,
+  setlist: /^(?:set ?list|setlist|tracklist|songs)\b/i,
+  credits: /^(?:credits|produced by|producers?)\b/i,
+};
+
+function text(el) {
+  return (el?.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+/** Which metadata label, if any, a paragraph or heading starts with. */
+function labelOf(el) {
+  const lead = text(el.querySelector("strong, b") || el);
+  for (const [name, pattern] of Object.entries(LABELS)) {
+    if (pattern.test(lead)) return name;
+  }
+  return null;
+}
+
+/** Text after a "Label:" prefix. */
+function afterLabel(el) {
+  return text(el).replace(/^[^:]{1,40}:\s*/, "");
+}
+
+/** "Keyon Harrold, trumpet; Christian McBride, bass" → ["Keyon Harrold", "Christian McBride"] */
+export function parsePerformers(list) {
+  return list
+    .flatMap((entry) => entry.split(/\s*;\s*|\n/))
+    .map((entry) => entry.split(/\s*[,(–—]\s*|\s+-\s+/)[0].trim())
+    .filter((name) => name && name.length < 60);
+}
+
+function listItems(el) {
+  // A label heading/paragraph is followed by its <ul>/<ol>
+  let next = el.nextElementSibling;
+  while (next && next.matches("aside, .ad-wrap, script")) next = next.nextElementSibling;
+  if (next && next.matches("ul, ol")) {
+    return Array.from(next.querySelectorAll("li")).map(text).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Details from a story page document.
+ *
+ * @param {Document} doc
+ * @param {{ baseUrl?: string }} [options] used to resolve relative image URLs
+ * @returns {{ showNotes: string[], performers: string[], venue: string,
+ *             setlist: string[], image: string, publishedAt: string }}
+ */
+export function extractStoryDetails(doc, { baseUrl = "https://www.npr.org/" } = {}) {
+  const body = doc.querySelector("#storytext, .storytext, article .story-body") || doc.body;
+
+  const details = {
+    showNotes: [],
+    performers: [],
+    venue: "",
+    setlist: [],
+    image: "",
+    publishedAt: "",
+  };
+
+  const blocks = body
+    ? Array.from(body.children).filter((el) => el.matches("p, h2, h3, h4, ul, ol"))
+    : [];
+
+  for (const el of blocks) {
+    if (el.matches("ul, ol")) continue; // consumed by the label before it
+    const label = labelOf(el);
+    const inline = label ? afterLabel(el) : "";
+    const items = label ? listItems(el) : [];
+
+    if (label === "performers") {
+      details.performers.push(...parsePerformers(items.length ? items : [inline]));
+    } else if (label === "venue") {
+      details.venue = details.venue || inline;
+    } else if (label === "setlist") {
+      details.setlist.push(...(items.length ? items : inline.split(/\s*;\s*/).filter(Boolean)));
+    } else if (!label && el.matches("p")) {
+      const para = text(el);
+      if (para) details.showNotes.push(para);
+    }
+  }
+
+  const resolve = (src) => {
+    if (!src) return "";
+    try {
+      return new URL(src, baseUrl).href;
+    } catch {
+      return src;
+    }
+  };
+
+  details.image = resolve(
+    doc.querySelector('meta[property="og:image"]')?.getAttribute("content") ||
+      body?.querySelector(".bucketwrap.image img, .imagewrap img")?.getAttribute("src")
+  );
+
+  details.publishedAt =
+    doc.querySelector('meta[property="article:published_time"]')?.getAttribute("content") ||
+    doc.querySelector("time[datetime]")?.getAttribute("datetime") ||
+    "";
+
+  details.performers = [...new Set(details.performers)];
+  return details;
+}
@@ -0,0 +1,164 @@
+// validate.mjs
+//
+// Checks a generated feed before it is published: RSS 2.0 structure and
+// required elements, per-item data podcast clients rely on (unique guids,
+// RFC-822 dates, usable enclosures), escaping mistakes, and quirks of the
+// Zune client. Problems that break clients are errors; Zune heuristics are
+// warnings, which only fail a run in strict mode.
+
+import { parseStringPromise } from "xml2js";
+
+// Zune shows at most this much of a description and has been seen to
+// reject feeds with much longer ones
+export const ZUNE_MAX_DESCRIPTION = 4000;
+// Largest artwork the Zune client scales reliably (NPR renditions carry
+// their width as "-s<width>-")
+export const ZUNE_MAX_IMAGE_SIZE = 1400;
+
+const ZUNE_MIME_TYPES = ["audio/mpeg", "audio/x-ms-wma", "video/mp4", "video/x-ms-wmv"];
+
+const RFC_822_DATE =
+  /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun),\s+)?\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(?:\d{2}|\d{4})\s+\d{2}:\d{2}(?::\d{2})?\s+(?:UT|GMT|[ECMP][SD]T|[A-IK-Z]|[+-]\d{4})$/;
+
+// An entity whose "&" was escaped a second time: "&amp;amp;", "&amp;#39;"
+const DOUBLE_ESCAPED = /&amp;(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi;
+
+function text(node) {
+  const value = node?.[0];
+  if (value === undefined) return "";
+  return (typeof value === "string" ? value : value._ || "").trim();
+}
+
+function imageWidth(url) {
+  const match = url.match(/-s(\d+)-/);
+  return match ? Number(match[1]) : null;
+}
+
+function lineOf(xml, index) {
+  return xml.slice(0, index).split("\n").length;
+}
+
+/**
+ * Validate a feed's XML.
+ *
+ * @param {string} xml
+ * @returns {Promise<{ items: number, errors: string[], warnings: string[] }>}
+ */
+export async function validateFeedXml(xml) {
+  const errors = [];
+  const warnings = [];
+
+  // content:encoded holds HTML, where "&amp;amp;" is a legitimate "&amp;"
+  const outsideContent = xml.replace(/<content:encoded>[\s\S]*?<\/content:encoded>/g, (block) =>
+    block.replace(/[^\n]/g, " ")
+  );
+  const doubles = [...outsideContent.matchAll(DOUBLE_ESCAPED)];
+  if (doubles.length > 0) {
+    const lines = [...new Set(doubles.map((match) => lineOf(outsideContent, match.index)))];
+    errors.push(
+      `${doubles.length} double-escaped entit${doubles.length === 1 ? "y" : "ies"} ` +
+        `(e.g. "${doubles[0][0]}") on line${lines.length === 1 ? "" : "s"} ${lines.slice(0, 5).join(", ")}` +
+        (lines.length > 5 ? ", …" : "")
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = await parseStringPromise(xml);
+  } catch (err) {
+    errors.push(`not well-formed XML: ${err.message.split("\n")[0]}`);
+    return { items: 0, errors, warnings };
+  }
+
+  const rss = parsed?.rss;
+  if (!rss) {
+    errors.push("root element is not <rss>");
+    return { items: 0, errors, warnings };
+  }
+  if (rss.$?.version !== "2.0") errors.push(`<rss version> is "${rss.$?.version ?? ""}", expected "2.0"`);
+  if (rss.channel?.length !== 1) {
+    errors.push(`expected exactly one <channel>, found ${rss.channel?.length ?? 0}`);
+    return { items: 0, errors, warnings };
+  }
+
+  const channel = rss.channel[0];
+  for (const field of ["title", "link", "description"]) {
+    if (!text(channel[field])) errors.push(`channel: missing <${field}>`);
+  }
+  if (!(channel["atom:link"] || []).some((link) => link.$?.rel === "self")) {
+    warnings.push('channel: no <atom:link rel="self">');
+  }
+  if (text(channel.description).length > ZUNE_MAX_DESCRIPTION) {
+    warnings.push(`channel: description is over ${ZUNE_MAX_DESCRIPTION} characters (Zune)`);
+  }
+  const channelImage = text(channel.image?.[0]?.url);
+  if (channelImage && imageWidth(channelImage) > ZUNE_MAX_IMAGE_SIZE) {
+    warnings.push(`channel: image is ${imageWidth(channelImage)}px wide, over Zune's ${ZUNE_MAX_IMAGE_SIZE}px`);
+  }
+
+  const items = channel.item || [];
+  const guids = new Map();
+
+  items.forEach((item, index) => {
+    const title = text(item.title);
+    const where = `item ${index + 1}${title ? ` ("${title.slice(0, 50)}")` : ""}`;
+
+    if (!title && !text(item.description)) errors.push(`${where}: needs a <title> or <description>`);
+
+    const guid = text(item.guid);
+    if (!guid) {
+      errors.push(`${where}: missing <guid>`);
+    } else if (guids.has(guid)) {
+      errors.push(`${where}: guid "${guid}" repeats item ${guids.get(guid)}`);
+    } else {
+      guids.set(guid, index + 1);
+    }
+
+    const pubDate = text(item.pubDate);
+    if (!pubDate) {
+      errors.push(`${where}: missing <pubDate>`);
+    } else if (!RFC_822_DATE.test(pubDate) || Number.isNaN(Date.parse(pubDate))) {
+      errors.push(`${where}: pubDate "${pubDate}" is not an RFC-822 date`);
+    }
+
+    const enclosure = item.enclosure?.[0]?.$;
+    if (!enclosure) {
+      errors.push(`${where}: missing <enclosure>`);
+    } else {
+      if (!/^https?:\/\//.test(enclosure.url || "")) {
+        errors.push(`${where}: enclosure url "${enclosure.url ?? ""}" is not an http(s) URL`);
+      }
+      if (enclosure.length === "0") {
+        // What the feed writes when neither the URL nor a HEAD request gave a size
+        warnings.push(`${where}: enclosure length is 0 (size unknown); Zune shows no download size`);
+      } else if (!/^[1-9]\d*$/.test(enclosure.length || "")) {
+        errors.push(`${where}: enclosure length is "${enclosure.length ?? ""}", expected a byte count`);
+      }
+      if (!/^(?:audio|video)\/[\w.+-]+$/.test(enclosure.type || "")) {
+        errors.push(`${where}: enclosure type "${enclosure.type ?? ""}" is not an audio/video MIME type`);
+      } else if (!ZUNE_MIME_TYPES.includes(enclosure.type)) {
+        warnings.push(`${where}: Zune doesn't play enclosures of type ${enclosure.type}`);
+      }
+    }
+
+    if (text(item.description).length > ZUNE_MAX_DESCRIPTION) {
+      warnings.push(`${where}: description is over ${ZUNE_MAX_DESCRIPTION} characters (Zune)`);
+    }
+    const image = item["itunes:image"]?.[0]?.$?.href || "";
+    if (image && imageWidth(image) > ZUNE_MAX_IMAGE_SIZE) {
+      warnings.push(`${where}: image is ${imageWidth(image)}px wide, over Zune's ${ZUNE_MAX_IMAGE_SIZE}px`);
+    }
+  });
+
+  return { items: items.length, errors, warnings };
+}
+
+/** Readable report for one file's result. */
+export function formatValidation(file, { items, errors, warnings }) {
+  const count = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  return [
+    `${file}: ${count(items, "item")}, ${count(errors.length, "error")}, ${count(warnings.length, "warning")}`,
+    ...errors.map((message) => `  ERROR ${message}`),
+    ...warnings.map((message) => `  WARN  ${message}`),
+  ].join("\n");
+}
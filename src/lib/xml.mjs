@@ -0,0 +1,30 @@
+// xml.mjs
+//
+// XML entity escaping helpers.
+
+export function escapeXml(str = "") {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+export function unescapeXml(str = "") {
+  return String(str)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/** Undo accumulated XML entity escaping (e.g. &amp;amp; from double-escape bugs). */
+export function fullyUnescapeXml(str = "") {
+  let s = String(str);
+  for (let i = 0; i < 5 && /&(?:amp|lt|gt|quot|apos);/i.test(s); i++) {
+    s = unescapeXml(s);
+  }
+  return s;
+}
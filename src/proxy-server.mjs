@@ -0,0 +1,57 @@
+// proxy-server.mjs
+//
+// Serves every series' generated feeds over plain HTTP for Zune devices,
+// with enclosures pointed at the proxy, which streams the audio from NPR
+// (see lib/proxy.mjs). Runs until stopped. Serves every series in
+// feeds.config.json, or the one named with `--series <name>`.
+
+import { createProxyServer, checkFeedNames } from "./lib/proxy.mjs";
+import { seriesFeedFiles } from "./lib/outputs.mjs";
+import { resolveRunConfig, formatHelp, formatEffectiveConfig } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor } from "./lib/log.mjs";
+
+async function main() {
+  let run;
+  try {
+    run = await resolveRunConfig("proxy");
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (run.help) {
+    log.info(formatHelp("proxy"));
+    return;
+  }
+
+  const { seriesList, options } = run;
+  for (const series of seriesList) {
+    log.info(`\n=== ${series.name} ===`);
+    log.info(formatEffectiveConfig("proxy", series, options));
+  }
+
+  const listFeedFiles = async () => (await Promise.all(seriesList.map(seriesFeedFiles))).flat();
+  try {
+    checkFeedNames(await listFeedFiles());
+  } catch (err) {
+    log.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const server = createProxyServer({ listFeedFiles, publicUrl: options.publicUrl });
+  server.on("error", (err) => {
+    log.error(`Proxy server failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    const base = options.publicUrl || `http://${options.host === "0.0.0.0" ? "<this machine>" : options.host}:${port}`;
+    log.info(`\nServing feeds for Zune at ${base}/ (Ctrl+C to stop)`);
+  });
+}
+
+main();
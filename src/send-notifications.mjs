@@ -0,0 +1,113 @@
+// send-notifications.mjs
+//
+// Delivers the announcements `npm run update` queued in each series'
+// notification ledger (see lib/notify.mjs): a JSON POST of the series' new
+// episodes to every webhook, and the digest file. Meant to run after the
+// updated store and ledger have been committed and pushed, so an update
+// that never gets published announces nothing; the ledger this writes is
+// committed in turn, so nothing is sent twice. Runs over every series in
+// feeds.config.json, or the one named with `--series <name>`.
+
+import { loadStore, storePathFor } from "./lib/store.mjs";
+import {
+  parseWebhookUrls,
+  ledgerPathFor,
+  loadLedger,
+  saveLedger,
+  deliverPending,
+  digestEpisodes,
+  writeDigest,
+} from "./lib/notify.mjs";
+import { resolveRunConfig, formatHelp, formatEffectiveConfig } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor, setLogContext } from "./lib/log.mjs";
+
+/**
+ * Deliver one series' webhook queue and save its ledger.
+ *
+ * @returns {Promise<{ series: object, episodes: object[], ledgerFile: string, ledger: object }>}
+ *   the series' digest section, with the ledger to empty its digest queue in
+ */
+async function notifySeries(series, options) {
+  log.info(`\n=== ${series.name} ===`);
+  log.info(formatEffectiveConfig("notify", series, options));
+
+  const storeFile = storePathFor(series);
+  const store = await loadStore(storeFile);
+  if (!store) {
+    throw new Error(`No episode store at ${storeFile}. Run 'npm run build' or 'npm run update' first.`);
+  }
+  const ledgerFile = ledgerPathFor(series);
+  const ledger = await loadLedger(ledgerFile);
+  const loaded = JSON.stringify(ledger);
+
+  const deliveries = await deliverPending(series, store, ledger, {
+    webhooks: options.webhooks,
+    retries: options.notifyRetries,
+  });
+  for (const delivery of deliveries) {
+    if (delivery.ok) {
+      log.info(`Notified webhook ${delivery.webhook} of ${delivery.episodes} episode(s).`);
+    } else {
+      log.warn(
+        `webhook ${delivery.webhook} failed after ${delivery.attempts} attempt(s) (${delivery.error}); ` +
+          `its ${delivery.episodes} episode(s) stay queued for the next run.`
+      );
+    }
+  }
+  if (deliveries.length === 0) log.info("Nothing queued for the webhooks.");
+
+  if (JSON.stringify(ledger) !== loaded) await saveLedger(ledgerFile, ledger);
+  return { series, episodes: digestEpisodes(store, ledger), ledgerFile, ledger };
+}
+
+async function main() {
+  let run;
+  let webhooks;
+  try {
+    run = await resolveRunConfig("notify");
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+    webhooks = parseWebhookUrls(run.options.notifyWebhooks);
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (run.help) {
+    log.info(formatHelp("notify"));
+    return;
+  }
+
+  const options = { ...run.options, webhooks };
+  if (webhooks.length === 0 && !options.notifyDigest) {
+    log.info("No webhooks or digest configured; nothing to send.");
+    return;
+  }
+  const sections = [];
+  // One series failing doesn't keep the others' episodes from going out
+  for (const series of run.seriesList) {
+    setLogContext({ series: series.name });
+    try {
+      sections.push(await notifySeries(series, options));
+    } catch (err) {
+      log.error(`Error while notifying about ${series.name}: ${err.message}`);
+      log.debug(err.stack);
+      process.exitCode = 1;
+    }
+  }
+  setLogContext(null);
+
+  if (!options.notifyDigest) return;
+  if (await writeDigest(options.notifyDigest, sections)) {
+    log.info(`\nWrote the new episode digest to ${options.notifyDigest}`);
+  }
+  // Only once the digest is written are its episodes off the queue
+  for (const { ledgerFile, ledger } of sections) {
+    if (ledger.digest.length === 0) continue;
+    ledger.digest = [];
+    await saveLedger(ledgerFile, ledger);
+  }
+}
+
+main();
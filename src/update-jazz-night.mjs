@@ -1,454 +1,311 @@
 // update-jazz-night.mjs
 //
 // Incremental updater for NPR's "Jazz Night In America: The Radio Program" feed.
-// Checks for recent episodes and adds only new ones to the existing XML file.
-// More efficient than full scrape for regular updates.
-
-import { readFile, writeFile, access } from "node:fs/promises";
-import { chromium } from "playwright";
-import { parseStringPromise, Builder } from "xml2js";
-
-const SERIES_URL = "https://www.npr.org/series/347174538/jazz-night-radio";
-const OUTPUT_FILE = "feeds/jazz-night-zune.xml";
-const MAX_EPISODES = 100; // Keep same limit as full scrape
-const MAX_NEW_EPISODES_TO_CHECK = 20; // Only check first 20 episodes for updates
-
-// IMPORTANT: set this to the URL where this feed file will be hosted
-const SELF_FEED_URL =
-  "https://cardner.github.io/jazz-night-feed/jazz-night-zune.xml";
-
-// Channel metadata (same as main scraper)
-const FEED_TITLE = "Jazz Night In America: The Radio Program (Full Archive)";
-const FEED_LINK = SERIES_URL;
-const FEED_DESCRIPTION =
-  "Scraped archive of NPR's Jazz Night In America radio episodes, with direct MP3 enclosures, formatted for Zune.";
-const FEED_LANGUAGE = "en-us";
-
-function unescapeXml(str = "") {
-  return String(str)
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&apos;/g, "'")
-    .replace(/&amp;/g, "&");
-}
-
-/** Undo accumulated XML entity escaping (e.g. &amp;amp; from double-escape bugs). */
-function fullyUnescapeXml(str = "") {
-  let s = String(str);
-  for (let i = 0; i < 5 && /&(?:amp|lt|gt|quot|apos);/i.test(s); i++) {
-    s = unescapeXml(s);
-  }
-  return s;
-}
+// Checks for recent episodes, adds new ones to the series' episode store
+// (lib/store.mjs) and renders the feed from it. More efficient than a full
+// scrape for regular updates.
+// Runs over every series in feeds.config.json, or the one named with
+// `--series <name>`, with the same options as the full build (lib/cli.mjs).
+// Like the build, each run writes a JSON report (lib/report.mjs).
+
+import { createEpisodeSource } from "./lib/source.mjs";
+import { prepareEpisodes } from "./lib/episodes.mjs";
+import { resolveEnclosures, enclosureMetaFromUrl } from "./lib/media.mjs";
+import { enrichEpisodes } from "./lib/enrich.mjs";
+import { normalizeAudioUrl, cleanDescription } from "./lib/normalize.mjs";
+import {
+  storePathFor,
+  loadSeriesStore,
+  saveStore,
+  upsertEpisodes,
+  mergeStoryDuplicates,
+  migrateGuids,
+  storedEpisodeMatcher,
+  GUID_SCHEME,
+} from "./lib/store.mjs";
+import { renderSeriesFeeds, writeFeeds } from "./lib/outputs.mjs";
+import { readFeedItems, guardFeeds, diffFeeds, printFeedDiffs, FIRST_PAGE_EPISODES } from "./lib/guard.mjs";
+import { parseWebhookUrls, ledgerPathFor, loadLedger, saveLedger, queueAnnouncements } from "./lib/notify.mjs";
+import { resolveRunConfig, formatHelp, formatEffectiveConfig } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor, setLogContext } from "./lib/log.mjs";
+import {
+  createRunReport,
+  recordScrape,
+  countBy,
+  feedChanges,
+  reportPathFor,
+  writeRunReport,
+} from "./lib/report.mjs";
 
 /**
- * Stable key for episode identity. Strips query params so NPR tracking/
- * size params don't create false "new" episodes, and normalizes residual
- * HTML entities from previously double-escaped feed entries.
+ * Fill in enclosure length and duration for stored episodes that lack
+ * them, from the URL's size/d params only (no network). Returns the number
+ * of episodes changed.
  */
-function normalizeAudioUrl(url = "") {
-  let s = fullyUnescapeXml(url).trim();
-  try {
-    const u = new URL(s);
-    return `${u.origin}${u.pathname}`;
-  } catch {
-    return s.split("?")[0];
+function backfillEnclosureMeta(store) {
+  const patches = [];
+  for (const record of store.episodes.values()) {
+    const meta = enclosureMetaFromUrl(record.audioUrl);
+    const patch = {};
+    if (!record.enclosureLength && meta.length) patch.enclosureLength = meta.length;
+    if (!record.duration && meta.duration) patch.duration = meta.duration;
+    if (Object.keys(patch).length) patches.push({ audioUrl: record.audioUrl, ...patch });
   }
+  return upsertEpisodes(store, patches).updated.length;
 }
 
-function sanitizeDescription(desc = "") {
-  return String(desc)
-    .replace(/<[^>]*>/g, "") // strip tags
-    .replace(/\s+/g, " ") // collapse whitespace
-    .trim();
-}
-
-function parseDateToRss(dateText, fallback = new Date()) {
-  if (!dateText || dateText.trim() === "") {
-    console.log("No date text provided, using fallback");
-    return fallback.toUTCString();
-  }
-  
-  // Try parsing the date directly first
-  let d = new Date(dateText);
-  
-  // If that fails, try some common transformations
-  if (Number.isNaN(d.getTime())) {
-    // Try converting slash dates to standard format
-    if (dateText.includes("/")) {
-      const parts = dateText.split("/");
-      if (parts.length === 3) {
-        // Assume MM/DD/YYYY format
-        const reformatted = `${parts[0]}/${parts[1]}/${parts[2]}`;
-        d = new Date(reformatted);
-      }
+/** Re-clean polluted stored descriptions. Returns the number changed. */
+function repairDescriptions(store) {
+  const patches = [];
+  for (const record of store.episodes.values()) {
+    const description = cleanDescription(record.description || "");
+    if (record.description && description !== record.description) {
+      patches.push({ audioUrl: record.audioUrl, description });
     }
   }
-  
-  if (!Number.isNaN(d.getTime())) {
-    console.log(`Parsed date: "${dateText}" → ${d.toUTCString()}`);
-    return d.toUTCString();
-  } else {
-    console.log(`Failed to parse date: "${dateText}", using fallback: ${fallback.toUTCString()}`);
-    return fallback.toUTCString();
-  }
-}
-
-async function checkFileExists(filePath) {
-  try {
-    await access(filePath);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-async function loadExistingFeed() {
-  const exists = await checkFileExists(OUTPUT_FILE);
-  if (!exists) {
-    console.log("No existing feed found. Run 'npm run build' first to create initial feed.");
-    process.exit(1);
-  }
-
-  const xmlContent = await readFile(OUTPUT_FILE, "utf8");
-  const parsed = await parseStringPromise(xmlContent);
-  return parsed;
+  return upsertEpisodes(store, patches).updated.length;
 }
 
-function extractExistingAudioUrls(feedData) {
-  const items = feedData?.rss?.channel?.[0]?.item || [];
-  const audioUrls = new Set();
+/**
+ * Scrape the newest episodes, loading more until the page reaches one that
+ * is already in the store, so a run after days of failures still picks up
+ * everything published since. Capped at the feed size unless the series
+ * is in archive mode: older episodes would be cut from the feed anyway.
+ */
+async function scrapeRecentEpisodes(source, series, store, isStored) {
+  log.info("Checking for recent episodes (until one already in the store)...");
 
-  items.forEach((item) => {
-    const enclosure = item?.enclosure?.[0];
-    if (enclosure?.$.url) {
-      audioUrls.add(normalizeAudioUrl(enclosure.$.url));
-    }
-    const guid = item?.guid?.[0]?._ ?? item?.guid?.[0];
-    if (typeof guid === "string" && guid) {
-      audioUrls.add(normalizeAudioUrl(guid));
-    }
+  const reachedStore = (episodes) => store.episodes.size > 0 && episodes.some(isStored);
+  const scraped = await source.scrape(series, {
+    maxEpisodes: series.archive ? Infinity : series.maxEpisodes,
+    stopWhen: reachedStore,
   });
+  const { episodes, stoppedBy } = scraped;
 
-  return audioUrls;
-}
-
-/** Fix fields that were pre-escaped before xml2js wrote them (double-escape). */
-function repairItemXmlEntities(item) {
-  if (item.title?.[0]) item.title[0] = fullyUnescapeXml(item.title[0]);
-  if (item.link?.[0]) item.link[0] = fullyUnescapeXml(item.link[0]);
-  if (item.description?.[0]) {
-    item.description[0] = fullyUnescapeXml(item.description[0]);
-  }
-  if (item.pubDate?.[0]) item.pubDate[0] = fullyUnescapeXml(item.pubDate[0]);
-
-  const guidNode = item.guid?.[0];
-  if (guidNode && typeof guidNode._ === "string") {
-    guidNode._ = fullyUnescapeXml(guidNode._);
-  } else if (typeof guidNode === "string") {
-    item.guid[0] = fullyUnescapeXml(guidNode);
-  }
-
-  const enclosure = item.enclosure?.[0];
-  if (enclosure?.$.url) {
-    enclosure.$.url = fullyUnescapeXml(enclosure.$.url);
+  if (store.episodes.size > 0 && stoppedBy !== "stopWhen") {
+    log.warn(
+      `none of the ${episodes.length} loaded episodes is in the episode store; ` +
+        "older new episodes may be missing. Consider a full rebuild."
+    );
   }
 
-  return item;
+  log.info(`Found ${episodes.length} recent episodes to check.`);
+  return scraped;
 }
 
-function itemAudioKey(item) {
-  const enclosureUrl = item?.enclosure?.[0]?.$.url;
-  if (enclosureUrl) return normalizeAudioUrl(enclosureUrl);
-  const guid = item?.guid?.[0]?._ ?? item?.guid?.[0];
-  if (typeof guid === "string") return normalizeAudioUrl(guid);
-  return "";
-}
-
-/** Keep first occurrence of each episode (caller should sort newest-first). */
-function dedupeItemsByAudioUrl(items) {
-  const seen = new Set();
-  return items.filter((item) => {
-    const key = itemAudioKey(item);
-    if (!key || seen.has(key)) return false;
-    seen.add(key);
-    return true;
+/**
+ * Queue the episodes this run added for announcement in the series'
+ * notification ledger (see lib/notify.mjs). Nothing is sent here: the
+ * ledger is committed with the store, and `npm run notify` delivers it.
+ */
+async function queueNewEpisodes(series, added, options) {
+  const ledgerFile = ledgerPathFor(series);
+  const ledger = await loadLedger(ledgerFile);
+  const loaded = JSON.stringify(ledger);
+  const queued = queueAnnouncements(ledger, added, {
+    webhooks: options.webhooks,
+    digest: Boolean(options.notifyDigest),
   });
+  // A run that found nothing new leaves the ledger file (or its absence)
+  // alone, so the workflow has nothing to commit
+  if (JSON.stringify(ledger) !== loaded) await saveLedger(ledgerFile, ledger);
+  if (queued.length > 0) {
+    log.info(`Queued ${queued.length} new episode(s) in ${ledgerFile} for 'npm run notify'.`);
+  }
+  return queued.length;
 }
 
-async function scrapeRecentEpisodes(page) {
-  console.log(`Checking for recent episodes (up to ${MAX_NEW_EPISODES_TO_CHECK})...`);
-
-  await page.goto(SERIES_URL, {
-    waitUntil: "domcontentloaded",
-    timeout: 120_000,
-  });
+/** Update one series' store and feeds, filling in its run report entry. */
+async function updateSeries(source, series, options, entry) {
+  log.info(`\n=== ${series.name} ===`);
+  log.info(formatEffectiveConfig("update", series, options));
 
-  // Check for "The Radio Show" link
-  const moreLink = page.locator('a:has-text("The Radio Show")');
-  if ((await moreLink.count()) > 0) {
-    console.log('Clicking "The Radio Show" link');
-    await moreLink.first().click();
-    await page.waitForLoadState("domcontentloaded");
-    await page.waitForTimeout(1500);
+  const storeFile = storePathFor(series);
+  const { store, bootstrap } = await loadSeriesStore(series, storeFile);
+  const merged = mergeStoryDuplicates(store);
+  if (merged > 0) {
+    log.info(`Merged ${merged} duplicate episode(s) of the same story.`);
+  }
+  log.info(`Episode store has ${store.episodes.size} episodes.`);
+
+  // Stores (and imported feeds) from before stable guids are migrated once
+  const legacyGuids = store.guidScheme !== GUID_SCHEME;
+  const rewritten = migrateGuids(store, { keepLegacy: options.keepLegacyGuids });
+  if (legacyGuids) {
+    log.info(
+      options.keepLegacyGuids
+        ? "Kept the published guids of existing episodes; new episodes get stable guids."
+        : `Rewrote ${rewritten} guid(s) to stable story/audio-path guids.`
+    );
   }
 
-  // Don't expand all - just get what's initially loaded
-  const episodes = await page.evaluate((maxCheck) => {
-    // Look for article elements with class "item" that contain download links
-    const articleItems = Array.from(document.querySelectorAll("article.item"));
-    
-    const validArticles = articleItems.filter(article => {
-      const downloadLi = article.querySelector("li.audio-tool-download");
-      if (!downloadLi) return false;
-      const downloadAnchor = downloadLi.querySelector("a[href*='ondemand.npr.org']");
-      return downloadAnchor && downloadAnchor.href;
-    });
-
-    // Only check the first maxCheck episodes
-    const articlesToCheck = validArticles.slice(0, maxCheck);
-    const results = [];
-
-    for (const article of articlesToCheck) {
-      const downloadLi = article.querySelector("li.audio-tool-download");
-      const downloadAnchor = downloadLi.querySelector("a[href*='ondemand.npr.org']");
-      const audioUrl = downloadAnchor.href;
-
-      // Find the title anchor within the article
-      const titleAnchor = Array.from(article.querySelectorAll("a")).find((el) => {
-        const href = el.href || "";
-        const text = (el.textContent || "").trim();
-        // Must have text, not be a download/embed link, and have year in path
-        return text && 
-               !href.includes("ondemand.npr.org") && 
-               !href.includes("player/embed") && 
-               /\/20\d{2}\//.test(href);
-      });
-
-      const title = titleAnchor?.textContent?.trim() || "Untitled episode";
-      const link = titleAnchor?.href || audioUrl;
-
-      // Use the entire article as context for extracting information
-      const contextText = article.textContent || "";
-
-      // Try multiple date extraction strategies
-      let dateText = "";
-      
-      // Strategy 1: Extract date from the audio URL (most reliable for NPR)
-      // NPR URLs often contain dates like: /2025/10/20251014_specials_...
-      const urlDateMatch = audioUrl.match(/\/(\d{4})\/\d{2}\/(\d{8})/);
-      if (urlDateMatch) {
-        const dateStr = urlDateMatch[2]; // e.g., "20251014"
-        if (dateStr.length === 8) {
-          const year = dateStr.substring(0, 4);
-          const month = dateStr.substring(4, 6);
-          const day = dateStr.substring(6, 8);
-          dateText = `${year}-${month}-${day}`;
-        }
-      }
-      
-      // Strategy 2: Look for full month name dates in context
-      if (!dateText) {
-        let dateMatch = contextText.match(
-          /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4}\b/
-        );
-        
-        if (dateMatch) {
-          dateText = dateMatch[0];
-        } else {
-          // Strategy 3: Look for abbreviated month dates
-          dateMatch = contextText.match(/\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}\b/);
-          if (dateMatch) {
-            dateText = dateMatch[0];
-          } else {
-            // Strategy 4: Look for ISO-style dates
-            dateMatch = contextText.match(/\b\d{4}-\d{2}-\d{2}\b/);
-            if (dateMatch) {
-              dateText = dateMatch[0];
-            } else {
-              // Strategy 5: Look for slash dates
-              dateMatch = contextText.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/);
-              if (dateMatch) {
-                dateText = dateMatch[0];
-              }
-            }
-          }
-        }
-      }
-
-      let description = "";
-      const bulletIndex = contextText.indexOf("•");
-      if (bulletIndex !== -1) {
-        description = contextText
-          .slice(bulletIndex + 1)
-          .replace(/\s+/g, " ")
-          .trim();
-      }
-
-      if (!description) {
-        // Look for description text in the article
-        const blocks = Array.from(
-          article.querySelectorAll("p, span, div")
-        ).map((el) => (el.textContent || "").trim());
-        for (const block of blocks) {
-          if (
-            block &&
-            block.length > 40 &&
-            !block.includes(title) &&
-            !block.includes("Listen ·") &&
-            !block.includes("Download") &&
-            !block.includes("Embed")
-          ) {
-            description = block;
-            break;
-          }
-        }
-      }
-
-      results.push({
-        title,
-        link,
-        dateText,
-        audioUrl,
-        description,
-      });
-    }
+  const storedBefore = store.episodes.size;
+  const isStored = storedEpisodeMatcher(store);
+  const scraped = await scrapeRecentEpisodes(source, series, store, isStored);
+  const { channelImageUrl, episodes: recentEpisodes } = scraped;
+  recordScrape(entry, scraped);
+  if (channelImageUrl) store.channelImageUrl = channelImageUrl;
+
+  // Unknown audio files are new episodes, or stored stories re-uploaded
+  // under a new file name; both need their enclosure details resolved
+  const hasStoredAudio = (ep) => store.episodes.has(normalizeAudioUrl(ep.audioUrl));
+  const newAudio = recentEpisodes.filter((ep) => !hasStoredAudio(ep));
+  const newEpisodes = newAudio.filter((ep) => !isStored(ep));
+  if (newEpisodes.length > 0) {
+    log.info(`Found ${newEpisodes.length} new episodes to add.`);
+  }
 
-    // Remove duplicates
-    const seen = new Set();
-    return results.filter((ep) => {
-      if (seen.has(ep.audioUrl)) return false;
-      seen.add(ep.audioUrl);
-      return true;
+  let prepared = await resolveEnclosures(prepareEpisodes(newAudio), {
+    head: options.enclosureHead,
+    headEndpoint: options.enclosureHeadEndpoint,
+  });
+  // `--enrich` adds story page details to new episodes (see enrich.mjs)
+  if (options.enrich && prepared.length > 0) {
+    prepared = await enrichEpisodes(prepared, {
+      cacheDir: options.storyCacheDir,
+      delayMs: options.enrichDelayMs,
     });
-  }, MAX_NEW_EPISODES_TO_CHECK);
-
-  console.log(`Found ${episodes.length} recent episodes to check.`);
-  return episodes;
-}
-
-function createItemXml(episode) {
-  // Do NOT pre-escape: xml2js Builder escapes once on write.
-  // Pre-escaping caused & → &amp;amp; and broke URL dedupe on the next run.
-  const title = episode.title || "Untitled episode";
-  const link = episode.link || FEED_LINK;
-  const desc = sanitizeDescription(episode.description || "");
-  const pubDate = episode.pubDate;
-  const audioUrl = episode.audioUrl;
-  const guid = episode.guid || episode.audioUrl;
-
-  return {
-    title: [title],
-    link: [link],
-    guid: [{ _: guid, $: { isPermaLink: "false" } }],
-    pubDate: [pubDate],
-    description: [desc],
-    enclosure: [{ $: { url: audioUrl, length: "0", type: "audio/mpeg" } }],
-  };
-}
-
-async function updateFeedWithNewEpisodes(existingFeed, newEpisodes, existingUrls) {
-  const existingItemsRaw = existingFeed.rss.channel[0].item || [];
-  const existingItems = existingItemsRaw.map(repairItemXmlEntities);
-  const beforeDedupe = existingItems.length;
-  const dedupedExisting = dedupeItemsByAudioUrl(existingItems);
-  const removedDupes = beforeDedupe - dedupedExisting.length;
-
-  if (removedDupes > 0) {
-    console.log(`Removed ${removedDupes} duplicate episode(s) from existing feed.`);
   }
-
-  const newEpisodesFiltered = newEpisodes.filter(
-    (ep) => !existingUrls.has(normalizeAudioUrl(ep.audioUrl))
-  );
-
-  if (newEpisodesFiltered.length === 0 && removedDupes === 0) {
-    console.log("No new episodes found. Feed is up to date.");
-    return false;
+  entry.dateStrategies = countBy(prepared, "dateStrategy");
+
+  // Known episodes seen again refresh their lastSeen, and pick up
+  // corrected titles, descriptions or artwork from the page, and a better
+  // date than the one stored (e.g. a fallback)
+  const known = prepareEpisodes(recentEpisodes.filter(hasStoredAudio));
+  const { added, moved } = upsertEpisodes(store, prepared);
+  const { updated } = upsertEpisodes(store, known);
+  if (moved.length > 0) {
+    log.info(`Moved ${moved.length} episode(s) to a new audio file, keeping their guid.`);
+  }
+  if (updated.length > 0) {
+    log.info(`Updated ${updated.length} existing episode(s) from the series page.`);
   }
 
-  if (newEpisodesFiltered.length > 0) {
-    console.log(`Found ${newEpisodesFiltered.length} new episodes to add.`);
+  const backfilled = backfillEnclosureMeta(store);
+  if (backfilled > 0) {
+    log.info(`Filled in enclosure length/duration for ${backfilled} existing episode(s).`);
   }
 
-  // Convert new episodes to proper format
-  const processedNewEpisodes = newEpisodesFiltered.map((ep) => {
-    const dateObj = ep.dateText ? new Date(ep.dateText) : new Date();
-    return {
-      ...ep,
-      dateObj,
-      pubDate: parseDateToRss(ep.dateText || "", dateObj),
-      guid: ep.audioUrl,
-    };
-  });
+  // `--repair-descriptions` also rewrites stored descriptions that still
+  // carry NPR player text ("Listen· 59:40 … Download Embed") or
+  // "Working Headline:" style artifacts from older scrapes.
+  const repaired = options.repairDescriptions ? repairDescriptions(store) : 0;
+  if (repaired > 0) {
+    log.info(`Repaired ${repaired} polluted description(s) in the store.`);
+  }
+  entry.store = {
+    added: added.length,
+    updated: updated.length,
+    moved: moved.length,
+    merged,
+    total: store.episodes.size,
+    guidsRewritten: rewritten,
+    backfilled,
+    repaired,
+  };
 
-  const newItemsXml = processedNewEpisodes.map(createItemXml);
-  const allItems = [...newItemsXml, ...dedupedExisting];
+  if (
+    added.length === 0 &&
+    moved.length === 0 &&
+    updated.length === 0 &&
+    merged === 0 &&
+    rewritten === 0 &&
+    backfilled === 0 &&
+    repaired === 0
+  ) {
+    log.info("No new episodes found. Feed is up to date.");
+  }
 
-  allItems.sort((a, b) => {
-    const dateA = new Date(a.pubDate[0]);
-    const dateB = new Date(b.pubDate[0]);
-    return dateB - dateA;
+  // The series page always lists a page of episodes, so finding (almost)
+  // none means the scrape broke rather than that nothing was published
+  const feeds = renderSeriesFeeds(series, store);
+  const published = storedBefore > 0 ? await readFeedItems(series.output) : null;
+  entry.anomalies = await guardFeeds(feeds, {
+    scraped: recentEpisodes,
+    expectedScraped: Math.min(published?.length ?? 0, FIRST_PAGE_EPISODES),
+    force: options.force,
+    dryRun: options.dryRun,
   });
+  const diffs = await diffFeeds(feeds);
+  entry.feeds = feedChanges(feeds, diffs);
+  if (options.dryRun) {
+    printFeedDiffs(diffs);
+    log.info(`Dry run: ${storeFile} and the feeds were not written.`);
+    if (options.notify && !bootstrap && added.length > 0) {
+      log.info(`Dry run: ${added.length} new episode(s) were not queued for announcement.`);
+    }
+    return;
+  }
 
-  // Dedupe again after merge (normalized URL), then cap
-  const limitedItems = dedupeItemsByAudioUrl(allItems).slice(0, MAX_EPISODES);
-
-  existingFeed.rss.channel[0].item = limitedItems;
-  existingFeed.rss.channel[0].lastBuildDate = [new Date().toUTCString()];
-
-  return true;
-}
+  // Always written: the first run after the store was introduced creates it,
+  // and an unchanged store renders byte-identical files
+  await saveStore(storeFile, store);
+  log.info(`Saved ${store.episodes.size} episodes to ${storeFile}`);
+  await writeFeeds(feeds);
+  entry.written = true;
 
-async function saveFeed(feedData) {
-  const builder = new Builder({
-    xmldec: { version: '1.0', encoding: 'UTF-8' },
-    renderOpts: { pretty: true, indent: '  ' }
-  });
-  
-  const xml = builder.buildObject(feedData);
-  await writeFile(OUTPUT_FILE, xml, "utf8");
+  // A new series' back catalogue isn't news
+  if (options.notify && !bootstrap) entry.queued = await queueNewEpisodes(series, added, options);
 }
 
 async function main() {
-  console.log("Starting incremental update...");
-
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
-      "(KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36",
-  });
-  const page = await context.newPage();
+  let run;
+  let webhooks;
+  try {
+    run = await resolveRunConfig("update");
+    webhooks = parseWebhookUrls(run.options.notifyWebhooks);
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
 
-  page.setDefaultNavigationTimeout(120_000);
-  page.setDefaultTimeout(60_000);
+  if (run.help) {
+    log.info(formatHelp("update"));
+    return;
+  }
 
-  try {
-    // Load existing feed
-    const existingFeed = await loadExistingFeed();
-    const existingUrls = extractExistingAudioUrls(existingFeed);
-    console.log(`Existing feed has ${existingUrls.size} episodes.`);
+  const options = { ...run.options, webhooks, notify: webhooks.length > 0 || Boolean(run.options.notifyDigest) };
 
-    // Scrape recent episodes
-    const recentEpisodes = await scrapeRecentEpisodes(page);
+  log.info("Starting incremental update...");
+  const source = createEpisodeSource({
+    mode: run.options.source,
+    timeoutMs: run.options.requestTimeoutMs,
+    loadTimeoutMs: run.options.loadTimeoutMs,
+    clickTimeoutMs: run.options.clickTimeoutMs,
+  });
 
-    // Update feed with new episodes
-    const wasUpdated = await updateFeedWithNewEpisodes(existingFeed, recentEpisodes, existingUrls);
+  const runReport = createRunReport("update", { dryRun: options.dryRun, source: options.source });
 
-    if (wasUpdated) {
-      await saveFeed(existingFeed);
-      console.log(`Updated RSS feed saved to ${OUTPUT_FILE}`);
+  try {
+    // One series failing doesn't stop the others from updating
+    for (const series of run.seriesList) {
+      const entry = runReport.addSeries(series.name);
+      setLogContext({ series: series.name });
+      try {
+        await updateSeries(source, series, options, entry);
+      } catch (err) {
+        Object.assign(entry, { ok: false, error: err.message });
+        log.error(`Error during incremental update of ${series.name}: ${err.message}`);
+        log.debug(err.stack);
+        process.exitCode = 1;
+      }
     }
+    setLogContext(null);
+  } finally {
+    await source.close();
+  }
 
+  const file = reportPathFor("update", options.report);
+  try {
+    await writeRunReport(runReport.finish(), { file, summary: options.summary });
+    log.info(`Wrote the run report to ${file}`);
   } catch (err) {
-    console.error("Error during incremental update:");
-    console.error(err);
+    log.error(`Could not write the run report: ${err.message}`);
     process.exitCode = 1;
-  } finally {
-    await browser.close();
   }
 }
 
-main();
\ No newline at end of file
+main();
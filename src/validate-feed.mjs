@@ -0,0 +1,65 @@
+// validate-feed.mjs
+//
+// Checks every feed a series has written (see lib/validate.mjs) and exits
+// non-zero when any has errors, or warnings with --strict, so the
+// workflows can refuse to commit a broken feed. Runs over every series in
+// feeds.config.json, or the one named with `--series <name>`.
+
+import { readFile } from "node:fs/promises";
+import { validateFeedXml, formatValidation } from "./lib/validate.mjs";
+import { seriesFeedFiles } from "./lib/outputs.mjs";
+import { resolveRunConfig, formatHelp } from "./lib/cli.mjs";
+import { log, configureLogger, logLevelFor, setLogContext } from "./lib/log.mjs";
+
+async function validateFile(file) {
+  let xml;
+  try {
+    xml = await readFile(file, "utf8");
+  } catch (err) {
+    return { items: 0, errors: [`cannot read feed: ${err.message}`], warnings: [] };
+  }
+  return validateFeedXml(xml);
+}
+
+async function main() {
+  let run;
+  try {
+    run = await resolveRunConfig("validate");
+    configureLogger({ level: logLevelFor(run.options), json: run.options.logJson });
+  } catch (err) {
+    log.error(err.message);
+    log.error("Run with --help for the available options.");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (run.help) {
+    log.info(formatHelp("validate"));
+    return;
+  }
+
+  let failed = 0;
+  let checked = 0;
+  for (const series of run.seriesList) {
+    setLogContext({ series: series.name });
+    for (const file of await seriesFeedFiles(series)) {
+      const result = await validateFile(file);
+      const failing = result.errors.length > 0 || (run.options.strict && result.warnings.length > 0);
+      // A failing feed's findings still show with --quiet
+      if (failing) log.error(formatValidation(file, result));
+      else log.info(formatValidation(file, result));
+      checked++;
+      if (failing) failed++;
+    }
+  }
+  setLogContext(null);
+
+  if (failed > 0) {
+    log.error(`\n${failed} of ${checked} feed(s) failed validation.`);
+    process.exitCode = 1;
+  } else {
+    log.info(`\nAll ${checked} feed(s) passed validation.`);
+  }
+}
+
+main();
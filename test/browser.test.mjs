@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { afterClick, clickSignal, stopReason } from "../src/lib/browser.mjs";
+
+const episodes = (count) => Array.from({ length: count }, (_, index) => ({ link: `https://www.npr.org/e/${index}` }));
+
+describe("stopReason", () => {
+  it("goes on while nothing says stop", () => {
+    assert.equal(stopReason({ episodes: episodes(6), clicks: 1 }), "");
+  });
+
+  it("stops once the loaded page reaches a stored episode", () => {
+    const stored = new Set(["https://www.npr.org/e/8"]);
+    const stopWhen = (found) => found.some((episode) => stored.has(episode.link));
+    assert.equal(stopReason({ episodes: episodes(6), stopWhen, clicks: 0 }), "");
+    assert.equal(stopReason({ episodes: episodes(12), stopWhen, clicks: 1 }), "stopWhen");
+  });
+
+  it("stops at the episode limit", () => {
+    assert.equal(stopReason({ episodes: episodes(11), maxEpisodes: 12, clicks: 1 }), "");
+    assert.equal(stopReason({ episodes: episodes(12), maxEpisodes: 12, clicks: 1 }), "limit");
+  });
+
+  it("stops after the maximum number of clicks", () => {
+    assert.equal(stopReason({ episodes: episodes(6), clicks: 49 }), "");
+    assert.equal(stopReason({ episodes: episodes(6), clicks: 50 }), "safety");
+    assert.equal(stopReason({ episodes: episodes(6), clicks: 3, maxClicks: 3 }), "safety");
+  });
+
+  it("checks the stop condition before the limits", () => {
+    assert.equal(stopReason({ episodes: episodes(12), maxEpisodes: 12, stopWhen: () => true, clicks: 50 }), "stopWhen");
+    assert.equal(stopReason({ episodes: episodes(12), maxEpisodes: 12, clicks: 50 }), "limit");
+  });
+});
+
+describe("clickSignal", () => {
+  const settled = (value) => Promise.resolve(value);
+  const later = (value, ms) => new Promise((resolve) => setTimeout(resolve, ms, value));
+  const never = () => new Promise(() => {});
+
+  it("reports stories when they appear first", async () => {
+    assert.equal(await clickSignal(settled("stories"), never()), "stories");
+  });
+
+  it("waits briefly for stories after the button hides", async () => {
+    assert.equal(await clickSignal(later("stories", 10), settled("button-gone"), { settleMs: 200 }), "stories");
+  });
+
+  it("reports the button gone when no stories follow", async () => {
+    assert.equal(await clickSignal(never(), settled("button-gone"), { settleMs: 10 }), "button-gone");
+  });
+
+  it("keeps waiting for stories when the button waiter times out", async () => {
+    assert.equal(await clickSignal(later("stories", 10), settled("timeout")), "stories");
+  });
+
+  it("reports a timeout when neither happens", async () => {
+    assert.equal(await clickSignal(later("timeout", 10), settled("timeout")), "timeout");
+  });
+});
+
+describe("afterClick", () => {
+  it("resets the stall count when a click adds stories", () => {
+    assert.deepEqual(afterClick(6, 1), { stalledClicks: 0, stop: false });
+  });
+
+  it("retries one click that adds nothing", () => {
+    assert.deepEqual(afterClick(0, 0), { stalledClicks: 1, stop: false });
+  });
+
+  it("gives up after two in a row", () => {
+    assert.deepEqual(afterClick(0, 1), { stalledClicks: 2, stop: true });
+  });
+});
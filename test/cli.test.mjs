@@ -0,0 +1,162 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseOptions, resolveRunConfig, formatHelp, OPTIONS } from "../src/lib/cli.mjs";
+import { onLog } from "../src/lib/log.mjs";
+
+describe("parseOptions", () => {
+  it("fills in defaults when nothing is given", () => {
+    const { options } = parseOptions("update", [], {});
+    assert.equal(options.enclosureHead, true);
+    assert.equal(options.enrich, false);
+    assert.equal(options.repairDescriptions, false);
+    assert.equal(options.storyCacheDir, "cache/stories");
+    assert.equal(options.enrichDelayMs, 1000);
+    assert.equal(options.maxEpisodes, undefined);
+  });
+
+  it("reads env vars and lets named flags win over them", () => {
+    const { options } = parseOptions(
+      "build",
+      ["--max-episodes", "25", "--no-head", "--output=feeds/x.xml"],
+      { MAX_EPISODES: "50", SELF_FEED_URL: "https://example.com/x.xml", ENRICH: "1", ENCLOSURE_HEAD: "on" }
+    );
+    assert.equal(options.maxEpisodes, 25);
+    assert.equal(options.output, "feeds/x.xml");
+    assert.equal(options.selfUrl, "https://example.com/x.xml");
+    assert.equal(options.enrich, true);
+    assert.equal(options.enclosureHead, false);
+  });
+
+  it("treats ENCLOSURE_HEAD=off as --no-head", () => {
+    assert.equal(parseOptions("build", [], { ENCLOSURE_HEAD: "off" }).options.enclosureHead, false);
+  });
+
+  it("keeps published guids unless --rewrite-legacy-guids or KEEP_LEGACY_GUIDS=off", () => {
+    assert.equal(parseOptions("update", []).options.keepLegacyGuids, true);
+    assert.equal(parseOptions("update", ["--rewrite-legacy-guids"]).options.keepLegacyGuids, false);
+    assert.equal(parseOptions("update", [], { KEEP_LEGACY_GUIDS: "off" }).options.keepLegacyGuids, false);
+  });
+
+  it("rejects unknown flags, flags of the other command and bad values", () => {
+    assert.throws(() => parseOptions("build", ["--bogus"]), /Unknown option '--bogus'/);
+    assert.throws(() => parseOptions("build", ["--repair-descriptions"]), /Unknown option/);
+    assert.throws(() => parseOptions("update", ["--from-html", "a.html"]), /Unknown option/);
+    assert.throws(() => parseOptions("build", ["--max-episodes", "0"]), /--max-episodes must be a whole number of at least 1/);
+    assert.throws(() => parseOptions("build", [], { ENRICH: "maybe" }), /ENRICH must be on\/off/);
+    assert.throws(() => parseOptions("update", ["--source", "ftp"]), /must be one of auto, http, browser/);
+  });
+
+  it("gives check-links the series options plus its own", () => {
+    const { options } = parseOptions("check-links", ["--series", "jazz-night", "--remove"], { CHECK_DELAY_MS: "0" });
+    assert.equal(options.series, "jazz-night");
+    assert.equal(options.removeMissing, true);
+    assert.equal(options.checkDelayMs, 0);
+    assert.throws(() => parseOptions("check-links", ["--enrich"]), /Unknown option/);
+  });
+
+  it("parses --force and --dry-run for build and update only", () => {
+    const { options } = parseOptions("update", ["--dry-run"], { FORCE_WRITE: "1" });
+    assert.equal(options.dryRun, true);
+    assert.equal(options.force, true);
+    assert.equal(parseOptions("build", []).options.dryRun, false);
+    assert.throws(() => parseOptions("check-links", ["--dry-run"]), /Unknown option/);
+  });
+
+  it("gives doctor the page options and --dump-dir", () => {
+    const { options } = parseOptions("doctor", ["--from-html", "page.html", "--source", "http"]);
+    assert.equal(options.fromHtml, "page.html");
+    assert.equal(options.source, "http");
+    assert.equal(options.dumpDir, "doctor");
+    assert.throws(() => parseOptions("doctor", ["--output", "x.xml"]), /Unknown option/);
+  });
+
+  it("gives proxy its listening options", () => {
+    const { options } = parseOptions("proxy", ["--port", "0"], { PROXY_PUBLIC_URL: "http://10.0.0.2:8080" });
+    assert.equal(options.port, 0);
+    assert.equal(options.host, "0.0.0.0");
+    assert.equal(options.publicUrl, "http://10.0.0.2:8080");
+    assert.equal(parseOptions("proxy", []).options.port, 8080);
+    assert.throws(() => parseOptions("proxy", ["--source", "http"]), /Unknown option/);
+  });
+
+  it("gives site its output directory and the series' store and feed URL", () => {
+    assert.equal(parseOptions("site", []).options.siteDir, "site");
+    assert.equal(parseOptions("site", [], { SITE_DIR: "public" }).options.siteDir, "public");
+    assert.equal(parseOptions("site", ["--store", "x.jsonl"]).options.store, "x.jsonl");
+    assert.throws(() => parseOptions("site", ["--enrich"]), /Unknown option/);
+  });
+
+  it("gives update and notify their notification options", () => {
+    const { options } = parseOptions("update", ["--notify-digest", "digest.html"], {
+      NOTIFY_WEBHOOKS: "https://hooks.example/a,https://hooks.example/b",
+    });
+    assert.equal(options.notifyWebhooks, "https://hooks.example/a,https://hooks.example/b");
+    assert.equal(options.notifyDigest, "digest.html");
+    assert.throws(() => parseOptions("build", ["--notify-digest", "x.txt"]), /Unknown option/);
+
+    const notify = parseOptions("notify", ["--series", "jazz-night"], { NOTIFY_WEBHOOKS: "https://hooks.example/a" });
+    assert.equal(notify.options.notifyWebhooks, "https://hooks.example/a");
+    assert.equal(notify.options.notifyRetries, 3);
+    // Retrying deliveries is notify's business; update only queues
+    assert.throws(() => parseOptions("update", ["--notify-retries", "1"]), /Unknown option/);
+    assert.throws(() => parseOptions("notify", ["--dry-run"]), /Unknown option/);
+  });
+
+  it("limits validate to choosing feeds and --strict", () => {
+    assert.equal(parseOptions("validate", [], { VALIDATE_STRICT: "on" }).options.strict, true);
+    assert.equal(parseOptions("validate", ["--output", "x.xml"]).options.output, "x.xml");
+    assert.throws(() => parseOptions("validate", ["--max-episodes", "5"]), /Unknown option/);
+  });
+});
+
+describe("resolveRunConfig", () => {
+  it("applies flags to the selected series", async () => {
+    const run = await resolveRunConfig(
+      "update",
+      ["--config", "feeds.config.json", "--series", "jazz-night", "--max-episodes", "5", "--output", "/tmp/x.xml"],
+      {}
+    );
+    assert.equal(run.seriesList.length, 1);
+    assert.equal(run.seriesList[0].output, "/tmp/x.xml");
+    assert.equal(run.seriesList[0].maxEpisodes, 5);
+  });
+
+  it("still accepts the old positional build arguments, with a logged warning", async () => {
+    const logged = [];
+    const stopListening = onLog((entry) => logged.push(entry));
+    const run = await resolveRunConfig(
+      "build",
+      ["https://www.npr.org/series/1/x", "feeds/custom.xml", "30"],
+      { OUTPUT_FILE: "feeds/env.xml" }
+    ).finally(stopListening);
+    assert.deepEqual(
+      logged.map(({ level, message }) => [level, message]),
+      [["warn", "positional arguments are deprecated; use --series-url, --output, --max-episodes, --self-url."]]
+    );
+    const [series] = run.seriesList;
+    assert.equal(series.url, "https://www.npr.org/series/1/x");
+    assert.equal(series.output, "feeds/env.xml");
+    assert.equal(series.maxEpisodes, 30);
+  });
+
+  it("validates overridden series settings", async () => {
+    await assert.rejects(resolveRunConfig("build", ["--series-url", "not a url"], {}), /must be an http\(s\) URL/);
+    await assert.rejects(resolveRunConfig("update", ["extra"], {}), /Unexpected argument "extra"/);
+  });
+
+  it("stops at --help", async () => {
+    const run = await resolveRunConfig("build", ["--help", "--series-url", "not a url"], {});
+    assert.equal(run.help, true);
+  });
+});
+
+describe("formatHelp", () => {
+  it("lists every option of the command with its env var", () => {
+    const help = formatHelp("update");
+    for (const option of OPTIONS.filter((o) => o.commands.includes("update"))) {
+      assert.ok(help.includes(`--${option.flag}`), option.flag);
+      if (option.env) assert.ok(help.includes(`[${option.env}]`), option.env);
+    }
+    assert.ok(!help.includes("--from-html"));
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  DEFAULT_SERIES,
+  normalizeFeedsConfig,
+  loadFeedsConfig,
+  selectSeries,
+  applySeriesOverrides,
+  seriesChannel,
+  archiveSettings,
+  derivedFeedSettings,
+} from "../src/lib/config.mjs";
+
+const JAZZ_NIGHT = {
+  name: "jazz-night",
+  url: "https://www.npr.org/series/347174538/jazz-night-radio",
+  title: "Jazz Night In America",
+  output: "feeds/jazz-night-zune.xml",
+  selfUrl: "https://example.com/jazz-night-zune.xml",
+};
+
+const TINY_DESK = {
+  name: "tiny-desk",
+  url: "https://www.npr.org/series/tiny-desk-concerts/",
+  title: "Tiny Desk Concerts",
+  output: "feeds/tiny-desk-zune.xml",
+  selfUrl: "https://example.com/tiny-desk-zune.xml",
+  maxEpisodes: 25,
+  selectors: { archiveLink: "" },
+};
+
+describe("normalizeFeedsConfig", () => {
+  it("fills in defaults, the config's own defaults and a description", () => {
+    const { series } = normalizeFeedsConfig({
+      defaults: { maxEpisodes: 50, selectors: { loadMore: ".more" } },
+      series: [JAZZ_NIGHT, TINY_DESK],
+    });
+
+    assert.equal(series[0].maxEpisodes, 50);
+    assert.equal(series[0].language, "en-us");
+    assert.match(series[0].description, /Jazz Night In America/);
+    assert.deepEqual(series[0].selectors, { loadMore: ".more" });
+
+    assert.equal(series[1].maxEpisodes, 25);
+    assert.deepEqual(series[1].selectors, { loadMore: ".more", archiveLink: "" });
+  });
+
+  it("rejects missing fields, duplicate names and empty lists", () => {
+    assert.throws(() => normalizeFeedsConfig({ series: [] }), /non-empty "series"/);
+    assert.throws(
+      () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, output: "" }] }),
+      /series\[0\] \("jazz-night"\) is missing "output"/
+    );
+    assert.throws(
+      () => normalizeFeedsConfig({ series: [JAZZ_NIGHT, { ...TINY_DESK, name: "jazz-night" }] }),
+      /reuses the name "jazz-night"/
+    );
+  });
+
+  it("rejects unusable URLs and episode caps", () => {
+    assert.throws(
+      () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, url: "npr.org/series/1" }] }),
+      /"url" must be an http\(s\) URL/
+    );
+    assert.throws(
+      () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, maxEpisodes: "100" }] }),
+      /"maxEpisodes" must be a positive whole number/
+    );
+    assert.throws(
+      () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, archive: { pageSize: 0 } }] }),
+      /"archive.pageSize" must be a positive whole number/
+    );
+    assert.throws(
+      () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, selectors: { strategies: ["xpath"] } }] }),
+      /series\[0\] \("jazz-night"\): unknown strategy "xpath"/
+    );
+  });
+});
+
+describe("loadFeedsConfig", () => {
+  const dir = mkdtempSync(join(tmpdir(), "feeds-config-"));
+
+  it("falls back to the built-in series when the default file is absent", async () => {
+    const config = await loadFeedsConfig(join(dir, "missing.json"));
+    assert.deepEqual(config.series, [DEFAULT_SERIES]);
+  });
+
+  it("fails for an explicitly requested missing file or bad JSON", async () => {
+    await assert.rejects(loadFeedsConfig(join(dir, "missing.json"), { explicit: true }), /Cannot read/);
+
+    const bad = join(dir, "bad.json");
+    writeFileSync(bad, "{ series: ");
+    await assert.rejects(loadFeedsConfig(bad), /not valid JSON/);
+  });
+
+  it("reads and validates a config file", async () => {
+    const file = join(dir, "feeds.config.json");
+    writeFileSync(file, JSON.stringify({ series: [JAZZ_NIGHT, TINY_DESK] }));
+    const config = await loadFeedsConfig(file);
+    assert.deepEqual(config.series.map((s) => s.name), ["jazz-night", "tiny-desk"]);
+  });
+});
+
+describe("selectSeries / applySeriesOverrides", () => {
+  const config = normalizeFeedsConfig({ series: [JAZZ_NIGHT, TINY_DESK] });
+
+  it("selects all series, or one by name", () => {
+    assert.equal(selectSeries(config, "").length, 2);
+    assert.deepEqual(selectSeries(config, "tiny-desk").map((s) => s.name), ["tiny-desk"]);
+    assert.throws(() => selectSeries(config, "nope"), /configured: jazz-night, tiny-desk/);
+  });
+
+  it("applies the episode cap to every series but per-feed overrides to one only", () => {
+    const capped = applySeriesOverrides(config.series, { maxEpisodes: 10, url: "" });
+    assert.deepEqual(capped.map((s) => s.maxEpisodes), [10, 10]);
+
+    assert.throws(
+      () => applySeriesOverrides(config.series, { output: "feeds/x.xml" }),
+      /needs a single series/
+    );
+    const [one] = applySeriesOverrides(selectSeries(config, "jazz-night"), { output: "feeds/x.xml" });
+    assert.equal(one.output, "feeds/x.xml");
+  });
+});
+
+describe("archiveSettings", () => {
+  it("is null without archive mode", () => {
+    assert.equal(archiveSettings(JAZZ_NIGHT), null);
+  });
+
+  it("names the archive feeds after the recent feed unless told otherwise", () => {
+    const archive = archiveSettings({ ...JAZZ_NIGHT, archive: {} });
+    assert.equal(archive.output, "feeds/jazz-night-zune-archive.xml");
+    assert.equal(archive.selfUrl, "https://example.com/jazz-night-zune-archive.xml");
+    assert.equal(archive.pageOutput(3), "feeds/jazz-night-zune-archive-3.xml");
+    assert.equal(archive.pageSize, 50);
+
+    const custom = archiveSettings({ ...JAZZ_NIGHT, archive: { output: "feeds/all.xml", pageSize: 20 } });
+    assert.equal(custom.pageOutput(1), "feeds/all-1.xml");
+    assert.equal(custom.pageSize, 20);
+  });
+});
+
+describe("seriesChannel", () => {
+  it("maps a series onto the channel settings", () => {
+    const [series] = normalizeFeedsConfig({ series: [TINY_DESK] }).series;
+    const channel = seriesChannel(series);
+    assert.equal(channel.title, "Tiny Desk Concerts");
+    assert.equal(channel.link, TINY_DESK.url);
+    assert.equal(channel.selfUrl, TINY_DESK.selfUrl);
+    assert.equal(channel.maxEpisodes, 25);
+  });
+});
+
+describe("derivedFeedSettings", () => {
+  const CARNEGIE = { name: "carnegie-hall", title: "At Carnegie Hall", match: { venue: "Carnegie Hall" } };
+
+  it("names derived feeds after the recent feed and inherits the cap and description", () => {
+    const [series] = normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, derived: [CARNEGIE] }] }).series;
+    assert.deepEqual(derivedFeedSettings(series), [
+      {
+        name: "carnegie-hall",
+        title: "At Carnegie Hall",
+        description: series.description,
+        output: "feeds/jazz-night-zune-carnegie-hall.xml",
+        selfUrl: "https://example.com/jazz-night-zune-carnegie-hall.xml",
+        maxEpisodes: 100,
+        match: { venue: "Carnegie Hall" },
+      },
+    ]);
+    assert.deepEqual(derivedFeedSettings(JAZZ_NIGHT), []);
+  });
+
+  it("rejects derived feeds that can't be written or matched", () => {
+    const config = (...derived) => () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, derived }] });
+    assert.throws(config({ ...CARNEGIE, name: "Carnegie Hall" }), /"name" must be lowercase letters/);
+    assert.throws(config(CARNEGIE, CARNEGIE), /derived\[1\] \("carnegie-hall"\) reuses the name/);
+    assert.throws(config({ ...CARNEGIE, title: "" }), /is missing "title"/);
+    assert.throws(config({ ...CARNEGIE, match: {} }), /"match" must be an object with at least one condition/);
+    assert.throws(config({ ...CARNEGIE, match: { artist: "Moran" } }), /unknown condition "artist"/);
+  });
+
+  it("rejects names the archive uses and feeds that would share a file", () => {
+    const config = (series) => () => normalizeFeedsConfig({ series: [{ ...JAZZ_NIGHT, ...series }] });
+    assert.throws(config({ derived: [{ ...CARNEGIE, name: "archive" }] }), /\("archive"\): "archive" is reserved/);
+    assert.throws(config({ derived: [{ ...CARNEGIE, name: "archive-2" }] }), /"archive-2" is reserved/);
+
+    const output = (file) => ({ ...CARNEGIE, output: file });
+    assert.throws(
+      config({ derived: [output("feeds/jazz-night-zune.xml")] }),
+      /derived feed "carnegie-hall" and the recent feed would both be written to feeds\/jazz-night-zune\.xml/
+    );
+    assert.throws(
+      config({ derived: [output("feeds/x.xml"), { ...CARNEGIE, name: "moran", output: "feeds/./x.xml" }] }),
+      /derived feed "moran" and derived feed "carnegie-hall" would both be written/
+    );
+    assert.throws(
+      config({ archive: {}, derived: [output("feeds/jazz-night-zune-archive.xml")] }),
+      /and the archive would both be written/
+    );
+    assert.throws(
+      config({ archive: {}, derived: [output("feeds/jazz-night-zune-archive-3.xml")] }),
+      /derived feed "carnegie-hall" would overwrite archive page feeds\/jazz-night-zune-archive-3\.xml/
+    );
+    // Without archive mode nothing else claims those files
+    assert.doesNotThrow(config({ derived: [output("feeds/jazz-night-zune-archive-3.xml")] }));
+    assert.throws(config({ archive: { output: "feeds/jazz-night-zune.xml" } }), /the archive and the recent feed/);
+  });
+});
+
+describe("normalizeFeedsConfig across series", () => {
+  const config = (...series) => () => normalizeFeedsConfig({ series });
+
+  it("accepts series with their own files", () => {
+    assert.doesNotThrow(config({ ...JAZZ_NIGHT, archive: {} }, { ...TINY_DESK, archive: {} }));
+  });
+
+  it("rejects two series that would share a feed file or an episode store", () => {
+    assert.throws(
+      config(JAZZ_NIGHT, { ...TINY_DESK, output: "feeds/./jazz-night-zune.xml" }),
+      /\("tiny-desk"\): the recent feed would be written to feeds\/\.\/jazz-night-zune\.xml, which is the recent feed of series "jazz-night"/
+    );
+    assert.throws(
+      config(JAZZ_NIGHT, {
+        ...TINY_DESK,
+        derived: [{ name: "jazz", title: "Jazz", output: "feeds/jazz-night-zune.xml", match: { venue: "Vanguard" } }],
+      }),
+      /derived feed "jazz" would be written to feeds\/jazz-night-zune\.xml/
+    );
+    assert.throws(
+      config({ ...JAZZ_NIGHT, archive: {} }, { ...TINY_DESK, output: "feeds/jazz-night-zune-archive-2.xml" }),
+      /the recent feed would overwrite an archive page of series "jazz-night"/
+    );
+    assert.throws(
+      config({ ...TINY_DESK, output: "feeds/jazz-night-zune-archive-2.xml" }, { ...JAZZ_NIGHT, archive: {} }),
+      /\("jazz-night"\): an archive page would overwrite the recent feed of series "tiny-desk"/
+    );
+    // Default stores are named after the feed's file name only
+    assert.throws(
+      config(JAZZ_NIGHT, { ...TINY_DESK, output: "other/jazz-night-zune.xml" }),
+      /shares the episode store data\/jazz-night-zune\.episodes\.jsonl with series "jazz-night"/
+    );
+    assert.doesNotThrow(
+      config(JAZZ_NIGHT, { ...TINY_DESK, output: "other/jazz-night-zune.xml", store: "data/tiny-desk.episodes.jsonl" })
+    );
+  });
+});
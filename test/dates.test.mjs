@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDate, zonedDate, episodeDate, dateReliability } from "../src/lib/dates.mjs";
+
+const iso = (text) => parseDate(text)?.toISOString();
+
+describe("parseDate", () => {
+  it("reads dates without a time as midnight in New York", () => {
+    assert.equal(iso("2025-10-14"), "2025-10-14T04:00:00.000Z");
+    assert.equal(iso("2026-01-05"), "2026-01-05T05:00:00.000Z");
+  });
+
+  it("reads month-name and slash dates the same way as ISO dates", () => {
+    for (const text of ["October 14, 2025", "Oct 14, 2025", "Oct. 14 2025", "10/14/2025"]) {
+      assert.equal(iso(text), "2025-10-14T04:00:00.000Z", text);
+    }
+    assert.equal(iso("Sept 3, 2025"), "2025-09-03T04:00:00.000Z");
+  });
+
+  it("keeps explicit offsets and reads local times as New York time", () => {
+    assert.equal(iso("2026-06-26T05:00:00-04:00"), "2026-06-26T09:00:00.000Z");
+    assert.equal(iso("2026-06-26T05:00:00Z"), "2026-06-26T05:00:00.000Z");
+    assert.equal(iso("2026-06-26T05:00"), "2026-06-26T09:00:00.000Z");
+    assert.equal(iso("Tue, 14 Oct 2025 04:00:00 GMT"), "2025-10-14T04:00:00.000Z");
+  });
+
+  it("returns null for empty, unrecognizable or impossible dates", () => {
+    assert.equal(parseDate(""), null);
+    assert.equal(parseDate("headline tbd"), null);
+    assert.equal(parseDate("Feb 30, 2025"), null);
+    assert.equal(parseDate("Smarch 3, 2025"), null);
+    assert.equal(parseDate("13/01/2025"), null);
+  });
+});
+
+describe("zonedDate", () => {
+  it("follows daylight saving time changes", () => {
+    assert.equal(zonedDate(2026, 3, 8, { hour: 1 }).toISOString(), "2026-03-08T06:00:00.000Z");
+    assert.equal(zonedDate(2026, 3, 8, { hour: 3 }).toISOString(), "2026-03-08T07:00:00.000Z");
+    assert.equal(zonedDate(2026, 11, 1, { hour: 12 }).toISOString(), "2026-11-01T17:00:00.000Z");
+  });
+});
+
+describe("episodeDate", () => {
+  const now = new Date("2026-07-25T06:00:00Z");
+
+  it("dates an episode from its date text and keeps the strategy", () => {
+    assert.deepEqual(episodeDate({ dateText: "2025-10-14", dateStrategy: "story-url" }, now), {
+      dateObj: new Date("2025-10-14T04:00:00Z"),
+      pubDate: "Tue, 14 Oct 2025 04:00:00 GMT",
+      dateStrategy: "story-url",
+      dateReliability: 0.8,
+    });
+  });
+
+  it("prefers the story page's publish time", () => {
+    const date = episodeDate(
+      { dateText: "2026-06-24", dateStrategy: "audio-url", publishedAt: "2026-06-26T05:00:00-04:00" },
+      now
+    );
+    assert.equal(date.dateStrategy, "story-page");
+    assert.equal(date.pubDate, "Fri, 26 Jun 2026 09:00:00 GMT");
+  });
+
+  it("flags the run's time as a fallback", () => {
+    const date = episodeDate({ dateText: "soon", dateStrategy: "iso" }, now);
+    assert.equal(date.dateObj, now);
+    assert.equal(date.dateStrategy, "fallback");
+    assert.equal(date.dateReliability, 0);
+    assert.equal(episodeDate({ dateText: "Nov 2, 2016" }, now).dateStrategy, "text");
+  });
+
+  it("scores strategies", () => {
+    assert.ok(dateReliability("time-element") > dateReliability("audio-url"));
+    assert.ok(dateReliability("audio-url") > dateReliability("slash"));
+    assert.equal(dateReliability("nonsense"), 0);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diagnoseDocument, isHealthy, formatDiagnosis, failureDump } from "../src/lib/doctor.mjs";
+import { seriesProfile } from "../src/lib/profile.mjs";
+import { SERIES_URL, loadFixture } from "./helpers.mjs";
+
+function diagnose(name, selectors) {
+  return diagnoseDocument(loadFixture(name), { baseUrl: SERIES_URL, profile: seriesProfile({ selectors }) });
+}
+
+describe("diagnoseDocument", () => {
+  it("counts each selector step and lists stories without audio", () => {
+    const report = diagnose("series-page.html");
+
+    assert.deepEqual(
+      report.steps.map((step) => step.count),
+      [6, 5, 5, 6]
+    );
+    assert.equal(report.episodes, 4);
+    assert.equal(report.duplicates, 1);
+    assert.equal(report.dates["time-element"], 4);
+    assert.equal(report.extractedBy, "listing");
+    assert.deepEqual(report.strategies, { listing: 4, "download-anchor": 4, "json-ld": 0, "data-audio": 0 });
+    assert.deepEqual(
+      report.failures.map((f) => [f.index, f.problems]),
+      [[3, ["no li.audio-tool-download"]]]
+    );
+    assert.match(report.failures[0].html, /^<article class="item/);
+    // A newsletter teaser isn't a broken episode
+    assert.equal(isHealthy(report), true);
+  });
+
+  it("tallies date strategies and flags episodes without a title or date", () => {
+    const report = diagnose("series-legacy.html");
+
+    assert.deepEqual(report.dates, {
+      "time-element": 1,
+      "json-ld": 0,
+      "story-url": 2,
+      "audio-url": 0,
+      "full-month": 0,
+      "short-month": 0,
+      iso: 0,
+      slash: 0,
+      none: 1,
+    });
+    assert.deepEqual(report.failures.map((f) => [f.index, f.episode, f.problems]), [
+      [4, true, ["no title link (/20xx/ path)", "no date"]],
+    ]);
+    assert.equal(isHealthy(report), false);
+  });
+
+  it("reports the series' own selectors", () => {
+    const report = diagnose("series-page.html", { download: ".audio-tool-download" });
+    assert.equal(report.steps[1].label, ".audio-tool-download in the article");
+    assert.equal(report.page.downloads, 5);
+  });
+});
+
+describe("formatDiagnosis / failureDump", () => {
+  it("logs failing articles and dumps their DOM", () => {
+    const report = diagnose("series-legacy.html");
+    const text = formatDiagnosis(report, { dumpFile: "doctor/x.html" });
+
+    assert.match(text, /^Selector steps \(4 article\(s\)\):/);
+    assert.match(text, /  story-url \(0\.8\) +2\n/);
+    assert.match(text, /Articles without a complete episode: 1 \(DOM written to doctor\/x\.html\)/);
+    assert.match(text, /#4: no title link \(\/20xx\/ path\), no date\nFirst failing article \(#4\):\n<article/);
+    assert.match(text, /UNHEALTHY/);
+
+    const dump = failureDump(report, { html: "", url: SERIES_URL });
+    assert.match(dump, /<!-- #4: no title link \(\/20xx\/ path\), no date -->\n<article class="item">/);
+  });
+
+  it("dumps the whole page when no article matches", () => {
+    const report = diagnose("series-redesign.html");
+    assert.equal(report.articles, 0);
+    assert.equal(failureDump(report, { html: "<html>page</html>", url: SERIES_URL }), "<html>page</html>");
+    assert.match(formatDiagnosis(report, { dumpFile: "d.html" }), /No article\.item on the page; page written to d\.html\./);
+  });
+
+  it("has nothing to dump for a healthy page", () => {
+    assert.equal(failureDump(diagnose("series-page-next.html"), { html: "", url: SERIES_URL }), null);
+  });
+});
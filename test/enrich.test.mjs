@@ -0,0 +1,114 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { extractStoryDetails, parsePerformers } from "../src/lib/story.mjs";
+import { enrichEpisodes } from "../src/lib/enrich.mjs";
+import { fixturePath, loadFixture } from "./helpers.mjs";
+
+describe("extractStoryDetails", () => {
+  const details = extractStoryDetails(loadFixture("story-page.html"));
+
+  it("collects story paragraphs as show notes, skipping captions and labelled blocks", () => {
+    assert.equal(details.showNotes.length, 2);
+    assert.match(details.showNotes[0], /^Miles Davis would have turned 100 this year\./);
+    assert.match(details.showNotes[1], /the weight & the freedom of that legacy\.$/);
+  });
+
+  it("reads musicians, venue and set list", () => {
+    assert.deepEqual(details.performers, [
+      "Keyon Harrold",
+      "Christian McBride",
+      "Bobby Sparks II",
+      "Nate Smith",
+    ]);
+    assert.equal(details.venue, "Carnegie Hall, New York City");
+    assert.deepEqual(details.setlist, [
+      '"So What" (Miles Davis)',
+      '"Blue in Green" (Miles Davis, Bill Evans)',
+      '"Tutu" (Marcus Miller)',
+    ]);
+  });
+
+  it("takes artwork from og:image and the publish time from the page", () => {
+    assert.match(details.image, /^https:\/\/npr\.brightspotcdn\.com\/.*harrold-carnegie\.jpg$/);
+    assert.equal(details.publishedAt, "2026-06-26T05:00:00-04:00");
+  });
+});
+
+describe("parsePerformers", () => {
+  it("drops instruments from semicolon lists and list items", () => {
+    assert.deepEqual(parsePerformers(["Jason Moran (piano)", "Tarus Mateen – bass"]), [
+      "Jason Moran",
+      "Tarus Mateen",
+    ]);
+  });
+});
+
+describe("enrichEpisodes", () => {
+  let server;
+  let origin;
+  let cacheDir;
+  const requests = [];
+  const storyHtml = readFileSync(fixturePath("story-page.html"), "utf8");
+
+  before(async () => {
+    server = createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url.includes("gone")) {
+        res.writeHead(404).end();
+      } else {
+        res.writeHead(200, { "Content-Type": "text/html" }).end(storyHtml);
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    cacheDir = await mkdtemp(path.join(tmpdir(), "story-cache-"));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it("fetches each story once and serves later runs from the cache", async () => {
+    const episodes = [
+      { title: "Harrold", link: `${origin}/2026/06/26/nx-s1-5869532/keyon-harrold` },
+      { title: "Gone", link: `${origin}/2026/01/02/nx-s1-1000000/gone` },
+      { title: "No story", link: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/vault.mp3" },
+    ];
+
+    const first = await enrichEpisodes(episodes, { cacheDir, delayMs: 0 });
+    assert.deepEqual(requests, ["/2026/06/26/nx-s1-5869532/keyon-harrold", "/2026/01/02/nx-s1-1000000/gone"]);
+    assert.equal(first[0].venue, "Carnegie Hall, New York City");
+    assert.equal(first[0].performers.length, 4);
+    assert.equal(first[1].showNotes, undefined);
+    assert.equal(first[2], episodes[2]);
+    assert.deepEqual((await readdir(cacheDir)).sort(), ["nx-s1-1000000.json", "nx-s1-5869532.json"]);
+
+    const second = await enrichEpisodes(episodes, { cacheDir, delayMs: 0 });
+    assert.equal(requests.length, 2);
+    assert.deepEqual(second, first);
+  });
+
+  it("keeps artwork the episode already has", async () => {
+    const [ep] = await enrichEpisodes(
+      [{ title: "Harrold", link: `${origin}/2026/06/26/nx-s1-5869532/keyon-harrold`, image: "https://example.org/a.jpg" }],
+      { cacheDir, delayMs: 0 }
+    );
+    assert.equal(ep.image, "https://example.org/a.jpg");
+  });
+
+  it("dates the episode by the story page's publish time", async () => {
+    const [ep] = await enrichEpisodes(
+      [{ title: "Harrold", link: `${origin}/2026/06/26/nx-s1-5869532/keyon-harrold`, dateText: "2026-06-24", dateStrategy: "audio-url" }],
+      { cacheDir, delayMs: 0 }
+    );
+    assert.equal(ep.dateStrategy, "story-page");
+    assert.equal(ep.dateObj.toISOString(), "2026-06-26T09:00:00.000Z");
+    assert.equal(ep.pubDate, "Fri, 26 Jun 2026 09:00:00 GMT");
+  });
+});
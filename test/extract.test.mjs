@@ -0,0 +1,188 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractEpisodesFromDocument, findChannelImage } from "../src/lib/extract.mjs";
+import { scrapeSnapshot, parseSnapshot } from "../src/lib/snapshot.mjs";
+import { DEFAULT_PROFILE } from "../src/lib/profile.mjs";
+import { SERIES_URL, fixturePath, loadFixture } from "./helpers.mjs";
+
+const AUDIO_BASE = "https://ondemand.npr.org/anon.npr-mp3/npr/specials";
+
+function extract(name, options = {}) {
+  return extractEpisodesFromDocument(loadFixture(name), { baseUrl: SERIES_URL, profile: DEFAULT_PROFILE, ...options });
+}
+
+describe("series-page.html (current NPR markup)", () => {
+  const episodes = extract("series-page.html");
+
+  it("keeps only articles with a download link, deduped by audio URL", () => {
+    assert.deepEqual(
+      episodes.map((ep) => ep.title),
+      [
+        "Jazz singer-songwriter Nicole Zuraitis makes an introspective epic",
+        "Keyon Harrold celebrates 100 years of Miles Davis at Carnegie Hall",
+        "The Montreal International Jazz Festival, through the years",
+        "Flea returns to his first love: jazz",
+      ]
+    );
+  });
+
+  it("links each episode to its story page", () => {
+    assert.equal(
+      episodes[1].link,
+      "https://www.npr.org/2026/06/26/nx-s1-5869532/jazz-night-in-america-keyon-harrold-miles-davis-carnegie-hall"
+    );
+  });
+
+  it("takes dates from the listing's <time datetime>", () => {
+    assert.deepEqual(
+      episodes.map((ep) => ep.dateText),
+      ["2026-07-23", "2026-06-26", "2026-06-10", "2026-03-26"]
+    );
+    assert.ok(episodes.every((ep) => ep.dateStrategy === "time-element"));
+  });
+
+  it("returns unescaped audio URLs including query params", () => {
+    assert.equal(
+      episodes[0].audioUrl,
+      `${AUDIO_BASE}/2026/07/20260723_specials_jazz_singer-songwriter_nicole_zuraitis_makes_an_introspective_epic.mp3` +
+        "?d=3580&size=57291843&sc=siteplayer&aw_0_1st.playerid=siteplayer"
+    );
+  });
+
+  it("takes descriptions from the teaser only, without the date or player text", () => {
+    assert.deepEqual(
+      episodes.map((ep) => ep.description),
+      [
+        "The 2024 Grammy winner goes big on her new five-part, 20-track album.",
+        "To mark the occasion of Miles Davis' centennial, trumpeter Keyon Harrold put on a concert at Carnegie Hall and shared a candid conversation about the legend with Christian McBride.",
+        "From Miles Davis to Diana Krall, we revisit iconic performances and unforgettable moments from 46 years of the Montreal International Jazz Festival.",
+        "Flea's first musical love wasn't rock. It was jazz. The iconic bassist joins Christian McBride to talk about his debut solo album, Honora, and his return to the music that started it all.",
+      ]
+    );
+  });
+
+  it("picks the widest srcset variant of each episode thumbnail", () => {
+    assert.equal(
+      episodes[0].image,
+      "https://media.npr.org/assets/img/2026/07/23/zuraitis_wide-3b1f0e2c9d8a7b6c5d4e3f2a1b0c9d8e7f6a5b4c-s800-c85.jpg"
+    );
+  });
+
+  it("honors the limit option", () => {
+    assert.equal(extract("series-page.html", { limit: 2 }).length, 2);
+  });
+
+  it("prefers the series branding image for channel artwork", () => {
+    assert.equal(
+      findChannelImage(loadFixture("series-page.html"), { baseUrl: SERIES_URL }),
+      "https://media.npr.org/branding/series/347174538/jazz-night-radio/branding_main-815862d2af19f7a932c6377c6a381a7091339d6a-s1000-c100.png"
+    );
+  });
+});
+
+describe("series-legacy.html (older markup, undated audio URLs)", () => {
+  const episodes = extract("series-legacy.html");
+
+  it("resolves relative and protocol-relative links against the series URL", () => {
+    assert.equal(
+      episodes[0].link,
+      "https://www.npr.org/2017/02/08/514097210/cecile-mclorin-salvant-on-jazz-night-in-america"
+    );
+    assert.match(episodes[0].audioUrl, /^https:\/\/ondemand\.npr\.org\//);
+  });
+
+  it("falls back to the story URL's date", () => {
+    assert.deepEqual(
+      episodes.map((ep) => ep.dateText),
+      ["2017-02-08", "2016-11-02", "2016-09-21", ""]
+    );
+    assert.deepEqual(
+      episodes.map((ep) => ep.dateStrategy),
+      ["time-element", "story-url", "story-url", ""]
+    );
+  });
+
+  it("uses the teaser with or without a date bullet", () => {
+    assert.deepEqual(
+      episodes.map((ep) => ep.description),
+      [
+        "The singer & her trio take the stage at the Village Vanguard.",
+        "Pianist Jason Moran turns a tribute to stride master Fats Waller into a full-blown dance party in Harlem.",
+        "The trio celebrates its residency with a set of originals and a Stravinsky deep cut.",
+        "An hour of highlights from the vaults, introduced by host Christian McBride.",
+      ]
+    );
+  });
+
+  it("has no artwork or channel image when the page has no images", () => {
+    assert.ok(episodes.every((ep) => ep.image === ""));
+    assert.equal(findChannelImage(loadFixture("series-legacy.html"), { baseUrl: SERIES_URL }), "");
+  });
+
+  it("falls back to a placeholder title and the audio URL as link", () => {
+    assert.equal(episodes[3].title, "Untitled episode");
+    assert.equal(episodes[3].link, episodes[3].audioUrl);
+  });
+});
+
+describe("date strategies", () => {
+  const AUDIO = `${AUDIO_BASE}/2016/11/20161102_specials_moran.mp3`;
+  const dateOf = (body, audioUrl = AUDIO) => {
+    const doc = parseSnapshot(
+      `<article class="item"><p>${body}</p>
+        <ul><li class="audio-tool-download"><a href="${audioUrl}">Download</a></li></ul></article>`
+    );
+    const [ep] = extractEpisodesFromDocument(doc, { baseUrl: SERIES_URL, profile: DEFAULT_PROFILE });
+    return [ep.dateStrategy, ep.dateText];
+  };
+
+  it("prefers the story URL to the audio URL, and the audio URL to date text", () => {
+    const story = '<a href="/2016/11/04/500412734/moran">Moran</a>';
+    assert.deepEqual(dateOf(`${story} Nov 2, 2016`), ["story-url", "2016-11-04"]);
+    assert.deepEqual(dateOf("Nov 1, 2016"), ["audio-url", "2016-11-02"]);
+  });
+
+  it("reads month-name, ISO and slash dates from the text", () => {
+    const undated = `${AUDIO_BASE}/moran.mp3`;
+    assert.deepEqual(dateOf("Aired November 2, 2016", undated), ["full-month", "November 2, 2016"]);
+    assert.deepEqual(dateOf("Aired Sept 2, 2016", undated), ["short-month", "Sept 2, 2016"]);
+    assert.deepEqual(dateOf("Aired 2016-11-02", undated), ["iso", "2016-11-02"]);
+    assert.deepEqual(dateOf("Aired 11/2/2016", undated), ["slash", "11/2/2016"]);
+    assert.deepEqual(dateOf("Aired recently", undated), ["", ""]);
+  });
+});
+
+describe("findChannelImage", () => {
+  const page = (body) =>
+    parseSnapshot(`<html><head><title>Jazz Night In America: The Radio Program : NPR</title>${body}</html>`);
+
+  it("uses og:image before series-named images", () => {
+    const doc = page(
+      '<meta property="og:image" content="https://media.npr.org/og.jpg">' +
+        '<body><img src="/logo.png" alt="NPR"><img src="/named.jpg" alt="Jazz Night In America: The Radio Program"></body>'
+    );
+    assert.equal(findChannelImage(doc, { baseUrl: SERIES_URL }), "https://media.npr.org/og.jpg");
+  });
+
+  it("matches the series name from the page title, never the first image", () => {
+    const doc = page('<body><img src="/logo.png" alt="NPR"><img src="/named.jpg" alt="Jazz Night In America: The Radio Program"></body>');
+    assert.equal(findChannelImage(doc, { baseUrl: SERIES_URL }), "https://www.npr.org/named.jpg");
+    assert.equal(findChannelImage(page('<body><img src="/logo.png" alt="NPR"></body>'), { baseUrl: SERIES_URL }), "");
+  });
+});
+
+describe("series-redesign.html (unrecognized markup)", () => {
+  it("finds no episodes", () => {
+    assert.deepEqual(extract("series-redesign.html"), []);
+  });
+});
+
+describe("scrapeSnapshot", () => {
+  it("returns the same episodes as the extractor plus the channel image", async () => {
+    const { channelImageUrl, episodes } = await scrapeSnapshot(fixturePath("series-page.html"), {
+      baseUrl: SERIES_URL,
+    });
+    assert.deepEqual(episodes, extract("series-page.html"));
+    assert.match(channelImageUrl, /branding_main/);
+  });
+});
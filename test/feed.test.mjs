@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildRss, createChannel } from "../src/lib/feed.mjs";
+import { SERIES_URL } from "./helpers.mjs";
+
+const channel = createChannel({
+  link: SERIES_URL,
+  selfUrl: "https://example.org/feed.xml",
+  maxEpisodes: 10,
+});
+
+const episode = {
+  title: "Flea returns to his first love: jazz",
+  link: "https://www.npr.org/2026/03/26/nx-s1-5759281/jazz-night-flea-honora-album",
+  audioUrl: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/20260326_specials_jnia_mcbride_x_flea.mp3?d=3355&size=53694886",
+  description: "Flea's first musical love wasn't rock.",
+  dateObj: new Date("2026-03-26T00:00:00Z"),
+  pubDate: "Thu, 26 Mar 2026 00:00:00 GMT",
+  enclosureLength: 53694886,
+  duration: 3355,
+};
+
+describe("buildRss", () => {
+  it("writes the enclosure length and itunes:duration", () => {
+    const rss = buildRss([episode], "", channel);
+    assert.match(rss, /<enclosure url="[^"]+size=53694886" length="53694886" type="audio\/mpeg" \/>/);
+    assert.match(rss, /<itunes:duration>55:55<\/itunes:duration>/);
+  });
+
+  it("falls back to length 0 and no duration when both are unknown", () => {
+    const rss = buildRss([{ ...episode, enclosureLength: null, duration: null }], "", channel);
+    assert.match(rss, /length="0"/);
+    assert.doesNotMatch(rss, /itunes:duration/);
+  });
+
+  it("escapes query-string ampersands exactly once", () => {
+    const rss = buildRss([episode], "", channel);
+    assert.match(rss, /\?d=3355&amp;size=53694886/);
+    assert.doesNotMatch(rss, /&amp;amp;/);
+  });
+
+  it("renders identical XML when given a fixed lastBuildDate", () => {
+    const fixed = { ...channel, lastBuildDate: new Date("2026-04-01T06:00:00Z") };
+    const rss = buildRss([episode], "", fixed);
+    assert.match(rss, /<lastBuildDate>Wed, 01 Apr 2026 06:00:00 GMT<\/lastBuildDate>/);
+    assert.equal(buildRss([episode], "", fixed), rss);
+  });
+});
+
+describe("enriched items", () => {
+  const enriched = {
+    ...episode,
+    showNotes: ["Flea & McBride talk bass."],
+    performers: ["Flea", "Christian McBride"],
+    venue: "Capitol Studios",
+    setlist: ["Honora"],
+    image: "https://media.npr.org/assets/img/2026/03/26/flea-s600-c85.jpg",
+  };
+
+  it("writes show notes as content:encoded, artwork and performers", () => {
+    const rss = buildRss([enriched], "", channel);
+    assert.match(rss, /xmlns:content="http:\/\/purl\.org\/rss\/1\.0\/modules\/content\/"/);
+    assert.match(
+      rss,
+      /<content:encoded>&lt;p&gt;Flea &amp;amp; McBride talk bass\.&lt;\/p&gt;\n&lt;p&gt;&lt;strong&gt;Venue:/
+    );
+    assert.match(rss, /<itunes:image href="https:\/\/media\.npr\.org\/[^"]+\.jpg" \/>/);
+    assert.match(rss, /<podcast:person role="guest">Christian McBride<\/podcast:person>/);
+  });
+
+  it("uses the large crop for item and channel artwork", () => {
+    const rss = buildRss(
+      [enriched],
+      "https://media.npr.org/branding/series/347174538/jazz-night-radio/branding_main-8158-s1000-c100.png",
+      channel
+    );
+    assert.match(rss, /<url>[^<]+branding_main-8158-s1400-c100\.png<\/url>/);
+    assert.match(rss, /<itunes:image href="[^"]+flea-s1400-c100\.jpg" \/>/);
+  });
+
+  it("omits the enrichment elements for plain episodes", () => {
+    const rss = buildRss([episode], "", channel);
+    assert.doesNotMatch(rss, /<content:encoded>|<podcast:person|<itunes:image/);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { episodeMatcher, validateRule } from "../src/lib/filters.mjs";
+
+const HARROLD = {
+  title: "Keyon Harrold celebrates 100 years of Miles Davis at Carnegie Hall",
+  description: "Trumpeter Keyon Harrold shared a candid conversation with Christian McBride.",
+  dateObj: new Date("2026-06-26T04:00:00.000Z"),
+  duration: 3368,
+};
+const SALVANT = {
+  title: "Cécile McLorin Salvant on Jazz Night In America",
+  description: "The singer & her trio take the stage.",
+  showNotes: ["Recorded live in New York."],
+  venue: "Village Vanguard",
+  performers: ["Cécile McLorin Salvant, vocals", "Aaron Diehl, piano"],
+  dateObj: new Date("2017-02-08T05:00:00.000Z"),
+};
+
+const matching = (rule) => [HARROLD, SALVANT].filter(episodeMatcher(rule)).map((ep) => ep.title.split(" ")[0]);
+
+describe("episodeMatcher", () => {
+  it("matches text anywhere, ignoring case and accents", () => {
+    assert.deepEqual(matching({ text: "CARNEGIE" }), ["Keyon"]);
+    assert.deepEqual(matching({ text: "cecile" }), ["Cécile"]);
+    assert.deepEqual(matching({ text: "recorded live" }), ["Cécile"]);
+  });
+
+  it("limits title and description conditions to those fields", () => {
+    assert.deepEqual(matching({ title: "McBride" }), []);
+    assert.deepEqual(matching({ description: "McBride" }), ["Keyon"]);
+    assert.deepEqual(matching({ description: "New York" }), ["Cécile"]);
+  });
+
+  it("finds performers and venues in enrichment data or the title and description", () => {
+    assert.deepEqual(matching({ performer: "Aaron Diehl" }), ["Cécile"]);
+    assert.deepEqual(matching({ performer: ["Aaron Diehl", "Keyon Harrold"] }), ["Keyon", "Cécile"]);
+    assert.deepEqual(matching({ venue: "Carnegie Hall" }), ["Keyon"]);
+    assert.deepEqual(matching({ venue: "Vanguard" }), ["Cécile"]);
+  });
+
+  it("takes date ranges as whole New York days, both ends included", () => {
+    assert.deepEqual(matching({ from: "2026-06-26" }), ["Keyon"]);
+    assert.deepEqual(matching({ from: "2026-06-27" }), []);
+    assert.deepEqual(matching({ to: "2017-02-08" }), ["Cécile"]);
+    assert.deepEqual(matching({ to: "2017-02-07" }), []);
+    assert.deepEqual(matching({ from: "2017-01-01", to: "2025-12-31" }), ["Cécile"]);
+  });
+
+  it("needs a known running time of at least minDuration", () => {
+    assert.deepEqual(matching({ minDuration: 3000 }), ["Keyon"]);
+    assert.deepEqual(matching({ minDuration: "1:00:00" }), []);
+  });
+
+  it("needs every condition to hold", () => {
+    assert.deepEqual(matching({ text: "miles", from: "2020-01-01" }), ["Keyon"]);
+    assert.deepEqual(matching({ venue: "Carnegie Hall", minDuration: "59:00" }), []);
+  });
+});
+
+describe("validateRule", () => {
+  const check = (rule) => () => validateRule(rule, "derived[0]");
+
+  it("accepts every condition", () => {
+    check({ text: ["a", "b"], title: "t", description: "d", performer: "p", venue: "v" })();
+    check({ from: "2020-01-01", to: "2020-12-31", minDuration: "45:00" })();
+  });
+
+  it("rejects unknown conditions and unusable values", () => {
+    assert.throws(check(null), /derived\[0\]: "match" must be an object/);
+    assert.throws(check({ artist: "x" }), /unknown condition "artist"/);
+    assert.throws(check({ text: [] }), /"text" must be a non-empty string or a list of them/);
+    assert.throws(check({ venue: 3 }), /"venue" must be a non-empty string/);
+    assert.throws(check({ from: "June 1, 2020" }), /"from" must be a date like 2024-01-31/);
+    assert.throws(check({ to: "2020-02-30" }), /"to" must be a date/);
+    assert.throws(check({ from: "2021-01-01", to: "2020-01-01" }), /"from" \(2021-01-01\) is after "to"/);
+    assert.throws(check({ minDuration: "long" }), /"minDuration" must be seconds or "mm:ss"/);
+  });
+});
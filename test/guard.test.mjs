@@ -0,0 +1,139 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  feedItems,
+  findAnomalies,
+  guardFeeds,
+  diffFeedItems,
+  formatFeedDiff,
+  FIRST_PAGE_EPISODES,
+} from "../src/lib/guard.mjs";
+import { buildRss, createChannel } from "../src/lib/feed.mjs";
+import { SERIES_URL } from "./helpers.mjs";
+
+const channel = createChannel({ link: SERIES_URL, maxEpisodes: 100 });
+
+function episode(n, overrides = {}) {
+  return {
+    title: `Episode ${n}`,
+    guid: `npr:nx-s1-${n}`,
+    dateText: `2026-03-${String(n).padStart(2, "0")}`,
+    audioUrl: `https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/ep${n}.mp3`,
+    dateObj: new Date(Date.UTC(2026, 2, n)),
+    pubDate: new Date(Date.UTC(2026, 2, n)).toUTCString(),
+    enclosureLength: 1000 + n,
+    ...overrides,
+  };
+}
+
+const range = (count) => Array.from({ length: count }, (_, i) => episode(i + 1));
+const itemsOf = (episodes) => feedItems(buildRss(episodes, "", channel));
+
+describe("findAnomalies", () => {
+  it("accepts a run that looks like the feed it replaces", async () => {
+    const previous = await itemsOf(range(10));
+    const next = await itemsOf(range(11));
+    assert.deepEqual(findAnomalies({ previous, next, scraped: range(11), expectedScraped: 10 }), []);
+  });
+
+  it("flags a scrape that finds less than half of what the published feed lists", async () => {
+    // The feed is rendered from the store, so it keeps its episodes either way
+    const previous = await itemsOf(range(10));
+    assert.deepEqual(findAnomalies({ previous, next: previous, scraped: range(4), expectedScraped: 10 }), [
+      "the scrape found 4 episode(s) where 10 were expected",
+    ]);
+    assert.deepEqual(findAnomalies({ previous: null, next: [], scraped: [], expectedScraped: 1 }), [
+      "the scrape found 0 episode(s) where 1 were expected",
+    ]);
+  });
+
+  it("flags scrapes with mostly untitled or undated episodes", async () => {
+    const scraped = range(4).map((ep, i) => (i < 2 ? { ...ep, title: "Untitled episode", dateText: "" } : ep));
+    const next = await itemsOf(range(4));
+    assert.deepEqual(findAnomalies({ previous: next, next, scraped }), [
+      "2 of 4 scraped episodes (50%) have no title",
+      "2 of 4 scraped episodes (50%) have no readable date",
+    ]);
+  });
+
+  it("flags missing enclosure lengths only when the run makes them worse", async () => {
+    const unsized = range(5).map((ep) => ({ ...ep, enclosureLength: 0 }));
+    const sized = await itemsOf(range(5));
+    assert.deepEqual(findAnomalies({ previous: sized, next: await itemsOf(unsized), scraped: range(5) }), [
+      "100% of the feed's episodes would have no usable enclosure",
+    ]);
+    // A legacy feed without lengths doesn't block the run that keeps it as is
+    const legacy = await itemsOf(unsized);
+    assert.deepEqual(findAnomalies({ previous: legacy, next: legacy, scraped: range(5) }), []);
+  });
+});
+
+describe("guardFeeds", () => {
+  const dir = mkdtempSync(join(tmpdir(), "feed-guard-"));
+  const file = join(dir, "feed.xml");
+  writeFileSync(file, buildRss(range(10), "", channel));
+  // What the store renders after a scrape that added nothing
+  const unchanged = [{ file, xml: buildRss(range(10), "", channel) }];
+
+  it("refuses to replace a feed with a broken build", async () => {
+    await assert.rejects(
+      guardFeeds(unchanged, { scraped: [], expectedScraped: 10 }),
+      /Refusing to overwrite .*feed\.xml[\s\S]*found 0 episode\(s\) where 10 were expected[\s\S]*--force/
+    );
+  });
+
+  it("refuses an update whose scrape found no more than one episode", async () => {
+    const expectedScraped = Math.min(10, FIRST_PAGE_EPISODES);
+    for (const scraped of [[], range(1)]) {
+      await assert.rejects(
+        guardFeeds(unchanged, { scraped, expectedScraped }),
+        new RegExp(`found ${scraped.length} episode\\(s\\) where ${expectedScraped} were expected`)
+      );
+    }
+    // A first page that still reaches the store is fine
+    assert.deepEqual(await guardFeeds(unchanged, { scraped: range(FIRST_PAGE_EPISODES), expectedScraped }), []);
+  });
+
+  it("only warns with --force or --dry-run", async () => {
+    const anomalies = await guardFeeds(unchanged, { scraped: [], expectedScraped: 10, force: true });
+    assert.equal(anomalies.length, 1);
+    assert.equal((await guardFeeds(unchanged, { scraped: [], expectedScraped: 10, dryRun: true })).length, 1);
+  });
+
+  it("has nothing to compare against for a new feed", async () => {
+    const fresh = [{ file: join(dir, "new.xml"), xml: buildRss(range(3), "", channel) }];
+    assert.deepEqual(await guardFeeds(fresh, { scraped: range(3) }), []);
+  });
+});
+
+describe("diffFeedItems", () => {
+  it("matches items by guid and lists changed fields", async () => {
+    const previous = await itemsOf(range(3));
+    const next = await itemsOf([episode(4), episode(2, { title: "Episode two", enclosureLength: 5 }), episode(1)]);
+    const diff = diffFeedItems(previous, next);
+
+    assert.deepEqual(diff.added.map((item) => item.guid), ["npr:nx-s1-4"]);
+    assert.deepEqual(diff.removed.map((item) => item.guid), ["npr:nx-s1-3"]);
+    assert.deepEqual(diff.changed.map(({ item, fields }) => [item.guid, fields]), [
+      ["npr:nx-s1-2", ["title", "enclosureLength"]],
+    ]);
+    assert.equal(
+      formatFeedDiff("feeds/x.xml", diff),
+      [
+        "feeds/x.xml: 1 added, 1 removed, 1 changed",
+        "  + Episode 4 (npr:nx-s1-4)",
+        "  - Episode 3 (npr:nx-s1-3)",
+        "  ~ Episode two (npr:nx-s1-2): title, enclosureLength",
+      ].join("\n")
+    );
+  });
+
+  it("treats every item as added when there is no feed yet", async () => {
+    const next = await itemsOf(range(2));
+    assert.equal(diffFeedItems(null, next).added.length, 2);
+    assert.equal(formatFeedDiff("f.xml", diffFeedItems(next, next)), "f.xml: unchanged");
+  });
+});
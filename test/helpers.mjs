@@ -0,0 +1,17 @@
+// helpers.mjs
+//
+// Shared helpers for the fixture tests.
+
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseSnapshot } from "../src/lib/snapshot.mjs";
+
+export const SERIES_URL = "https://www.npr.org/series/347174538/jazz-night-radio";
+
+export function fixturePath(name) {
+  return fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+}
+
+export function loadFixture(name) {
+  return parseSnapshot(readFileSync(fixturePath(name), "utf8"));
+}
@@ -0,0 +1,125 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { seriesIdFromUrl, paginationUrl, scrapeSeriesHttp } from "../src/lib/http-source.mjs";
+import { fixturePath } from "./helpers.mjs";
+
+describe("seriesIdFromUrl / paginationUrl", () => {
+  it("finds the numeric id in series, program and podcast URLs", () => {
+    assert.equal(seriesIdFromUrl("https://www.npr.org/series/347174538/jazz-night-radio"), "347174538");
+    assert.equal(seriesIdFromUrl("https://www.npr.org/podcasts/510313/"), "510313");
+    assert.equal(seriesIdFromUrl("https://www.npr.org/series/tiny-desk-concerts/"), "");
+  });
+
+  it("fills in the template", () => {
+    assert.equal(
+      paginationUrl("https://www.npr.org/get/{seriesId}/render/partial/next?start={start}", {
+        seriesId: "347174538",
+        start: 7,
+      }),
+      "https://www.npr.org/get/347174538/render/partial/next?start=7"
+    );
+  });
+});
+
+describe("scrapeSeriesHttp", () => {
+  const seriesPage = readFileSync(fixturePath("series-page.html"), "utf8");
+  const nextPage = readFileSync(fixturePath("series-page-next.html"), "utf8");
+  let server;
+  let origin;
+  const requests = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      requests.push(req.url);
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname === "/series/347174538/jazz-night-radio") {
+        res.writeHead(200, { "Content-Type": "text/html" }).end(seriesPage);
+      } else if (url.pathname === "/series/347174538/with-archive-link") {
+        res
+          .writeHead(200, { "Content-Type": "text/html" })
+          .end('<html><body><a href="/series/347174538/jazz-night-radio">The Radio Show</a></body></html>');
+      } else if (url.pathname === "/get/347174538/render/partial/next") {
+        // The fixture page holds 6 stories, so the endpoint is asked for #7 next
+        const start = url.searchParams.get("start");
+        res.writeHead(200, { "Content-Type": "text/html" }).end(start === "7" ? nextPage : "");
+      } else if (url.pathname === "/get/347174538/flaky/next") {
+        // The second pagination page fails
+        if (url.searchParams.get("start") === "7") res.writeHead(200, { "Content-Type": "text/html" }).end(nextPage);
+        else res.writeHead(503).end();
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const series = (path = "/series/347174538/jazz-night-radio") => ({
+    name: "jazz-night",
+    url: `${origin}${path}`,
+    paginationUrl: `${origin}/get/{seriesId}/render/partial/next?start={start}`,
+    selectors: {},
+  });
+
+  it("follows pagination until a page has no more stories", async () => {
+    requests.length = 0;
+    const result = await scrapeSeriesHttp(series());
+
+    assert.deepEqual(
+      result.episodes.map((ep) => ep.title),
+      [
+        "Jazz singer-songwriter Nicole Zuraitis makes an introspective epic",
+        "Keyon Harrold celebrates 100 years of Miles Davis at Carnegie Hall",
+        "The Montreal International Jazz Festival, through the years",
+        "Flea returns to his first love: jazz",
+        "A Jazz Night holiday special",
+        "Samara Joy, live at the Village Vanguard",
+      ]
+    );
+    assert.equal(result.pages, 3);
+    assert.equal(result.stoppedBy, "end");
+    assert.match(result.channelImageUrl, /\/branding\/series\/347174538\//);
+    assert.deepEqual(requests.slice(1), [
+      "/get/347174538/render/partial/next?start=7",
+      "/get/347174538/render/partial/next?start=9",
+    ]);
+  });
+
+  it("stops at maxEpisodes or when stopWhen is satisfied", async () => {
+    const capped = await scrapeSeriesHttp(series(), { maxEpisodes: 3 });
+    assert.equal(capped.episodes.length, 3);
+    assert.equal(capped.pages, 1);
+    assert.equal(capped.stoppedBy, "limit");
+
+    const stopped = await scrapeSeriesHttp(series(), {
+      stopWhen: (episodes) => episodes.some((ep) => ep.title.startsWith("Flea")),
+    });
+    assert.equal(stopped.episodes.length, 4);
+    assert.equal(stopped.stoppedBy, "stopWhen");
+  });
+
+  it("follows the archive link first", async () => {
+    const result = await scrapeSeriesHttp(series("/series/347174538/with-archive-link"), { maxEpisodes: 2 });
+    assert.equal(result.episodes.length, 2);
+  });
+
+  it("keeps the pages fetched before a pagination request fails, marked partial", async () => {
+    const result = await scrapeSeriesHttp({
+      ...series(),
+      paginationUrl: `${origin}/get/{seriesId}/flaky/next?start={start}`,
+    });
+    assert.equal(result.episodes.length, 6);
+    assert.equal(result.pages, 2);
+    assert.equal(result.stoppedBy, "error");
+    assert.equal(result.partial, true);
+    assert.equal((await scrapeSeriesHttp(series())).partial, false);
+  });
+
+  it("throws on HTTP errors so the caller can fall back to the browser", async () => {
+    await assert.rejects(scrapeSeriesHttp(series("/series/347174538/gone")), (err) => err.status === 404);
+  });
+});
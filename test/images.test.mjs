@@ -0,0 +1,27 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { bestNprImageUrl } from "../src/lib/images.mjs";
+
+describe("bestNprImageUrl", () => {
+  it("asks media.npr.org for the large full-quality crop", () => {
+    assert.equal(
+      bestNprImageUrl("https://media.npr.org/assets/img/2026/07/23/zuraitis_wide-3b1f-s800-c85.jpg"),
+      "https://media.npr.org/assets/img/2026/07/23/zuraitis_wide-3b1f-s1400-c100.jpg"
+    );
+  });
+
+  it("rewrites brightspot resize and quality steps", () => {
+    assert.equal(
+      bestNprImageUrl(
+        "https://npr.brightspotcdn.com/dims3/default/strip/false/crop/5000x2813+0+0/resize/600/quality/85/format/jpeg/?url=x.jpg"
+      ),
+      "https://npr.brightspotcdn.com/dims3/default/strip/false/crop/5000x2813+0+0/resize/1400/quality/100/format/jpeg/?url=x.jpg"
+    );
+  });
+
+  it("leaves other URLs and empty values alone", () => {
+    assert.equal(bestNprImageUrl("https://example.org/cover.jpg"), "https://example.org/cover.jpg");
+    assert.equal(bestNprImageUrl(""), "");
+    assert.equal(bestNprImageUrl(undefined), "");
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { checkEnclosure, checkStoreLinks } from "../src/lib/link-check.mjs";
+import { createStore, storeEpisodes } from "../src/lib/store.mjs";
+
+describe("checkEnclosure", () => {
+  let server;
+  let origin;
+  const methods = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      methods.push(`${req.method} ${req.url}`);
+      if (req.url === "/gone.mp3") return res.writeHead(404).end();
+      if (req.url === "/no-head.mp3" && req.method === "HEAD") return res.writeHead(405).end();
+      res.writeHead(req.headers.range ? 206 : 200, { "Content-Type": "audio/mpeg" }).end("x");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("returns the status, retrying with a ranged GET when HEAD is refused", async () => {
+    assert.equal(await checkEnclosure(`${origin}/ok.mp3`), 200);
+    assert.equal(await checkEnclosure(`${origin}/gone.mp3`), 404);
+    assert.equal(await checkEnclosure(`${origin}/no-head.mp3`), 206);
+    assert.deepEqual(methods.slice(-2), ["HEAD /no-head.mp3", "GET /no-head.mp3"]);
+  });
+
+  it("returns 0 when the server can't be reached", async () => {
+    assert.equal(await checkEnclosure("http://127.0.0.1:1/x.mp3", { timeoutMs: 2000 }), 0);
+  });
+});
+
+describe("checkStoreLinks", () => {
+  const DAY_1 = new Date("2026-07-24T06:00:00Z");
+  const DAY_2 = new Date("2026-07-31T06:00:00Z");
+
+  function storeWith(...names) {
+    const store = createStore();
+    for (const name of names) {
+      const audioUrl = `https://ondemand.npr.org/${name}.mp3`;
+      store.episodes.set(audioUrl, {
+        key: audioUrl,
+        guid: audioUrl,
+        title: name,
+        audioUrl,
+        date: DAY_1.toISOString(),
+        firstSeen: DAY_1.toISOString(),
+        lastSeen: DAY_1.toISOString(),
+        updatedAt: DAY_1.toISOString(),
+      });
+    }
+    return store;
+  }
+
+  const statuses = { ok: 200, gone: 404, flaky: 503 };
+  const check = async (url) => statuses[url.match(/\/(\w+)\.mp3$/)[1]];
+
+  it("flags missing audio without touching the feed unless asked to remove it", async () => {
+    const store = storeWith("ok", "gone", "flaky");
+    const flagged = await checkStoreLinks(store, { delayMs: 0, now: DAY_1, check });
+    assert.equal(flagged.checked, 3);
+    assert.equal(flagged.failed, 1);
+    assert.deepEqual(flagged.missing.map((r) => r.title), ["gone"]);
+    assert.equal(flagged.missing[0].missingSince, DAY_1.toISOString());
+    assert.equal(storeEpisodes(store).length, 3);
+
+    const removed = await checkStoreLinks(store, { remove: true, delayMs: 0, now: DAY_2, check });
+    assert.deepEqual(removed.removed.map((r) => r.title), ["gone"]);
+    assert.equal(removed.missing[0].missingSince, DAY_1.toISOString());
+    assert.deepEqual(storeEpisodes(store).map((ep) => ep.title).sort(), ["flaky", "ok"]);
+  });
+
+  it("clears the flags when the audio comes back", async () => {
+    const store = storeWith("gone");
+    await checkStoreLinks(store, { remove: true, delayMs: 0, now: DAY_1, check });
+    const result = await checkStoreLinks(store, { delayMs: 0, now: DAY_2, check: async () => 200 });
+    assert.equal(result.recovered.length, 1);
+    const [record] = store.episodes.values();
+    assert.equal(record.missingSince, undefined);
+    assert.equal(record.removedAt, undefined);
+    assert.equal(record.updatedAt, DAY_2.toISOString());
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { log, configureLogger, logLevelFor, setLogContext, onLog } from "../src/lib/log.mjs";
+
+function capture(settings) {
+  const lines = [];
+  configureLogger({ ...settings, write: (level, line) => lines.push({ level, line }) });
+  return lines;
+}
+
+describe("log", () => {
+  afterEach(() => {
+    configureLogger({ level: "info", json: false, write: null });
+    setLogContext(null);
+  });
+
+  it("writes text lines at info and above, warnings marked as such", () => {
+    const lines = capture({ level: "info" });
+    log.debug("Click 1: +24 stories");
+    log.info("Found 24 episodes");
+    log.warn("no usable date");
+    log.error("Error while scraping");
+    assert.deepEqual(lines, [
+      { level: "info", line: "Found 24 episodes" },
+      { level: "warn", line: "Warning: no usable date" },
+      { level: "error", line: "Error while scraping" },
+    ]);
+  });
+
+  it("keeps only warnings and errors when quiet, and adds debug when verbose", () => {
+    const quiet = capture({ level: logLevelFor({ quiet: true }) });
+    log.info("Found 24 episodes");
+    log.warn("no usable date");
+    assert.deepEqual(quiet.map((entry) => entry.level), ["warn"]);
+
+    const verbose = capture({ level: logLevelFor({ verbose: true }) });
+    log.debug("Click 1: +24 stories");
+    assert.deepEqual(verbose.map((entry) => entry.line), ["Click 1: +24 stories"]);
+
+    assert.equal(logLevelFor({}), "info");
+    assert.throws(() => logLevelFor({ quiet: true, verbose: true }), /can't be combined/);
+    assert.throws(() => configureLogger({ level: "loud" }), /must be one of error, warn, info, debug/);
+  });
+
+  it("writes JSON lines with the context and extra fields", () => {
+    const lines = capture({ level: "info", json: true });
+    setLogContext({ series: "jazz-night" });
+    log.info("\n=== jazz-night ===");
+    log.warn("this run looks broken", { anomalies: ["no titles"] });
+
+    const entries = lines.map((entry) => JSON.parse(entry.line));
+    assert.match(entries[0].time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(
+      entries.map(({ time, ...entry }) => entry),
+      [
+        { level: "info", message: "=== jazz-night ===", series: "jazz-night" },
+        { level: "warn", message: "this run looks broken", series: "jazz-night", anomalies: ["no titles"] },
+      ]
+    );
+  });
+
+  it("tells listeners about every entry, shown or not", () => {
+    capture({ level: "warn" });
+    const seen = [];
+    const stop = onLog((entry) => seen.push(entry));
+    log.debug("HEAD request");
+    stop();
+    log.info("after");
+    assert.deepEqual(seen, [{ level: "debug", message: "HEAD request" }]);
+  });
+});
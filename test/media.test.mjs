@@ -0,0 +1,112 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import {
+  parseAudioUrlParams,
+  formatDuration,
+  parseDuration,
+  enclosureMetaFromUrl,
+  resolveEnclosures,
+} from "../src/lib/media.mjs";
+
+const AUDIO_URL =
+  "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/07/20260723_specials_zuraitis.mp3" +
+  "?d=3580&size=57291843&sc=siteplayer";
+
+describe("parseAudioUrlParams", () => {
+  it("reads size and d from the query string", () => {
+    assert.deepEqual(parseAudioUrlParams(AUDIO_URL), { size: 57291843, duration: 3580 });
+  });
+
+  it("returns nulls when the params are missing or the URL is invalid", () => {
+    assert.deepEqual(parseAudioUrlParams("https://ondemand.npr.org/a.mp3"), { size: null, duration: null });
+    assert.deepEqual(parseAudioUrlParams("not a url"), { size: null, duration: null });
+  });
+});
+
+describe("formatDuration", () => {
+  it("uses MM:SS under an hour and H:MM:SS above", () => {
+    assert.equal(formatDuration(3580), "59:40");
+    assert.equal(formatDuration(65), "01:05");
+    assert.equal(formatDuration(3725), "1:02:05");
+  });
+});
+
+describe("parseDuration", () => {
+  it("reads back what formatDuration writes, and plain seconds", () => {
+    assert.equal(parseDuration("59:40"), 3580);
+    assert.equal(parseDuration("1:02:05"), 3725);
+    assert.equal(parseDuration("3580"), 3580);
+    assert.equal(parseDuration(""), null);
+  });
+});
+
+describe("enclosureMetaFromUrl", () => {
+  it("estimates the missing value at 128 kbps", () => {
+    assert.deepEqual(enclosureMetaFromUrl("https://ondemand.npr.org/a.mp3?d=100"), {
+      length: 1_600_000,
+      duration: 100,
+    });
+    assert.deepEqual(enclosureMetaFromUrl("https://ondemand.npr.org/a.mp3?size=1600000"), {
+      length: 1_600_000,
+      duration: 100,
+    });
+  });
+});
+
+describe("resolveEnclosures", () => {
+  let server;
+  let endpoint;
+  const requests = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url });
+      const target = new URL(req.url, "http://localhost").searchParams.get("url") || "";
+      if (target.includes("missing")) {
+        res.writeHead(404).end();
+      } else {
+        res.writeHead(200, { "Content-Length": "4800000", "Content-Type": "audio/mpeg" }).end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/head?url={url}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("uses URL params without any request when size is present", async () => {
+    requests.length = 0;
+    const [ep] = await resolveEnclosures([{ title: "a", audioUrl: AUDIO_URL }], { headEndpoint: endpoint });
+    assert.equal(ep.enclosureLength, 57291843);
+    assert.equal(ep.duration, 3580);
+    assert.equal(requests.length, 0);
+  });
+
+  it("sends a HEAD request to the configured endpoint when size is missing", async () => {
+    requests.length = 0;
+    const audioUrl = "https://ondemand.npr.org/old/jazznight.mp3";
+    const [ep] = await resolveEnclosures([{ title: "b", audioUrl }], { headEndpoint: endpoint });
+    assert.equal(ep.enclosureLength, 4800000);
+    assert.equal(ep.duration, 300);
+    assert.deepEqual(requests, [{ method: "HEAD", url: `/head?url=${encodeURIComponent(audioUrl)}` }]);
+  });
+
+  it("leaves both unknown when the HEAD request fails", async () => {
+    const [ep] = await resolveEnclosures(
+      [{ title: "c", audioUrl: "https://ondemand.npr.org/missing.mp3" }],
+      { headEndpoint: endpoint }
+    );
+    assert.equal(ep.enclosureLength, null);
+    assert.equal(ep.duration, null);
+  });
+
+  it("skips HEAD requests when disabled", async () => {
+    requests.length = 0;
+    await resolveEnclosures([{ title: "d", audioUrl: "https://ondemand.npr.org/x.mp3" }], {
+      head: false,
+      headEndpoint: endpoint,
+    });
+    assert.equal(requests.length, 0);
+  });
+});
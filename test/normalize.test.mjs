@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cleanDescription,
+  normalizeAudioUrl,
+  sanitizeDescription,
+  stableGuid,
+} from "../src/lib/normalize.mjs";
+
+// Descriptions as they were written to feeds/jazz-night-zune.xml by older scrapes
+const POLLUTED = {
+  zuraitis:
+    "The 2024 Grammy winner goes big on her new five-part, 20-track album. Jazz singer-songwriter Nicole Zuraitis makes an introspective epic Listen· 59:4059-Minute ListenPlaylist Toggle more options Download Embed Embed",
+  harrold:
+    "To mark the occasion of Miles Davis' centennial, trumpeter Keyon Harrold put on a concert at Carnegie Hall and shared a candid conversation about the legend with Christian McBride. Working Headline:Keyon Harrold celebrates 100 years of Miles Davis at Carnegie Hall Listen· 56:0856-Minute ListenPlaylist Toggle more options Download Embed Embed",
+  glover:
+    "Glover fought to build a life in music. From Portland, Ore., to New York City, her story traces resilience, creativity and the strength she found through sincerity. Nicole Glover - Headline tbd Listen· 58:4358-Minute ListenPlaylist Toggle more options Download Embed Embed",
+};
+
+describe("cleanDescription", () => {
+  it("drops player chrome and the audio title that precedes it", () => {
+    assert.equal(
+      cleanDescription(POLLUTED.zuraitis),
+      "The 2024 Grammy winner goes big on her new five-part, 20-track album."
+    );
+  });
+
+  it("drops working-headline audio titles", () => {
+    assert.equal(
+      cleanDescription(POLLUTED.harrold),
+      "To mark the occasion of Miles Davis' centennial, trumpeter Keyon Harrold put on a concert at Carnegie Hall and shared a candid conversation about the legend with Christian McBride."
+    );
+    assert.equal(
+      cleanDescription(POLLUTED.glover),
+      "Glover fought to build a life in music. From Portland, Ore., to New York City, her story traces resilience, creativity and the strength she found through sincerity."
+    );
+  });
+
+  it("strips editorial prefixes and leading date bullets", () => {
+    assert.equal(cleanDescription("Working Headline: A night at the Vanguard."), "A night at the Vanguard.");
+    assert.equal(cleanDescription("July 23, 2026 • A night at the Vanguard."), "A night at the Vanguard.");
+  });
+
+  it("leaves clean teasers alone, including ones without a final period", () => {
+    assert.equal(cleanDescription("Plain teaser with no period"), "Plain teaser with no period");
+    assert.equal(
+      cleanDescription("Flea's first musical love wasn't rock. It was jazz."),
+      "Flea's first musical love wasn't rock. It was jazz."
+    );
+  });
+
+  it("is idempotent", () => {
+    for (const desc of Object.values(POLLUTED)) {
+      const once = cleanDescription(desc);
+      assert.equal(cleanDescription(once), once);
+    }
+  });
+});
+
+describe("sanitizeDescription", () => {
+  it("strips tags and collapses whitespace", () => {
+    assert.equal(sanitizeDescription("<p>Hello\n  <b>world</b></p>"), "Hello world");
+  });
+});
+
+describe("normalizeAudioUrl", () => {
+  it("drops query params and undoes double escaping", () => {
+    assert.equal(
+      normalizeAudioUrl("https://ondemand.npr.org/a/b.mp3?d=1&amp;amp;size=2"),
+      "https://ondemand.npr.org/a/b.mp3"
+    );
+  });
+});
+
+describe("stableGuid", () => {
+  const audioUrl =
+    "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/07/20260723_specials_zuraitis.mp3?d=3580&sc=siteplayer&aw_0_1st.playerid=siteplayer";
+
+  it("uses the story id when the link has one", () => {
+    assert.equal(
+      stableGuid({ link: "https://www.npr.org/2026/07/23/nx-s1-5869532/nicole-zuraitis", audioUrl }),
+      "npr:nx-s1-5869532"
+    );
+  });
+
+  it("falls back to the audio URL without its query string", () => {
+    assert.equal(
+      stableGuid({ link: "https://www.npr.org/series/347174538/jazz-night-radio", audioUrl }),
+      "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/07/20260723_specials_zuraitis.mp3"
+    );
+  });
+});
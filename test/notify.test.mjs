@@ -0,0 +1,222 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, readFileSync, existsSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  parseWebhookUrls,
+  webhookId,
+  ledgerPathFor,
+  loadLedger,
+  saveLedger,
+  postWebhook,
+  queueAnnouncements,
+  deliverPending,
+  digestEpisodes,
+  renderDigest,
+  writeDigest,
+} from "../src/lib/notify.mjs";
+import { createStore } from "../src/lib/store.mjs";
+
+const SERIES = {
+  name: "jazz-night",
+  title: "Jazz Night In America",
+  output: "feeds/jazz-night-zune.xml",
+  selfUrl: "https://example.com/jazz-night-zune.xml",
+};
+
+const MORAN = {
+  key: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2016/11/20161102_specials_moran.mp3",
+  guid: "npr:500412734",
+  title: "Jason Moran's Fats Waller Dance Party",
+  link: "https://www.npr.org/2016/11/02/500412734/moran",
+  audioUrl: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2016/11/20161102_specials_moran.mp3?d=3580",
+  date: "2016-11-02T04:00:00.000Z",
+  description: "Stride piano, turned into a dance party.",
+  duration: 3580,
+};
+const SALVANT = {
+  key: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2017/02/20170208_specials_salvant.mp3",
+  guid: "npr:514097210",
+  title: "Cécile McLorin Salvant <live>",
+  audioUrl: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2017/02/20170208_specials_salvant.mp3",
+  date: "2017-02-08T05:00:00.000Z",
+};
+
+function storeWith(...records) {
+  const store = createStore();
+  for (const record of records) store.episodes.set(record.key, { ...record });
+  return store;
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+describe("parseWebhookUrls / ledgerPathFor", () => {
+  it("splits on commas and whitespace and rejects non-http URLs", () => {
+    assert.deepEqual(parseWebhookUrls("https://a.example/hook, http://b.example/x\nhttps://c.example"), [
+      "https://a.example/hook",
+      "http://b.example/x",
+      "https://c.example",
+    ]);
+    assert.deepEqual(parseWebhookUrls(""), []);
+    assert.throws(() => parseWebhookUrls("mailto:me@example.com"), /must be http\(s\), got "mailto:me@example.com"/);
+  });
+
+  it("keeps the ledger next to the episode store", () => {
+    assert.equal(ledgerPathFor(SERIES), join("data", "jazz-night-zune.notifications.json"));
+    assert.equal(ledgerPathFor({ ...SERIES, store: "stores/jazz.jsonl" }), join("stores", "jazz.notifications.json"));
+  });
+});
+
+describe("webhook delivery", () => {
+  let server;
+  let base;
+  const received = [];
+  // path → statuses to answer with, in order; then 200
+  const script = new Map();
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const statuses = script.get(req.url) || [];
+        const status = statuses.shift() || 200;
+        received.push({ path: req.url, status, type: req.headers["content-type"], body: JSON.parse(body) });
+        res.writeHead(status).end();
+      });
+    });
+    base = await listen(server);
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const deliveredTo = (path) => received.filter((request) => request.path === path && request.status === 200);
+
+  it("retries 5xx answers with backoff and gives up on other 4xx", async () => {
+    script.set("/flaky", [503, 500]);
+    const flaky = await postWebhook(`${base}/flaky`, { hello: 1 }, { retries: 3, retryDelayMs: 1 });
+    assert.deepEqual(flaky, { ok: true, attempts: 3, status: 200, error: "" });
+
+    script.set("/gone", [404, 404]);
+    const gone = await postWebhook(`${base}/gone`, { hello: 1 }, { retries: 3, retryDelayMs: 1 });
+    assert.deepEqual(gone, { ok: false, attempts: 1, status: 404, error: "HTTP 404" });
+
+    script.set("/down", [500, 500, 500]);
+    const down = await postWebhook(`${base}/down`, { hello: 1 }, { retries: 2, retryDelayMs: 1 });
+    assert.deepEqual(down, { ok: false, attempts: 3, status: 500, error: "HTTP 500" });
+  });
+
+  it("queues new episodes once, for every webhook and the digest", () => {
+    const ledger = { announced: { "npr:500412734": "2026-10-18T06:00:00.000Z" }, pending: {}, digest: [] };
+    const webhooks = [`${base}/a`, `${base}/b`];
+    const now = new Date("2026-10-19T06:00:00Z");
+
+    // Moran was announced before (e.g. a re-uploaded file); only Salvant is news
+    const queued = queueAnnouncements(ledger, [MORAN, SALVANT], { webhooks, digest: true, now });
+    assert.deepEqual(queued.map((record) => record.guid), ["npr:514097210"]);
+    assert.equal(ledger.announced["npr:514097210"], "2026-10-19T06:00:00.000Z");
+    assert.deepEqual(ledger.pending, { [webhookId(webhooks[0])]: ["npr:514097210"], [webhookId(webhooks[1])]: ["npr:514097210"] });
+    assert.deepEqual(ledger.digest, ["npr:514097210"]);
+
+    // A re-run of the same update queues nothing more, and changes nothing
+    const before = structuredClone(ledger);
+    assert.deepEqual(queueAnnouncements(ledger, [SALVANT], { webhooks: [...webhooks, `${base}/c`], digest: true, now }), []);
+    assert.deepEqual(ledger, before);
+    assert.deepEqual(queueAnnouncements({ announced: {}, pending: {}, digest: [] }, [SALVANT], { webhooks: [] }).length, 1);
+  });
+
+  it("posts queued episodes as JSON, and keeps what a failed webhook missed queued", async () => {
+    const up = `${base}/up`;
+    const down = `${base}/later`;
+    const store = storeWith(MORAN, SALVANT);
+    const ledger = { announced: {}, pending: {}, digest: [] };
+    const webhooks = [up, down];
+    queueAnnouncements(ledger, [...store.episodes.values()], { webhooks });
+
+    script.set("/later", [502, 502]);
+    const first = await deliverPending(SERIES, store, ledger, { webhooks, retries: 1, retryDelayMs: 1 });
+    assert.deepEqual(
+      first.map(({ ok, episodes, attempts }) => ({ ok, episodes, attempts })),
+      [
+        { ok: true, episodes: 2, attempts: 1 },
+        { ok: false, episodes: 2, attempts: 2 },
+      ]
+    );
+
+    const [request] = deliveredTo("/up");
+    assert.equal(request.type, "application/json");
+    assert.deepEqual(request.body.series, { name: "jazz-night", title: "Jazz Night In America", feedUrl: SERIES.selfUrl });
+    assert.deepEqual(request.body.episodes[1], {
+      guid: "npr:500412734",
+      title: "Jason Moran's Fats Waller Dance Party",
+      date: "2016-11-02T04:00:00.000Z",
+      link: "https://www.npr.org/2016/11/02/500412734/moran",
+      audioUrl: MORAN.audioUrl,
+      duration: 3580,
+      durationText: "59:40",
+      description: "Stride piano, turned into a dance party.",
+      image: "",
+    });
+    assert.deepEqual(ledger.pending, { [webhookId(down)]: ["npr:514097210", "npr:500412734"] });
+
+    // Next run: only the webhook that was down gets them
+    const second = await deliverPending(SERIES, store, ledger, { webhooks, retries: 1, retryDelayMs: 1 });
+    assert.deepEqual(second.map(({ webhook, ok }) => ({ webhook, ok })), [{ webhook: webhookId(down), ok: true }]);
+    assert.equal(deliveredTo("/up").length, 1);
+    assert.equal(deliveredTo("/later").length, 1);
+    assert.deepEqual(ledger.pending, {});
+  });
+
+  it("drops what a webhook no longer configured, or an episode no longer stored, was owed", async () => {
+    const ledger = {
+      announced: { "npr:500412734": "2026-10-18T06:00:00.000Z" },
+      pending: { [webhookId(`${base}/old`)]: ["npr:500412734"], [webhookId(`${base}/kept`)]: ["npr:gone"] },
+      digest: ["npr:gone", "npr:500412734"],
+    };
+    const store = storeWith(MORAN);
+    assert.deepEqual(await deliverPending(SERIES, store, ledger, { webhooks: [`${base}/kept`] }), []);
+    assert.deepEqual(ledger.pending, {});
+    assert.deepEqual(digestEpisodes(store, ledger).map((record) => record.guid), ["npr:500412734"]);
+  });
+
+  it("round-trips the ledger through its file", async () => {
+    const file = join(mkdtempSync(join(tmpdir(), "notify-ledger-")), "data", "jazz.notifications.json");
+    assert.deepEqual(await loadLedger(file), { announced: {}, pending: {}, digest: [] });
+    const ledger = { announced: { "npr:1": "2026-10-19T06:00:00.000Z" }, pending: { abc: ["npr:1"] }, digest: ["npr:1"] };
+    await saveLedger(file, ledger);
+    assert.deepEqual(await loadLedger(file), ledger);
+  });
+});
+
+describe("digest", () => {
+  const sections = [{ series: SERIES, episodes: [MORAN, SALVANT] }];
+
+  it("renders plain text grouped by series", () => {
+    const text = renderDigest(sections, "text");
+    assert.match(text, /^2 new episodes\n\nJazz Night In America\n={21}\n\n\* Jason Moran's Fats Waller Dance Party\n/);
+    assert.match(text, /  November 2, 2016, 59:40\n  Stride piano, turned into a dance party\.\n  https:\/\/www\.npr\.org\//);
+    assert.match(text, /  MP3: https:\/\/ondemand\.npr\.org\/.*salvant\.mp3\n\nFeed: https:\/\/example\.com\/jazz-night-zune\.xml\n$/);
+  });
+
+  it("renders escaped HTML", () => {
+    const html = renderDigest(sections, "html");
+    assert.match(html, /<h1>2 new episodes<\/h1>/);
+    assert.match(html, /<a href="https:\/\/www\.npr\.org\/2016\/11\/02\/500412734\/moran">Jason Moran&apos;s Fats Waller Dance Party<\/a> \(November 2, 2016, 59:40\)/);
+    assert.match(html, /Cécile McLorin Salvant &lt;live&gt;/);
+  });
+
+  it("picks the format from the file name and removes a stale digest when nothing is new", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "notify-digest-"));
+    assert.equal(await writeDigest(join(dir, "digest.html"), sections), true);
+    assert.match(readFileSync(join(dir, "digest.html"), "utf8"), /^<!DOCTYPE html>/);
+
+    const text = join(dir, "digest.txt");
+    writeFileSync(text, "old news");
+    assert.equal(await writeDigest(text, [{ series: SERIES, episodes: [] }]), false);
+    assert.equal(existsSync(text), false);
+  });
+});
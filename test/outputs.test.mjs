@@ -0,0 +1,149 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { archivePages, renderSeriesFeeds } from "../src/lib/outputs.mjs";
+import { createStore } from "../src/lib/store.mjs";
+import { normalizeFeedsConfig } from "../src/lib/config.mjs";
+
+const SERIES = {
+  name: "jazz-night",
+  url: "https://www.npr.org/series/347174538/jazz-night-radio",
+  title: "Jazz Night In America",
+  output: "feeds/jazz-night-zune.xml",
+  selfUrl: "https://example.com/jazz-night-zune.xml",
+  maxEpisodes: 3,
+};
+
+/** A store of `count` episodes, one a day from 2026-01-01, captured in that order. */
+function storeOf(count) {
+  const store = createStore();
+  for (let i = 0; i < count; i++) {
+    const day = new Date(Date.UTC(2026, 0, 1 + i));
+    const key = `https://ondemand.npr.org/anon.npr-mp3/npr/specials/ep${i + 1}.mp3`;
+    store.episodes.set(key, {
+      key,
+      guid: key,
+      title: `Episode ${i + 1}`,
+      audioUrl: key,
+      date: day.toISOString(),
+      pubDate: day.toUTCString(),
+      firstSeen: day.toISOString(),
+      lastSeen: day.toISOString(),
+      updatedAt: day.toISOString(),
+    });
+  }
+  return store;
+}
+
+const itemCount = (xml) => (xml.match(/<item>/g) || []).length;
+
+describe("archivePages", () => {
+  it("returns only full pages, oldest first", () => {
+    const pages = archivePages([...storeOf(5).episodes.values()], 2);
+    assert.deepEqual(
+      pages.map((page) => page.map((ep) => ep.title)),
+      [
+        ["Episode 1", "Episode 2"],
+        ["Episode 3", "Episode 4"],
+      ]
+    );
+  });
+
+  it("orders by episode date, not capture, and breaks ties by key", () => {
+    const episodes = [...storeOf(4).episodes.values()];
+    // Episode 1 imported last, Episodes 3 and 4 aired the same day
+    episodes[0].firstSeen = "2026-06-01T00:00:00.000Z";
+    episodes[3].date = episodes[2].date;
+    const pages = archivePages(episodes.reverse(), 2);
+    assert.deepEqual(
+      pages.map((page) => page.map((ep) => ep.title)),
+      [
+        ["Episode 1", "Episode 2"],
+        ["Episode 3", "Episode 4"],
+      ]
+    );
+  });
+});
+
+describe("renderSeriesFeeds", () => {
+  it("writes only the capped feed without archive mode", () => {
+    const [series] = normalizeFeedsConfig({ series: [SERIES] }).series;
+    const feeds = renderSeriesFeeds(series, storeOf(5));
+    assert.deepEqual(feeds.map((feed) => feed.file), ["feeds/jazz-night-zune.xml"]);
+    assert.equal(itemCount(feeds[0].xml), 3);
+    assert.doesNotMatch(feeds[0].xml, /prev-archive/);
+  });
+
+  it("adds an uncapped archive and linked archive pages in archive mode", () => {
+    const [series] = normalizeFeedsConfig({ series: [{ ...SERIES, archive: { pageSize: 2 } }] }).series;
+    const [recent, complete, page1, page2, ...rest] = renderSeriesFeeds(series, storeOf(5));
+
+    assert.equal(rest.length, 0);
+    assert.equal(itemCount(recent.xml), 3);
+    assert.match(
+      recent.xml,
+      /<atom:link href="https:\/\/example.com\/jazz-night-zune-archive-2.xml" rel="prev-archive"/
+    );
+
+    assert.equal(complete.file, "feeds/jazz-night-zune-archive.xml");
+    assert.equal(itemCount(complete.xml), 5);
+    assert.match(complete.xml, /<title>Jazz Night In America \(Complete Archive\)<\/title>/);
+
+    assert.equal(page1.file, "feeds/jazz-night-zune-archive-1.xml");
+    assert.match(page1.xml, /xmlns:fh="http:\/\/purl.org\/syndication\/history\/1.0"/);
+    assert.match(page1.xml, /<fh:archive \/>/);
+    assert.match(page1.xml, /href="https:\/\/example.com\/jazz-night-zune.xml" rel="current"/);
+    assert.match(page1.xml, /href="https:\/\/example.com\/jazz-night-zune-archive-2.xml" rel="next-archive"/);
+    assert.doesNotMatch(page1.xml, /rel="prev-archive"/);
+    assert.match(page1.xml, /<lastBuildDate>Fri, 02 Jan 2026 00:00:00 GMT<\/lastBuildDate>/);
+    assert.match(page2.xml, /href="https:\/\/example.com\/jazz-night-zune-archive-1.xml" rel="prev-archive"/);
+    assert.doesNotMatch(page2.xml, /rel="next-archive"/);
+  });
+
+  it("leaves full archive pages untouched when newer episodes arrive", () => {
+    const [series] = normalizeFeedsConfig({ series: [{ ...SERIES, archive: { pageSize: 2 } }] }).series;
+    const before = renderSeriesFeeds(series, storeOf(5));
+    const after = renderSeriesFeeds(series, storeOf(6));
+    assert.equal(after[2].xml, before[2].xml);
+    assert.notEqual(after[1].xml, before[1].xml);
+  });
+});
+
+describe("derived feeds", () => {
+  const derived = [
+    { name: "odd", title: "Odd episodes", match: { title: ["Episode 1", "Episode 3", "Episode 5"] } },
+    // storeOf() dates are midnight UTC, the evening before in New York: episodes 1 and 2
+    { name: "early", title: "Early episodes", match: { to: "2026-01-01" }, maxEpisodes: 1 },
+  ];
+
+  it("renders each rule's matches after the series' own feeds, with its own title and self link", () => {
+    const [series] = normalizeFeedsConfig({ series: [{ ...SERIES, derived }] }).series;
+    const [recent, odd, early, ...rest] = renderSeriesFeeds(series, storeOf(5));
+
+    assert.equal(rest.length, 0);
+    assert.equal(itemCount(recent.xml), 3);
+    assert.equal(odd.file, "feeds/jazz-night-zune-odd.xml");
+    assert.equal(odd.episodes, 3);
+    assert.match(odd.xml, /<title>Odd episodes<\/title>/);
+    assert.match(odd.xml, /<atom:link href="https:\/\/example.com\/jazz-night-zune-odd.xml" rel="self"/);
+    assert.doesNotMatch(odd.xml, /Episode 2/);
+    assert.match(odd.xml, /<lastBuildDate>Mon, 05 Jan 2026 00:00:00 GMT<\/lastBuildDate>/);
+
+    assert.equal(itemCount(early.xml), 1);
+    assert.match(early.xml, /Episode 2/);
+  });
+
+  it("follows archive mode's feeds", () => {
+    const [series] = normalizeFeedsConfig({ series: [{ ...SERIES, archive: { pageSize: 2 }, derived }] }).series;
+    assert.deepEqual(
+      renderSeriesFeeds(series, storeOf(5)).map((feed) => feed.file),
+      [
+        "feeds/jazz-night-zune.xml",
+        "feeds/jazz-night-zune-archive.xml",
+        "feeds/jazz-night-zune-archive-1.xml",
+        "feeds/jazz-night-zune-archive-2.xml",
+        "feeds/jazz-night-zune-odd.xml",
+        "feeds/jazz-night-zune-early.xml",
+      ]
+    );
+  });
+});
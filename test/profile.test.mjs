@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractEpisodesFromDocument } from "../src/lib/extract.mjs";
+import { parseSnapshot } from "../src/lib/snapshot.mjs";
+import { DEFAULT_PROFILE, seriesProfile, validateSelectors } from "../src/lib/profile.mjs";
+import { SERIES_URL, loadFixture } from "./helpers.mjs";
+
+const AUDIO = "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/07/20260723_specials_epic.mp3";
+const STORY = "https://www.npr.org/2026/07/23/nx-s1-5904625/an-introspective-epic";
+
+function extract(html, selectors) {
+  return extractEpisodesFromDocument(parseSnapshot(html), { baseUrl: SERIES_URL, profile: seriesProfile({ selectors }) });
+}
+
+describe("seriesProfile", () => {
+  it("overrides single keys of the default profile", () => {
+    const profile = seriesProfile({ selectors: { archiveLink: "", strategies: ["json-ld"] } });
+    assert.equal(profile.archiveLink, "");
+    assert.deepEqual(profile.strategies, ["json-ld"]);
+    assert.equal(profile.article, DEFAULT_PROFILE.article);
+    assert.deepEqual(seriesProfile(), DEFAULT_PROFILE);
+  });
+
+  it("rejects unknown keys and strategies", () => {
+    assert.throws(() => validateSelectors({ artcle: "li" }, "s"), /s: unknown selector "artcle"/);
+    assert.throws(() => validateSelectors({ article: 1 }, "s"), /selector "article" must be a string/);
+    assert.throws(() => validateSelectors({ strategies: [] }, "s"), /must be a non-empty array/);
+    assert.throws(() => validateSelectors({ strategies: ["listing", "xpath"] }, "s"), /unknown strategy "xpath"/);
+    assert.doesNotThrow(() => validateSelectors({ archiveLink: "", strategies: ["data-audio"] }, "s"));
+  });
+});
+
+describe("extraction strategies", () => {
+  it("records the listing strategy on NPR's current markup", () => {
+    const episodes = extractEpisodesFromDocument(loadFixture("series-page.html"), {
+      baseUrl: SERIES_URL,
+      profile: DEFAULT_PROFILE,
+    });
+    assert.equal(episodes.length, 4);
+    assert.ok(episodes.every((ep) => ep.extractedBy === "listing"));
+  });
+
+  it("falls back to Download anchors titled from the nearest story link", () => {
+    const [episode, ...rest] = extract(`
+      <div class="card">
+        <h3><a href="${STORY}">An introspective epic</a></h3>
+        <p>July 23, 2026</p>
+        <div class="player"><a href="${AUDIO}">Download</a></div>
+      </div>
+      <a href="${AUDIO.replace("epic", "other")}">Embed</a>`);
+
+    assert.equal(rest.length, 0);
+    assert.equal(episode.extractedBy, "download-anchor");
+    assert.equal(episode.title, "An introspective epic");
+    assert.equal(episode.link, STORY);
+    assert.equal(episode.audioUrl, AUDIO);
+    assert.equal(episode.dateStrategy, "story-url");
+  });
+
+  it("reads episodes from JSON-LD", () => {
+    const graph = {
+      "@context": "https://schema.org",
+      "@graph": [
+        { "@type": "WebPage", name: "Jazz Night" },
+        {
+          "@type": "ItemList",
+          itemListElement: [
+            {
+              "@type": "ListItem",
+              item: {
+                "@type": "RadioEpisode",
+                name: "An introspective epic",
+                url: STORY,
+                datePublished: "2026-07-23T20:00:00-04:00",
+                description: "Nicole Zuraitis live.",
+                image: { url: "/img/epic.jpg" },
+                associatedMedia: { "@type": "AudioObject", contentUrl: AUDIO },
+              },
+            },
+          ],
+        },
+      ],
+    };
+    const [episode] = extract(`<script type="application/ld+json">${JSON.stringify(graph)}</script>
+      <script type="application/ld+json">{ broken</script>`);
+
+    assert.deepEqual(episode, {
+      title: "An introspective epic",
+      link: STORY,
+      dateText: "2026-07-23T20:00:00-04:00",
+      dateStrategy: "json-ld",
+      audioUrl: AUDIO,
+      description: "Nicole Zuraitis live.",
+      image: "https://www.npr.org/img/epic.jpg",
+      extractedBy: "json-ld",
+    });
+  });
+
+  it("reads data-audio attributes", () => {
+    const episodes = extract(`
+      <li><a href="${STORY}">An introspective epic</a>
+        <div data-audio='{"audioUrl": "${AUDIO}", "title": "Epic (audio)"}'></div></li>
+      <li><button data-audio-url="${AUDIO.replace("epic", "second")}">Play</button></li>`);
+
+    assert.deepEqual(
+      episodes.map((ep) => [ep.extractedBy, ep.title, ep.link]),
+      [
+        ["data-audio", "Epic (audio)", STORY],
+        ["data-audio", "Untitled episode", AUDIO.replace("epic", "second")],
+      ]
+    );
+  });
+
+  it("tries only the series' strategies, in its order", () => {
+    const html = `
+      <a href="${STORY}">An introspective epic</a> <a href="${AUDIO}">Download</a>
+      <div data-audio-url="${AUDIO}"></div>`;
+    assert.equal(extract(html)[0].extractedBy, "download-anchor");
+    assert.equal(extract(html, { strategies: ["data-audio", "download-anchor"] })[0].extractedBy, "data-audio");
+    assert.deepEqual(extract(html, { strategies: ["listing", "json-ld"] }), []);
+  });
+
+  it("finds nothing on a page none of the strategies understand", () => {
+    const doc = loadFixture("series-redesign.html");
+    assert.deepEqual(extractEpisodesFromDocument(doc, { baseUrl: SERIES_URL, profile: DEFAULT_PROFILE }), []);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, readFileSync, writeFileSync, utimesSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createProxyServer, proxyKey, proxyPath, rewriteFeed, checkFeedNames } from "../src/lib/proxy.mjs";
+import { buildRss, createChannel } from "../src/lib/feed.mjs";
+import { SERIES_URL } from "./helpers.mjs";
+
+const AUDIO = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+describe("proxyKey / proxyPath", () => {
+  it("keys audio by its normalized URL", () => {
+    const url = "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/07/20260723_specials_epic.mp3";
+    assert.equal(proxyKey(`${url}?d=3580&size=57291843`), proxyKey(`${url}?d=3580&amp;size=1&sc=siteplayer`));
+    assert.notEqual(proxyKey(url), proxyKey(url.replace("epic", "other")));
+    assert.match(proxyPath(`${url}?d=1`), /^\/audio\/[0-9a-f]{16}\/20260723_specials_epic\.mp3$/);
+  });
+
+  it("keeps a file name with a malformed escape", () => {
+    assert.match(proxyPath("https://ondemand.npr.org/a/100%_live.mp3"), /\/100%25_live\.mp3$/);
+  });
+});
+
+describe("checkFeedNames", () => {
+  it("rejects two feed files that would be served at the same path", () => {
+    assert.doesNotThrow(() => checkFeedNames(["feeds/a.xml", "feeds/b.xml", "./feeds/a.xml"]));
+    assert.throws(
+      () => checkFeedNames(["feeds/a.xml", "other/a.xml"]),
+      /feeds\/a\.xml and other\/a\.xml would both be served as \/a\.xml/
+    );
+  });
+});
+
+describe("rewriteFeed", () => {
+  it("points enclosures and links to served feeds at the proxy", () => {
+    const xml =
+      '<atom:link href="https://example.com/jazz.xml" rel="self" type="application/rss+xml" />\n' +
+      '<atom:link href="https://example.com/other.xml" rel="current" type="application/rss+xml" />\n' +
+      '<enclosure url="https://ondemand.npr.org/a/ep.mp3?d=1&amp;size=9" length="9" type="audio/mpeg" />';
+    const { xml: rewritten, enclosures } = rewriteFeed(xml, "http://zune.local:8080", ["jazz.xml"]);
+
+    assert.match(rewritten, /href="http:\/\/zune\.local:8080\/jazz\.xml" rel="self"/);
+    assert.match(rewritten, /href="https:\/\/example\.com\/other\.xml"/);
+    assert.match(rewritten, /<enclosure url="http:\/\/zune\.local:8080\/audio\/[0-9a-f]{16}\/ep\.mp3" length="9"/);
+    assert.deepEqual([...enclosures.values()], [
+      { url: "https://ondemand.npr.org/a/ep.mp3?d=1&size=9", length: 9, type: "audio/mpeg" },
+    ]);
+  });
+});
+
+describe("createProxyServer", () => {
+  let origin;
+  let proxy;
+  let originServer;
+  let proxyServer;
+  const originRequests = [];
+  const dir = mkdtempSync(join(tmpdir(), "zune-proxy-"));
+  const feedFile = join(dir, "jazz-night-zune.xml");
+
+  before(async () => {
+    originServer = createServer((req, res) => {
+      originRequests.push({ url: req.url, range: req.headers.range });
+      if (req.url.includes("pulled")) {
+        res.writeHead(404).end();
+        return;
+      }
+      const range = req.headers.range?.match(/^bytes=(\d+)-(\d*)$/);
+      if (range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Number(range[2]) : AUDIO.length - 1;
+        res.writeHead(206, {
+          "Content-Type": "audio/mpeg",
+          "Content-Length": end - start + 1,
+          "Content-Range": `bytes ${start}-${end}/${AUDIO.length}`,
+          "Accept-Ranges": "bytes",
+        });
+        res.end(req.method === "HEAD" ? undefined : AUDIO.subarray(start, end + 1));
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "audio/mpeg", "Content-Length": AUDIO.length });
+      res.end(req.method === "HEAD" ? undefined : AUDIO);
+    });
+    origin = await listen(originServer);
+
+    const episode = (name) => ({
+      title: name,
+      guid: `npr:${name}`,
+      audioUrl: `${origin}/anon.npr-mp3/npr/specials/2026/07/${name}.mp3?d=60&size=${AUDIO.length}&sc=siteplayer`,
+      dateObj: new Date(Date.UTC(2026, 6, 23)),
+      pubDate: new Date(Date.UTC(2026, 6, 23)).toUTCString(),
+      enclosureLength: AUDIO.length,
+    });
+    const channel = createChannel({ link: SERIES_URL, maxEpisodes: 10, selfUrl: "https://example.com/jazz-night-zune.xml" });
+    writeFileSync(feedFile, buildRss([episode("epic"), episode("pulled")], "", channel));
+
+    proxyServer = createProxyServer({ listFeedFiles: async () => [feedFile, join(dir, "missing.xml")] });
+    proxy = await listen(proxyServer);
+  });
+
+  after(async () => {
+    await new Promise((resolve) => proxyServer.close(resolve));
+    await new Promise((resolve) => originServer.close(resolve));
+  });
+
+  async function servedFeed() {
+    const res = await fetch(`${proxy}/jazz-night-zune.xml`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /application\/rss\+xml/);
+    return res.text();
+  }
+
+  it("serves the feed with enclosures and self link on the proxy", async () => {
+    const xml = await servedFeed();
+    assert.ok(!xml.includes(origin));
+    assert.match(xml, new RegExp(`href="${proxy}/jazz-night-zune\\.xml" rel="self"`));
+    assert.equal(xml.match(new RegExp(`<enclosure url="${proxy}/audio/[0-9a-f]{16}/epic\\.mp3"`, "g")).length, 1);
+    assert.match(await (await fetch(`${proxy}/`)).text(), new RegExp(`${proxy}/jazz-night-zune\\.xml`));
+  });
+
+  it("streams the audio with its Content-Length", async () => {
+    const url = (await servedFeed()).match(/<enclosure url="([^"]*epic\.mp3)"/)[1];
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-length"), "1000");
+    assert.equal(res.headers.get("accept-ranges"), "bytes");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), AUDIO);
+    assert.match(originRequests.at(-1).url, /epic\.mp3\?d=60&size=1000&sc=siteplayer$/);
+  });
+
+  it("passes Range requests through", async () => {
+    const url = (await servedFeed()).match(/<enclosure url="([^"]*epic\.mp3)"/)[1];
+    const res = await fetch(url, { headers: { Range: "bytes=100-199" } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get("content-range"), "bytes 100-199/1000");
+    assert.equal(res.headers.get("content-length"), "100");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), AUDIO.subarray(100, 200));
+
+    const head = await fetch(url, { method: "HEAD" });
+    assert.equal(head.headers.get("content-length"), "1000");
+  });
+
+  it("answers 404 for unknown or pulled audio and unknown feeds", async () => {
+    const pulled = (await servedFeed()).match(/<enclosure url="([^"]*pulled\.mp3)"/)[1];
+    assert.equal((await fetch(pulled)).status, 404);
+    assert.equal((await fetch(`${proxy}/audio/0123456789abcdef/x.mp3`)).status, 404);
+    assert.equal((await fetch(`${proxy}/missing.xml`)).status, 404);
+    assert.equal((await fetch(`${proxy}/jazz-night-zune.xml`, { method: "POST" })).status, 405);
+  });
+
+  it("answers 400 for a malformed feed path", async () => {
+    assert.equal((await fetch(`${proxy}/%E0%A4%A.xml`)).status, 400);
+  });
+
+  it("rewrites a feed again only once its file changes", async () => {
+    const mtime = new Date("2026-10-19T06:00:00Z");
+    utimesSync(feedFile, mtime, mtime);
+    const served = await servedFeed();
+    writeFileSync(feedFile, readFileSync(feedFile, "utf8").replace("<channel>", "<channel><!-- edited -->"));
+    utimesSync(feedFile, mtime, mtime);
+    assert.equal(await servedFeed(), served);
+
+    const later = new Date(mtime.getTime() + 1000);
+    utimesSync(feedFile, later, later);
+    assert.match(await servedFeed(), /<!-- edited -->/);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  createRunReport,
+  recordScrape,
+  countBy,
+  feedChanges,
+  reportPathFor,
+  writeRunReport,
+  formatReportSummary,
+} from "../src/lib/report.mjs";
+import { log, configureLogger, setLogContext } from "../src/lib/log.mjs";
+
+// Clock that advances a second per call
+function clock(start = "2026-10-19T06:00:00.000Z") {
+  let time = new Date(start).getTime();
+  return () => {
+    const now = new Date(time);
+    time += 1000;
+    return now;
+  };
+}
+
+describe("run report", () => {
+  afterEach(() => {
+    configureLogger({ write: null });
+    setLogContext(null);
+  });
+
+  it("records each series and collects the warnings logged during the run", () => {
+    configureLogger({ write: () => {} });
+    log.warn("before the run");
+
+    const run = createRunReport("update", { source: "auto", now: clock() });
+    const entry = run.addSeries("jazz-night");
+    setLogContext({ series: "jazz-night" });
+    recordScrape(entry, {
+      via: "http",
+      pages: 2,
+      stoppedBy: "stopWhen",
+      episodes: [{ extractedBy: "article" }, { extractedBy: "article" }, {}],
+    });
+    entry.dateStrategies = countBy([{ dateStrategy: "time-element" }, { dateStrategy: "fallback" }], "dateStrategy");
+    log.warn("no usable date for \"Vault\"");
+    log.info("Found 3 episodes");
+
+    const failed = run.addSeries("other");
+    Object.assign(failed, { ok: false, error: "HTTP 503" });
+    setLogContext(null);
+    const report = run.finish();
+    log.warn("after the run");
+
+    assert.equal(report.startedAt, "2026-10-19T06:00:00.000Z");
+    assert.equal(report.finishedAt, "2026-10-19T06:00:01.000Z");
+    assert.equal(report.durationMs, 1000);
+    assert.equal(report.ok, false);
+    const { store, feeds, ...scrape } = report.series[0];
+    assert.deepEqual(store, { added: 0, updated: 0, moved: 0, merged: 0, total: 0 });
+    assert.deepEqual(feeds, []);
+    assert.deepEqual(
+      scrape,
+      {
+        name: "jazz-night",
+        ok: true,
+        error: "",
+        source: "http",
+        clicks: 0,
+        clickTimings: [],
+        pages: 2,
+        stoppedBy: "stopWhen",
+        partial: false,
+        episodesFound: 3,
+        dateStrategies: { "time-element": 1, fallback: 1 },
+        extractedBy: { article: 2, unknown: 1 },
+        anomalies: [],
+        written: false,
+        queued: 0,
+      }
+    );
+    assert.deepEqual(report.warnings, [{ level: "warn", series: "jazz-night", message: "no usable date for \"Vault\"" }]);
+  });
+
+  it("counts what each feed gains, loses and changes", () => {
+    const feeds = [
+      { file: "feeds/a.xml", episodes: 2 },
+      { file: "feeds/a-archive.xml", episodes: 40 },
+    ];
+    const diffs = [
+      { file: "feeds/a.xml", diff: { added: [{}], removed: [{}], changed: [] } },
+      { file: "feeds/a-archive.xml", diff: { added: [{}], removed: [], changed: [{}, {}] } },
+    ];
+    assert.deepEqual(feedChanges(feeds, diffs), [
+      { file: "feeds/a.xml", episodes: 2, added: 1, removed: 1, changed: 0 },
+      { file: "feeds/a-archive.xml", episodes: 40, added: 1, removed: 0, changed: 2 },
+    ]);
+  });
+
+  it("writes the JSON report and appends a Markdown summary", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "run-report-"));
+    const run = createRunReport("build", { dryRun: true, now: clock() });
+    const entry = run.addSeries("jazz-night");
+    const clickTimings = [{ click: 1, ms: 850, added: 6, signal: "stories" }];
+    recordScrape(entry, { via: "browser", clicks: 1, clickTimings, episodes: [{}, {}] });
+    entry.store.added = 2;
+    entry.feeds = [{ file: "feeds/a.xml", episodes: 2, added: 2, removed: 1, changed: 0 }];
+    entry.dateStrategies = { "story-url": 2 };
+    run.report.warnings.push({ level: "warn", series: "jazz-night", message: "HEAD x | y failed" });
+    const report = run.finish();
+
+    const file = join(dir, "reports", "build.json");
+    const summary = join(dir, "summary.md");
+    writeFileSync(summary, "# Earlier step\n");
+    await writeRunReport(report, { file, summary });
+
+    assert.deepEqual(JSON.parse(readFileSync(file, "utf8")), report);
+    assert.deepEqual(report.series[0].clickTimings, clickTimings);
+    const markdown = readFileSync(summary, "utf8");
+    assert.match(markdown, /^# Earlier step\n## build \(dry run\): ok\n/);
+    assert.match(markdown, /\| jazz-night \| browser, 1 click\(s\) \| 2 \| 2 \| 0 \| 1 \| story-url 2 \| 1 \|/);
+    assert.match(markdown, /### Warnings and errors\n\n- jazz-night: HEAD x \\\| y failed\n/);
+    assert.equal(formatReportSummary(report) + "\n", markdown.slice("# Earlier step\n".length));
+  });
+
+  it("defaults to reports/<command>.json", () => {
+    assert.equal(reportPathFor("update"), join("reports", "update.json"));
+    assert.equal(reportPathFor("update", "out/run.json"), "out/run.json");
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { renderSite, episodePageName, publishedFeeds } from "../src/lib/site.mjs";
+import { createStore } from "../src/lib/store.mjs";
+import { SERIES_URL } from "./helpers.mjs";
+
+const SERIES = {
+  name: "jazz-night",
+  url: SERIES_URL,
+  title: "Jazz Night In America",
+  description: "Jazz & more, for Zune.",
+  output: "feeds/jazz-night-zune.xml",
+  selfUrl: "https://example.com/jazz-feed/jazz-night-zune.xml",
+  maxEpisodes: 100,
+  archive: { pageSize: 50 },
+};
+
+function storeWith(...episodes) {
+  const store = createStore();
+  store.channelImageUrl = "https://media.npr.org/branding/jazz-s1000-c100.png";
+  for (const ep of episodes) store.episodes.set(ep.key, { guid: ep.key, audioUrl: ep.key, ...ep });
+  return store;
+}
+
+const MORAN = {
+  key: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2016/11/20161102_specials_moran.mp3",
+  storyId: "500412734",
+  title: "Jason Moran's <Fats Waller> Dance Party",
+  link: "https://www.npr.org/2016/11/02/500412734/moran",
+  date: "2016-11-02T04:00:00.000Z",
+  description: "Stride piano, turned into a dance party.",
+  image: "https://media.npr.org/assets/img/2016/11/02/moran-s800-c85.jpg",
+  duration: 3725,
+  performers: ["Jason Moran"],
+  updatedAt: "2026-10-01T12:00:00.000Z",
+};
+const UNTITLED = {
+  key: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/vault.mp3",
+  title: "",
+  date: "2016-09-21T04:00:00.000Z",
+  updatedAt: "2026-10-02T12:00:00.000Z",
+};
+const PULLED = { ...UNTITLED, key: "https://ondemand.npr.org/pulled.mp3", title: "Pulled", removedAt: "2026-10-03" };
+
+describe("renderSite", () => {
+  const files = renderSite([{ series: SERIES, store: storeWith(MORAN, UNTITLED, PULLED) }]);
+  const byName = Object.fromEntries(files.map((file) => [file.file, file.html]));
+  const home = byName["index.html"];
+
+  it("writes a home page, a stylesheet and a page per episode still in the feeds", () => {
+    assert.deepEqual(Object.keys(byName), [
+      "index.html",
+      "style.css",
+      "jazz-night/500412734.html",
+      `jazz-night/${episodePageName(UNTITLED)}`,
+    ]);
+  });
+
+  it("lists episodes newest first with escaped titles, New York dates and running times", () => {
+    assert.ok(home.indexOf("Fats Waller") < home.indexOf("Untitled episode"));
+    assert.match(home, /<a href="jazz-night\/500412734\.html">Jason Moran&apos;s &lt;Fats Waller&gt; Dance Party<\/a>/);
+    assert.match(home, /<time datetime="2016-11-02T04:00:00.000Z">November 2, 2016<\/time> · <span title="1:02:05">1 hr 2 min<\/span>/);
+    assert.match(home, /Stride piano, turned into a dance party\./);
+    assert.doesNotMatch(home, /Pulled/);
+  });
+
+  it("shows the series artwork, the subscribe instructions, both feed URLs and when the store last changed", () => {
+    assert.match(home, /<h1>Jazz Night In America<\/h1>\n<p>Jazz &amp; more, for Zune\.<\/p>/);
+    assert.match(home, /branding\/jazz-s1400-c100\.png/);
+    assert.match(home, /<code>https:\/\/example\.com\/jazz-feed\/jazz-night-zune\.xml<\/code>/);
+    assert.match(home, /<code>https:\/\/example\.com\/jazz-feed\/jazz-night-zune-archive\.xml<\/code>/);
+    for (const heading of ["Zune", "iTunes / Apple Podcasts", "Other podcast apps"]) {
+      assert.ok(home.includes(`<h3>${heading}</h3>`), heading);
+    }
+    assert.match(home, /class="updated">Updated <time datetime="2026-10-02T12:00:00.000Z">October 2, 2026<\/time>/);
+  });
+
+  it("gives each episode page an audio player, downloads, the story link and show notes", () => {
+    const html = byName["jazz-night/500412734.html"];
+    assert.match(html, /<link rel="stylesheet" href="\.\.\/style\.css">/);
+    assert.match(html, /<audio controls preload="none" src="https:\/\/ondemand\.npr\.org\/[^"]+moran\.mp3"><\/audio>/);
+    assert.match(html, /<a href="https:\/\/www\.npr\.org\/2016\/11\/02\/500412734\/moran">Story on NPR<\/a>/);
+    assert.match(html, /<img class="artwork" src="https:\/\/media\.npr\.org\/assets\/img\/2016\/11\/02\/moran-s1400-c100\.jpg"/);
+    assert.match(html, /<li>Jason Moran<\/li>/);
+  });
+
+  it("falls back to the series artwork and a placeholder title", () => {
+    const html = byName[`jazz-night/${episodePageName(UNTITLED)}`];
+    assert.match(html, /<h1>Untitled episode<\/h1>/);
+    assert.match(html, /<img class="artwork" src="https:\/\/media\.npr\.org\/branding\/jazz-s1400-c100\.png"/);
+    assert.doesNotMatch(html, /Story on NPR/);
+  });
+});
+
+describe("renderSite with derived feeds", () => {
+  it("lists them under the subscribe instructions", () => {
+    const series = { ...SERIES, derived: [{ name: "moran", title: "Jason Moran", match: { performer: "Moran" } }] };
+    const [home] = renderSite([{ series, store: storeWith(MORAN) }]);
+    assert.match(home.html, /<li>Jason Moran:<br><code>https:\/\/example\.com\/jazz-feed\/jazz-night-zune-moran\.xml<\/code><\/li>/);
+  });
+});
+
+describe("publishedFeeds", () => {
+  it("publishes each feed under its self URL's name and under feeds/", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "site-feeds-"));
+    const series = { ...SERIES, output: join(dir, "jazz-night-zune.xml") };
+    writeFileSync(join(dir, "jazz-night-zune-archive-1.xml"), "<rss/>");
+
+    assert.deepEqual(await publishedFeeds(series), [
+      { file: join(dir, "jazz-night-zune.xml"), paths: ["jazz-night-zune.xml", "feeds/jazz-night-zune.xml"] },
+      {
+        file: join(dir, "jazz-night-zune-archive.xml"),
+        paths: ["jazz-night-zune-archive.xml", "feeds/jazz-night-zune-archive.xml"],
+      },
+      {
+        file: join(dir, "jazz-night-zune-archive-1.xml"),
+        paths: ["jazz-night-zune-archive-1.xml", "feeds/jazz-night-zune-archive-1.xml"],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,399 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  storePathFor,
+  createStore,
+  loadStore,
+  saveStore,
+  serializeStore,
+  upsertEpisodes,
+  mergeStoryDuplicates,
+  migrateGuids,
+  storedEpisodeMatcher,
+  storeEpisodes,
+  lastUpdated,
+  importFeedXml,
+  loadSeriesStore,
+  GUID_SCHEME,
+} from "../src/lib/store.mjs";
+import { prepareEpisode } from "../src/lib/episodes.mjs";
+import { onLog } from "../src/lib/log.mjs";
+
+const FLEA = {
+  title: "Flea returns to his first love: jazz",
+  link: "https://www.npr.org/2026/03/26/nx-s1-5759281/jazz-night-flea-honora-album",
+  audioUrl:
+    "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/20260326_specials_jnia_mcbride_x_flea.mp3?d=3355&size=53694886",
+  description: "Flea's first musical love wasn't rock.",
+  dateText: "March 26, 2026",
+};
+
+const ZURAITIS = {
+  title: "Jazz singer-songwriter Nicole Zuraitis makes an introspective epic",
+  link: "https://www.npr.org/2026/07/23/nx-s1-5869532/nicole-zuraitis",
+  audioUrl:
+    "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/07/20260723_specials_zuraitis.mp3?d=3580&size=57291843",
+  description: "Nicole Zuraitis on her new album.",
+  dateText: "July 23, 2026",
+};
+
+const DAY_1 = new Date("2026-07-24T06:00:00Z");
+const DAY_2 = new Date("2026-07-25T06:00:00Z");
+
+describe("storePathFor", () => {
+  it("names the store after the feed unless the series sets one", () => {
+    assert.equal(storePathFor({ output: "feeds/jazz-night-zune.xml" }), join("data", "jazz-night-zune.episodes.jsonl"));
+    assert.equal(storePathFor({ output: "feeds/x.xml", store: "db/x.jsonl" }), "db/x.jsonl");
+  });
+});
+
+describe("upsertEpisodes", () => {
+  it("adds new episodes and only bumps updatedAt when content changes", () => {
+    const store = createStore();
+    const first = upsertEpisodes(store, [prepareEpisode({ ...FLEA, extractedBy: "listing" })], { now: DAY_1 });
+    assert.equal(first.added.length, 1);
+
+    const [record] = first.added;
+    assert.equal(record.key, "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/20260326_specials_jnia_mcbride_x_flea.mp3");
+    assert.equal(record.firstSeen, DAY_1.toISOString());
+    assert.equal(record.extractedBy, "listing");
+    assert.equal(record.dateStrategy, "text");
+
+    const unchanged = upsertEpisodes(store, [FLEA], { now: DAY_2 });
+    assert.deepEqual(unchanged, { added: [], updated: [], moved: [] });
+    assert.equal(record.lastSeen, DAY_2.toISOString());
+    assert.equal(record.updatedAt, DAY_1.toISOString());
+
+    const retitled = upsertEpisodes(store, [{ ...FLEA, title: "Flea goes jazz" }], { now: DAY_2 });
+    assert.equal(retitled.updated.length, 1);
+    assert.equal(record.title, "Flea goes jazz");
+    assert.equal(record.updatedAt, DAY_2.toISOString());
+    assert.equal(record.firstSeen, DAY_1.toISOString());
+    assert.deepEqual(lastUpdated(store), DAY_2);
+  });
+
+  it("matches episodes whose audio URL only differs in tracking params", () => {
+    const store = createStore();
+    upsertEpisodes(store, [prepareEpisode(FLEA)], { now: DAY_1 });
+    const { added } = upsertEpisodes(store, [prepareEpisode({ ...FLEA, audioUrl: `${FLEA.audioUrl}&sc=siteplayer` })], {
+      now: DAY_2,
+    });
+    assert.equal(added.length, 0);
+    assert.equal(store.episodes.size, 1);
+  });
+
+  it("keeps the stored title and link when an article loses its title anchor", () => {
+    const store = createStore();
+    const [record] = upsertEpisodes(store, [prepareEpisode(FLEA)], { now: DAY_1 }).added;
+
+    // What extract.mjs makes of an article without a title anchor
+    const broken = { ...FLEA, title: "Untitled episode", link: FLEA.audioUrl, description: "Updated notes." };
+    const { updated } = upsertEpisodes(store, [prepareEpisode(broken)], { now: DAY_2 });
+    assert.deepEqual(updated, [record]);
+    assert.equal(record.title, FLEA.title);
+    assert.equal(record.link, FLEA.link);
+    assert.equal(record.description, "Updated notes.");
+
+    // ...but a stand-in is still better than nothing
+    const bare = createStore();
+    const [untitled] = upsertEpisodes(bare, [prepareEpisode(broken)], { now: DAY_1 }).added;
+    assert.equal(untitled.title, "Untitled episode");
+  });
+
+  it("re-dates a fallback date from a more reliable strategy, and only from one", () => {
+    const store = createStore();
+    const undated = { ...FLEA, dateText: "" };
+    const [record] = upsertEpisodes(store, [prepareEpisode(undated, DAY_1)], { now: DAY_1 }).added;
+    assert.equal(record.dateStrategy, "fallback");
+    assert.equal(record.date, DAY_1.toISOString());
+
+    const { updated } = upsertEpisodes(
+      store,
+      [prepareEpisode({ ...FLEA, dateText: "2026-03-26", dateStrategy: "story-url" })],
+      { now: DAY_2 }
+    );
+    assert.deepEqual(updated, [record]);
+    assert.equal(record.date, "2026-03-26T04:00:00.000Z");
+    assert.equal(record.pubDate, "Thu, 26 Mar 2026 04:00:00 GMT");
+    assert.equal(record.dateText, "2026-03-26");
+    assert.equal(record.dateStrategy, "story-url");
+    assert.equal(record.updatedAt, DAY_2.toISOString());
+
+    // A less reliable date, or another run's fallback, leaves it alone
+    upsertEpisodes(store, [prepareEpisode({ ...FLEA, dateText: "March 27, 2026", dateStrategy: "full-month" })]);
+    upsertEpisodes(store, [prepareEpisode(undated)]);
+    assert.equal(record.date, "2026-03-26T04:00:00.000Z");
+    assert.equal(record.dateStrategy, "story-url");
+
+    // The story page's publish time (--enrich) beats the URL
+    upsertEpisodes(store, [prepareEpisode({ ...FLEA, publishedAt: "2026-03-26T05:00:00-04:00" })]);
+    assert.equal(record.date, "2026-03-26T09:00:00.000Z");
+    assert.equal(record.dateStrategy, "story-page");
+  });
+
+  it("moves a re-uploaded story to its new audio file and keeps the guid", () => {
+    const store = createStore();
+    const [record] = upsertEpisodes(store, [prepareEpisode(FLEA)], { now: DAY_1 }).added;
+    assert.equal(record.storyId, "nx-s1-5759281");
+    const guid = record.guid;
+
+    const reuploaded = { ...FLEA, audioUrl: FLEA.audioUrl.replace("mcbride_x_flea", "flea_fixed").replace(/\?.*/, "?d=3360") };
+    const { added, moved, updated } = upsertEpisodes(store, [prepareEpisode(reuploaded)], { now: DAY_2 });
+
+    assert.equal(added.length, 0);
+    assert.deepEqual(moved, [record]);
+    assert.deepEqual(updated, [record]);
+    assert.equal(store.episodes.size, 1);
+    assert.equal(record.guid, guid);
+    assert.equal(record.audioUrl, reuploaded.audioUrl);
+    assert.ok(store.episodes.has(record.key) && record.key.endsWith("flea_fixed.mp3"));
+    assert.deepEqual(record.previousAudioUrls, [FLEA.audioUrl]);
+    assert.equal(record.enclosureLength, undefined);
+    assert.equal(storedEpisodeMatcher(store)(FLEA), true);
+  });
+});
+
+describe("mergeStoryDuplicates", () => {
+  it("keeps the first capture's guid with the most recently seen audio file", () => {
+    const store = createStore();
+    const older = { ...prepareEpisode(FLEA), guid: "original-guid" };
+    upsertEpisodes(store, [older], { now: DAY_1 });
+    // A duplicate as written before story ids were tracked
+    const newUrl = FLEA.audioUrl.replace("mcbride_x_flea", "flea_fixed");
+    const newKey = newUrl.split("?")[0];
+    store.episodes.set(newKey, {
+      key: newKey,
+      guid: newUrl,
+      title: FLEA.title,
+      link: FLEA.link,
+      audioUrl: newUrl,
+      date: older.dateObj.toISOString(),
+      firstSeen: DAY_2.toISOString(),
+      lastSeen: DAY_2.toISOString(),
+      updatedAt: DAY_2.toISOString(),
+    });
+
+    assert.equal(mergeStoryDuplicates(store, { now: DAY_2 }), 1);
+    const [record] = store.episodes.values();
+    assert.equal(store.episodes.size, 1);
+    assert.equal(record.guid, "original-guid");
+    assert.equal(record.audioUrl, newUrl);
+    assert.equal(record.key, newKey);
+    assert.deepEqual(record.previousAudioUrls, [FLEA.audioUrl]);
+  });
+});
+
+describe("migrateGuids", () => {
+  // As imported from a feed written when guids were the full audio URL
+  function legacyStore() {
+    const store = createStore();
+    store.guidScheme = "";
+    upsertEpisodes(store, [{ ...prepareEpisode(FLEA), guid: FLEA.audioUrl }], { now: DAY_1 });
+    return store;
+  }
+
+  it("rewrites legacy guids once when asked to", () => {
+    const store = legacyStore();
+    assert.equal(migrateGuids(store, { keepLegacy: false, now: DAY_2 }), 1);
+    const [record] = store.episodes.values();
+    assert.equal(record.guid, "npr:nx-s1-5759281");
+    assert.equal(record.updatedAt, DAY_2.toISOString());
+    assert.equal(store.guidScheme, "stable");
+    assert.equal(migrateGuids(store, { keepLegacy: false }), 0);
+  });
+
+  it("keeps the guids subscribers have already seen by default", () => {
+    const store = legacyStore();
+    assert.equal(migrateGuids(store), 0);
+    assert.equal([...store.episodes.values()][0].guid, FLEA.audioUrl);
+    assert.equal(store.guidScheme, "stable");
+
+    const { added } = upsertEpisodes(store, [prepareEpisode(ZURAITIS)]);
+    assert.equal(added[0].guid, "npr:nx-s1-5869532");
+  });
+});
+
+describe("saveStore / loadStore", () => {
+  const dir = mkdtempSync(join(tmpdir(), "episode-store-"));
+
+  it("returns null for a missing store", async () => {
+    assert.equal(await loadStore(join(dir, "missing.jsonl")), null);
+  });
+
+  it("round-trips, and serializes the same content the same way", async () => {
+    const store = createStore();
+    store.channelImageUrl = "https://media.npr.org/branding/series/347174538/logo.png";
+    upsertEpisodes(store, [prepareEpisode(FLEA), prepareEpisode(ZURAITIS)], { now: DAY_1 });
+
+    const file = join(dir, "nested", "jazz-night.episodes.jsonl");
+    await saveStore(file, store);
+    const loaded = await loadStore(file);
+    assert.equal(loaded.channelImageUrl, store.channelImageUrl);
+    assert.equal(loaded.guidScheme, "stable");
+    assert.equal(serializeStore(loaded), readFileSync(file, "utf8"));
+
+    // Insertion order doesn't matter: newest first
+    const reversed = createStore();
+    reversed.channelImageUrl = store.channelImageUrl;
+    upsertEpisodes(reversed, [prepareEpisode(ZURAITIS), prepareEpisode(FLEA)], { now: DAY_1 });
+    assert.equal(serializeStore(reversed), serializeStore(store));
+
+    const lines = serializeStore(store).trimEnd().split("\n");
+    assert.equal(lines.length, 3);
+    assert.equal(JSON.parse(lines[1]).title, ZURAITIS.title);
+    assert.deepEqual(Object.keys(JSON.parse(lines[1])).slice(0, 4), ["key", "guid", "storyId", "title"]);
+  });
+
+  it("gives buildRss() episodes with a dateObj, leaving out removed ones", () => {
+    const store = createStore();
+    upsertEpisodes(store, [prepareEpisode(FLEA), prepareEpisode(ZURAITIS)], { now: DAY_1 });
+    store.episodes.get(ZURAITIS.audioUrl.split("?")[0]).removedAt = DAY_2.toISOString();
+    const episodes = storeEpisodes(store);
+    assert.equal(episodes.length, 1);
+    assert.ok(episodes[0].dateObj instanceof Date);
+    assert.equal(episodes[0].dateObj.toISOString().slice(0, 10), "2026-03-26");
+  });
+});
+
+describe("importFeedXml", () => {
+  const feed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+<channel>
+  <title>Jazz Night</title>
+  <image><url>https://media.npr.org/branding/series/347174538/logo.png</url></image>
+  <item>
+    <title>Flea &amp;amp; friends</title>
+    <link>${FLEA.link}</link>
+    <guid isPermaLink="false">${FLEA.audioUrl.replace("&", "&amp;amp;")}</guid>
+    <pubDate>Thu, 26 Mar 2026 00:00:00 GMT</pubDate>
+    <description>Flea's first musical love wasn't rock.</description>
+    <enclosure url="${FLEA.audioUrl.replace("&", "&amp;amp;")}" length="0" type="audio/mpeg" />
+    <itunes:image href="https://media.npr.org/assets/img/flea.jpg" />
+  </item>
+  <item>
+    <title>Flea (duplicate)</title>
+    <guid isPermaLink="false">${FLEA.audioUrl.replace("&", "&amp;")}&amp;sc=siteplayer</guid>
+    <pubDate>Thu, 26 Mar 2026 00:00:00 GMT</pubDate>
+    <enclosure url="${FLEA.audioUrl.replace("&", "&amp;")}&amp;sc=siteplayer" length="0" type="audio/mpeg" />
+  </item>
+  <item>
+    <title>Flea (older upload of the same story)</title>
+    <link>${FLEA.link}</link>
+    <guid isPermaLink="false">https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/flea_old.mp3</guid>
+    <pubDate>Thu, 26 Mar 2026 00:00:00 GMT</pubDate>
+    <enclosure url="https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/flea_old.mp3" length="0" type="audio/mpeg" />
+  </item>
+</channel>
+</rss>`;
+
+  it("repairs double escaping, drops duplicates and fills in enclosure details", async () => {
+    const store = await importFeedXml(feed, { now: DAY_1 });
+    assert.equal(store.guidScheme, "");
+    assert.equal(store.channelImageUrl, "https://media.npr.org/branding/series/347174538/logo.png");
+    assert.equal(store.episodes.size, 1);
+
+    const [record] = store.episodes.values();
+    assert.equal(record.title, "Flea & friends");
+    assert.equal(record.storyId, "nx-s1-5759281");
+    assert.equal(record.audioUrl, FLEA.audioUrl);
+    assert.equal(record.enclosureLength, 53694886);
+    assert.equal(record.duration, 3355);
+    assert.equal(record.image, "https://media.npr.org/assets/img/flea.jpg");
+    assert.equal(record.date, "2026-03-26T00:00:00.000Z");
+    assert.equal(record.dateStrategy, undefined);
+  });
+
+  it("flags an item whose pubDate can't be read as a fallback date", async () => {
+    const logged = [];
+    const stopListening = onLog((entry) => logged.push(entry));
+    const store = await importFeedXml(feed.replace("Thu, 26 Mar 2026 00:00:00 GMT", "sometime in March"), {
+      now: DAY_1,
+    }).finally(stopListening);
+
+    const [record] = store.episodes.values();
+    assert.equal(record.date, DAY_1.toISOString());
+    assert.equal(record.pubDate, DAY_1.toUTCString());
+    assert.equal(record.dateStrategy, "fallback");
+    assert.deepEqual(
+      logged.map(({ level, message }) => [level, message]),
+      [["warn", 'no usable pubDate for "Flea & friends" (unreadable "sometime in March"); dated to this import and flagged as fallback']]
+    );
+  });
+
+  it("reads a pubDate without a zone as New York time, whatever the machine's zone", async () => {
+    const store = await importFeedXml(feed.replace("Thu, 26 Mar 2026 00:00:00 GMT", "March 26, 2026"), { now: DAY_1 });
+    const [record] = store.episodes.values();
+    assert.equal(record.date, "2026-03-26T04:00:00.000Z");
+    assert.equal(record.pubDate, "Thu, 26 Mar 2026 04:00:00 GMT");
+    assert.equal(record.dateStrategy, undefined);
+  });
+});
+
+describe("loadSeriesStore", () => {
+  const legacyFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+<channel>
+  <title>Jazz Night</title>
+  <item>
+    <title>${FLEA.title}</title>
+    <link>${FLEA.link}</link>
+    <guid isPermaLink="false">${FLEA.audioUrl.replace("&", "&amp;")}</guid>
+    <pubDate>Thu, 26 Mar 2026 04:00:00 GMT</pubDate>
+    <enclosure url="${FLEA.audioUrl.replace("&", "&amp;")}" length="53694886" type="audio/mpeg" />
+  </item>
+</channel>
+</rss>`;
+
+  it("loads the store when there is one", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "series-store-"));
+    const series = { output: join(dir, "feed.xml"), store: join(dir, "feed.episodes.jsonl") };
+    const saved = createStore();
+    upsertEpisodes(saved, [prepareEpisode(ZURAITIS)], { now: DAY_1 });
+    await saveStore(series.store, saved);
+    writeFileSync(series.output, legacyFeed);
+
+    const { store, bootstrap } = await loadSeriesStore(series);
+    assert.equal(bootstrap, false);
+    assert.deepEqual([...store.episodes.values()].map((record) => record.title), [ZURAITIS.title]);
+  });
+
+  it("starts from nothing without a store or a feed", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "series-store-"));
+    const { store, bootstrap } = await loadSeriesStore({ output: join(dir, "feed.xml") }, join(dir, "x.jsonl"));
+    assert.equal(bootstrap, true);
+    assert.equal(store.episodes.size, 0);
+    assert.equal(store.guidScheme, GUID_SCHEME);
+  });
+
+  it("builds over a legacy feed without changing its published guids", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "series-store-"));
+    const series = { output: join(dir, "feed.xml"), store: join(dir, "feed.episodes.jsonl") };
+    writeFileSync(series.output, legacyFeed);
+
+    const { store, bootstrap } = await loadSeriesStore(series);
+    assert.equal(bootstrap, false);
+    assert.equal(migrateGuids(store), 0);
+    // The scrape finds the published episode again, plus a new one
+    const { added } = upsertEpisodes(store, [prepareEpisode(FLEA), prepareEpisode(ZURAITIS)], { now: DAY_2 });
+
+    const guids = Object.fromEntries(storeEpisodes(store).map((ep) => [ep.title, ep.guid]));
+    assert.deepEqual(guids, { [FLEA.title]: FLEA.audioUrl, [ZURAITIS.title]: "npr:nx-s1-5869532" });
+    assert.deepEqual(added.map((record) => record.title), [ZURAITIS.title]);
+  });
+
+  it("keeps the published episodes a build's scrape no longer lists", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "series-store-"));
+    const series = { output: join(dir, "feed.xml"), store: join(dir, "feed.episodes.jsonl") };
+    writeFileSync(series.output, legacyFeed);
+
+    const { store } = await loadSeriesStore(series);
+    upsertEpisodes(store, [prepareEpisode(ZURAITIS)], { now: DAY_2 });
+    assert.deepEqual(
+      storeEpisodes(store).map((ep) => ep.title),
+      [ZURAITIS.title, FLEA.title]
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateFeedXml, formatValidation } from "../src/lib/validate.mjs";
+import { buildRss, createChannel } from "../src/lib/feed.mjs";
+import { SERIES_URL } from "./helpers.mjs";
+
+const channel = createChannel({ link: SERIES_URL, selfUrl: "https://example.org/feed.xml", maxEpisodes: 10 });
+
+const episode = {
+  title: "Flea returns to his first love: jazz",
+  link: "https://www.npr.org/2026/03/26/nx-s1-5759281/jazz-night-flea-honora-album",
+  guid: "npr:nx-s1-5759281",
+  audioUrl: "https://ondemand.npr.org/anon.npr-mp3/npr/specials/2026/03/flea.mp3?d=3355&size=53694886",
+  description: "Flea's first musical love wasn't rock.",
+  dateObj: new Date("2026-03-26T00:00:00Z"),
+  pubDate: "Thu, 26 Mar 2026 00:00:00 GMT",
+  enclosureLength: 53694886,
+  duration: 3355,
+  showNotes: ["Rock & roll &amp; jazz"],
+};
+
+const other = {
+  ...episode,
+  title: "Samara Joy, live at the Village Vanguard",
+  guid: "npr:nx-s1-5611111",
+  dateObj: new Date("2025-11-20T00:00:00Z"),
+  pubDate: "Thu, 20 Nov 2025 00:00:00 GMT",
+};
+
+describe("validateFeedXml", () => {
+  it("passes a feed from buildRss(), including escaped HTML in content:encoded", async () => {
+    const xml = buildRss([episode, other], "", channel);
+    assert.match(xml, /&amp;amp;/);
+    assert.deepEqual(await validateFeedXml(xml), { items: 2, errors: [], warnings: [] });
+  });
+
+  it("reports repeated guids, bad dates and unusable enclosures", async () => {
+    const xml = buildRss(
+      [episode, { ...other, guid: episode.guid, pubDate: "2025-11-20", enclosureLength: 0 }],
+      "",
+      channel
+    ).replace('type="audio/mpeg"', 'type="text/html"');
+    const { errors, warnings } = await validateFeedXml(xml);
+
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /item 1 \("Flea.*enclosure type "text\/html"/);
+    assert.match(errors[1], /item 2 .*guid "npr:nx-s1-5759281" repeats item 1/);
+    assert.match(errors[2], /pubDate "2025-11-20" is not an RFC-822 date/);
+    // A size the build couldn't find is a Zune quirk, not a broken feed
+    assert.deepEqual(warnings, ['item 2 ("Samara Joy, live at the Village Vanguard"): enclosure length is 0 (size unknown); Zune shows no download size']);
+
+    const missing = (await validateFeedXml(buildRss([episode], "", channel).replace(/ length="\d+"/, ""))).errors;
+    assert.match(missing[0], /enclosure length is "", expected a byte count/);
+  });
+
+  it("finds double-escaped entities outside content:encoded", async () => {
+    const xml = buildRss([{ ...episode, title: "Rock &amp; roll" }], "", channel);
+    const { errors } = await validateFeedXml(xml);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /1 double-escaped entity \(e\.g\. "&amp;amp;"\) on line \d+/);
+  });
+
+  it("rejects documents that aren't RSS 2.0 with a channel title, link and description", async () => {
+    assert.match((await validateFeedXml("<rss><channel>")).errors[0], /not well-formed XML/);
+    assert.match((await validateFeedXml("<feed/>")).errors[0], /root element is not <rss>/);
+
+    const { errors } = await validateFeedXml('<rss version="0.91"><channel><title>x</title></channel></rss>');
+    assert.deepEqual(errors, [
+      '<rss version> is "0.91", expected "2.0"',
+      "channel: missing <link>",
+      "channel: missing <description>",
+    ]);
+  });
+
+  it("warns about Zune quirks", async () => {
+    // buildRss() already asks NPR for Zune-sized artwork, so enlarge it by hand
+    const xml = buildRss(
+      [{ ...episode, description: "x".repeat(4001) }],
+      "https://media.npr.org/a/b-s1400-c100.jpg",
+      channel
+    ).replaceAll("-s1400-", "-s2000-");
+    const { errors, warnings } = await validateFeedXml(xml);
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /channel: image is 2000px wide/);
+    assert.match(warnings[1], /item 1 .*description is over 4000 characters/);
+  });
+});
+
+describe("formatValidation", () => {
+  it("summarizes, then lists errors before warnings", () => {
+    assert.equal(
+      formatValidation("feeds/x.xml", { items: 1, errors: ["item 1: missing <guid>"], warnings: ["channel: w"] }),
+      "feeds/x.xml: 1 item, 1 error, 1 warning\n  ERROR item 1: missing <guid>\n  WARN  channel: w"
+    );
+  });
+});